@@ -64,6 +64,7 @@ export default ({ config }) => ({
       },
     ],
     ["expo-font"],
+    "expo-notifications",
   ],
   experiments: {
     typedRoutes: true,
@@ -1,13 +1,37 @@
 // app/(app)/_layout.tsx
-import { Redirect, Tabs } from "expo-router";
+import { Redirect, router, Tabs } from "expo-router";
+import { useEffect } from "react";
 import { useAuth } from "../../contexts/AuthContext";
+import { useConversations } from "../../hooks/useConversations";
+import { useUnreadNotificationCount } from "../../hooks/useUnreadNotificationCount";
+import { markNotificationRead } from "../../services/notifications/update";
+import { subscribeToPushResponses } from "../../services/notifications/push";
 import LoadingScreen from "../../components/ui/LoadingScreen";
 import MaterialIcons from "@expo/vector-icons/MaterialIcons";
 
 export default function AppLayout() {
-  const { user, isLoading } = useAuth();
+  const { user, isLoading, isSigningOut } = useAuth();
+  const { unreadCount } = useConversations(user?.uid);
+  const unreadNotificationCount = useUnreadNotificationCount(user?.uid);
 
-  if (isLoading) {
+  // Tapping a push opens the same screen as its inbox item
+  const userId = user?.uid;
+  useEffect(() => {
+    if (!userId) return;
+
+    return subscribeToPushResponses(({ notificationId, link }) => {
+      if (notificationId) {
+        markNotificationRead(userId, notificationId);
+      }
+      if (link?.pathname) {
+        router.push(link);
+      }
+    });
+  }, [userId]);
+
+  // While signing out, NavigationHandler makes the one move to sign-in;
+  // unmounting the tabs now also stops their listeners before the user goes
+  if (isLoading || isSigningOut) {
     return <LoadingScreen />;
   }
 
@@ -35,6 +59,40 @@ export default function AppLayout() {
           ),
         }}
       />
+      <Tabs.Screen
+        name="applications"
+        options={{
+          title: "My Applications",
+          tabBarIcon: ({ color, size }) => (
+            <MaterialIcons name="assignment" size={size} color={color} />
+          ),
+        }}
+      />
+      <Tabs.Screen
+        name="messages"
+        options={{
+          title: "Messages",
+          tabBarBadge: unreadCount > 0 ? unreadCount : undefined,
+          tabBarIcon: ({ color, size }) => (
+            <MaterialIcons
+              name="chat-bubble-outline"
+              size={size}
+              color={color}
+            />
+          ),
+        }}
+      />
+      <Tabs.Screen
+        name="notifications"
+        options={{
+          title: "Inbox",
+          tabBarBadge:
+            unreadNotificationCount > 0 ? unreadNotificationCount : undefined,
+          tabBarIcon: ({ color, size }) => (
+            <MaterialIcons name="notifications" size={size} color={color} />
+          ),
+        }}
+      />
       <Tabs.Screen
         name="post"
         options={{
@@ -53,6 +111,11 @@ export default function AppLayout() {
           ),
         }}
       />
+      {/* Detail routes, reachable from lists and links but not the tab bar */}
+      <Tabs.Screen name="job/[id]" options={{ href: null }} />
+      <Tabs.Screen name="conversation/[id]" options={{ href: null }} />
+      <Tabs.Screen name="saved" options={{ href: null }} />
+      <Tabs.Screen name="alerts" options={{ href: null }} />
     </Tabs>
   );
 }
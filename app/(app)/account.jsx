@@ -1,73 +1,394 @@
-import { Text, View } from "react-native";
+import { useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Pressable,
+  ScrollView,
+  Switch,
+  Text,
+  View,
+} from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import ChangeEmailModal from "../../components/ui/ChangeEmailModal";
+import ChangePasswordModal from "../../components/ui/ChangePasswordModal";
+import DeleteAccountModal from "../../components/ui/DeleteAccountModal";
+import EditProfileModal from "../../components/ui/EditProfileModal";
+import { PUSH_CATEGORIES } from "../../constants/notifications";
 import { globalStyles } from "../../constants/styles";
 import { useAuth } from "../../contexts/AuthContext";
-import { useJobs } from "../../hooks/useJobs";
+import { clearLocalUserData, useSignOut } from "../../hooks/useSignOut";
+import { setPushCategoryEnabled } from "../../services/notifications/push";
+import { exportUserData } from "../../services/users/account";
+import { updateUserProfile } from "../../services/users/profile";
+import { getTodayKey } from "../../utils/jobUtils";
+import { formatExperience } from "../../utils/profileUtils";
+import { shareJsonFile } from "../../utils/shareUtils";
+
+function PushPreferences({ userId, preferences, onChange }) {
+  // Category with a save in flight, to disable its switch
+  const [savingCategory, setSavingCategory] = useState(null);
+
+  const handleToggle = async (category, enabled) => {
+    setSavingCategory(category);
+    const result = await setPushCategoryEnabled(userId, category, enabled);
+    setSavingCategory(null);
+
+    if (result.success) {
+      onChange({ ...preferences, [category]: enabled });
+    } else {
+      Alert.alert("Error", result.message);
+    }
+  };
+
+  return (
+    <View className="rounded-2xl p-4 bg-neutral-100 mt-4">
+      <Text className="text-lg font-semibold mb-3">Push Notifications</Text>
+      <View className="gap-y-4">
+        {PUSH_CATEGORIES.map(({ key, label, description }) => (
+          <View key={key} className="flex-row items-center gap-x-4">
+            <View className="flex-1">
+              <Text className="text-sm font-medium">{label}</Text>
+              <Text className="text-xs text-gray-600">{description}</Text>
+            </View>
+            <Switch
+              // Categories are on unless the user turned them off
+              value={preferences?.[key] !== false}
+              onValueChange={(enabled) => handleToggle(key, enabled)}
+              disabled={savingCategory === key}
+              accessibilityLabel={label}
+            />
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
 
 export default function AccountScreen() {
-  const { user, userProfile } = useAuth();
-  const { clearCache } = useJobs();
+  const {
+    user,
+    userProfile,
+    updateLocalProfile,
+    changeEmail,
+    changePassword,
+    deleteAccount,
+  } = useAuth();
+  const { signOut, signingOut } = useSignOut();
+  const [showEditProfile, setShowEditProfile] = useState(false);
+  const [savingProfile, setSavingProfile] = useState(false);
+  // "email" or "password" while one of the sign-in detail modals is open
+  const [credentialModal, setCredentialModal] = useState(null);
+  const [savingCredentials, setSavingCredentials] = useState(false);
+  const [exportingData, setExportingData] = useState(false);
+  const [showDeleteAccount, setShowDeleteAccount] = useState(false);
+  const [deletingAccount, setDeletingAccount] = useState(false);
+
+  const handleSignOut = () => {
+    Alert.alert("Sign Out", "Are you sure you want to sign out?", [
+      { text: "Cancel", style: "cancel" },
+      { text: "Sign Out", style: "destructive", onPress: signOut },
+    ]);
+  };
+
+  const handleSaveProfile = async (changes) => {
+    setSavingProfile(true);
+    const result = await updateUserProfile(user?.uid, changes);
+    setSavingProfile(false);
 
-  const handleLogout = () => {
-    clearCache();
+    if (result.success) {
+      updateLocalProfile(result.data);
+      setShowEditProfile(false);
+    } else {
+      Alert.alert("Error", result.message);
+    }
   };
 
+  const handleCredentialChange = async (change, ...args) => {
+    setSavingCredentials(true);
+    const result = await change(...args);
+    setSavingCredentials(false);
+
+    if (result.success) {
+      setCredentialModal(null);
+      Alert.alert("Success", result.message);
+    } else {
+      Alert.alert("Error", result.message);
+    }
+  };
+
+  const handleExportData = async () => {
+    setExportingData(true);
+    try {
+      const result = await exportUserData(user?.uid);
+
+      if (result.success) {
+        await shareJsonFile(`onextid-data-${getTodayKey()}.json`, result.data);
+      } else {
+        Alert.alert("Error", result.message);
+      }
+    } catch (error) {
+      console.error("Export data error:", error);
+      Alert.alert("Error", "Something went wrong. Please try again.");
+    } finally {
+      setExportingData(false);
+    }
+  };
+
+  const handleDeleteAccount = async (password) => {
+    setDeletingAccount(true);
+    const result = await deleteAccount(password);
+    setDeletingAccount(false);
+
+    if (result.success) {
+      // NavigationHandler moves to sign-in now the user is gone
+      setShowDeleteAccount(false);
+      await clearLocalUserData();
+    } else {
+      Alert.alert("Error", result.message);
+    }
+  };
+
+  const professionalDetails = [
+    { label: "Qualification", value: userProfile?.qualification },
+    { label: "Specialty", value: userProfile?.specialty },
+    {
+      label: "Experience",
+      value: formatExperience(userProfile?.yearsOfExperience),
+    },
+    {
+      label: "Preferred Districts",
+      value: userProfile?.preferredDistricts?.join(", "),
+    },
+  ];
+
   return (
     <SafeAreaView style={globalStyles.safeAreaContainer}>
-      <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
-        <View className="flex-col w-full gap-1 mb-6">
-          <Text className="text-4xl font-bold">My Account</Text>
-          <Text className="text-base font-medium text-gray-600">
-            Ready to find your perfect job match?
-          </Text>
-        </View>
-        <View className="rounded-2xl p-4 bg-neutral-100">
-          <View className="mb-3">
-            <Text className="text-lg font-semibold ">{user?.displayName}</Text>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <View className="flex-col w-full gap-1 mb-6">
+            <Text className="text-4xl font-bold">My Account</Text>
+            <Text className="text-base font-medium text-gray-600">
+              Ready to find your perfect job match?
+            </Text>
           </View>
-          <View className="mb-3">
-            <View className="gap-y-4">
-              {/* Row 1 */}
-              <View className="flex-row gap-x-4">
-                <View className="flex-1">
-                  <Text className="text-xs text-gray-600 uppercase tracking-wide">
-                    Email
-                  </Text>
-                  <Text className="text-sm font-medium">{user?.email}</Text>
-                </View>
-                <View className="flex-1">
-                  <Text className="text-xs text-gray-600 uppercase tracking-wide">
-                    Phone Number
-                  </Text>
-                  <Text className="text-sm font-medium">
-                    {userProfile?.phoneNumber}
-                  </Text>
+          <View className="rounded-2xl p-4 bg-neutral-100">
+            <View className="flex-row items-center justify-between mb-3">
+              <Text className="text-lg font-semibold flex-1">
+                {userProfile?.fullName || user?.displayName}
+              </Text>
+              <Pressable
+                className="px-3 py-2 rounded-full border border-gray-200 bg-white"
+                onPress={() => setShowEditProfile(true)}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel="Edit profile"
+              >
+                <Text className="text-sm font-medium text-gray-700">Edit</Text>
+              </Pressable>
+            </View>
+            <View className="mb-3">
+              <View className="gap-y-4">
+                {/* Row 1 */}
+                <View className="flex-row gap-x-4">
+                  <View className="flex-1">
+                    <Text className="text-xs text-gray-600 uppercase tracking-wide">
+                      Email
+                    </Text>
+                    <Text className="text-sm font-medium">{user?.email}</Text>
+                    {userProfile?.pendingEmail && (
+                      <Text className="text-xs text-gray-600">
+                        Changing to {userProfile.pendingEmail}
+                      </Text>
+                    )}
+                  </View>
+                  <View className="flex-1">
+                    <Text className="text-xs text-gray-600 uppercase tracking-wide">
+                      Phone Number
+                    </Text>
+                    <Text className="text-sm font-medium">
+                      {userProfile?.phoneNumber}
+                    </Text>
+                  </View>
                 </View>
-              </View>
 
-              {/* Row 2 */}
-              <View className="flex-row gap-x-4">
-                <View className="flex-1">
-                  <Text className="text-xs text-gray-600 uppercase tracking-wide">
-                    TCMC Number
-                  </Text>
-                  <Text className="text-sm font-medium">
-                    {userProfile?.tcmcNumber}
-                  </Text>
+                {/* Row 2 */}
+                <View className="flex-row gap-x-4">
+                  <View className="flex-1">
+                    <Text className="text-xs text-gray-600 uppercase tracking-wide">
+                      TCMC Number
+                    </Text>
+                    <Text className="text-sm font-medium">
+                      {userProfile?.tcmcNumber}
+                    </Text>
+                  </View>
+                  <View className="flex-1">
+                    <Text className="text-xs text-gray-600 uppercase tracking-wide">
+                      TCMC Verified
+                    </Text>
+                    <Text className="text-sm font-medium">
+                      {userProfile?.tcmcVerified ? "Verified" : "Pending"}
+                    </Text>
+                  </View>
                 </View>
-                <View className="flex-1">
+
+                {/* Professional details, two per row */}
+                {[0, 2].map((start) => (
+                  <View key={start} className="flex-row gap-x-4">
+                    {professionalDetails
+                      .slice(start, start + 2)
+                      .map(({ label, value }) => (
+                        <View key={label} className="flex-1">
+                          <Text className="text-xs text-gray-600 uppercase tracking-wide">
+                            {label}
+                          </Text>
+                          <Text className="text-sm font-medium">
+                            {value || "Not added"}
+                          </Text>
+                        </View>
+                      ))}
+                  </View>
+                ))}
+
+                <View>
                   <Text className="text-xs text-gray-600 uppercase tracking-wide">
-                    TCMC Verified
+                    Bio
                   </Text>
                   <Text className="text-sm font-medium">
-                    {userProfile?.tcmcVerified ? "Verified" : "Pending"}
+                    {userProfile?.bio || "Not added"}
                   </Text>
                 </View>
               </View>
             </View>
           </View>
+
+          <PushPreferences
+            userId={user?.uid}
+            preferences={userProfile?.notificationPreferences}
+            onChange={(notificationPreferences) =>
+              updateLocalProfile({ notificationPreferences })
+            }
+          />
+
+          <View className="rounded-2xl p-4 bg-neutral-100 mt-4">
+            <Text className="text-lg font-semibold">Session</Text>
+            <Text className="text-xs text-gray-600 mb-3">
+              Signed in as {user?.email}
+            </Text>
+            <View className="flex-row gap-x-3 mb-3">
+              <Pressable
+                className="flex-1 rounded-2xl py-3 items-center border border-gray-200 bg-white"
+                onPress={() => setCredentialModal("email")}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel="Change email"
+              >
+                <Text className="text-sm font-medium text-gray-700">
+                  Change Email
+                </Text>
+              </Pressable>
+              <Pressable
+                className="flex-1 rounded-2xl py-3 items-center border border-gray-200 bg-white"
+                onPress={() => setCredentialModal("password")}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel="Change password"
+              >
+                <Text className="text-sm font-medium text-gray-700">
+                  Change Password
+                </Text>
+              </Pressable>
+            </View>
+            <Pressable
+              className="rounded-2xl py-3 items-center border border-red-500 bg-white"
+              onPress={handleSignOut}
+              disabled={signingOut}
+              accessible={true}
+              accessibilityRole="button"
+              accessibilityLabel="Sign out"
+            >
+              {signingOut ? (
+                <ActivityIndicator size="small" color="#ef4444" />
+              ) : (
+                <Text className="text-base font-semibold text-red-500">
+                  Sign Out
+                </Text>
+              )}
+            </Pressable>
+          </View>
+
+          <View className="rounded-2xl p-4 bg-neutral-100 mt-4">
+            <Text className="text-lg font-semibold">Your Data</Text>
+            <Text className="text-xs text-gray-600 mb-3">
+              Get a copy of your profile, postings and applications, or delete
+              your account.
+            </Text>
+            <View className="gap-y-3">
+              <Pressable
+                className="rounded-2xl py-3 items-center border border-gray-200 bg-white"
+                onPress={handleExportData}
+                disabled={exportingData}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel="Download my data"
+              >
+                {exportingData ? (
+                  <ActivityIndicator size="small" color="#1447e6" />
+                ) : (
+                  <Text className="text-sm font-medium text-gray-700">
+                    Download My Data
+                  </Text>
+                )}
+              </Pressable>
+              <Pressable
+                className="rounded-2xl py-3 items-center"
+                onPress={() => setShowDeleteAccount(true)}
+                accessible={true}
+                accessibilityRole="button"
+                accessibilityLabel="Delete my account"
+              >
+                <Text className="text-sm font-medium text-red-500">
+                  Delete My Account
+                </Text>
+              </Pressable>
+            </View>
+          </View>
         </View>
-      </View>
+      </ScrollView>
+
+      <EditProfileModal
+        visible={showEditProfile}
+        profile={userProfile}
+        displayName={user?.displayName}
+        saving={savingProfile}
+        onSave={handleSaveProfile}
+        onClose={() => setShowEditProfile(false)}
+      />
+
+      <ChangeEmailModal
+        visible={credentialModal === "email"}
+        currentEmail={user?.email}
+        saving={savingCredentials}
+        onSave={(currentPassword, newEmail) =>
+          handleCredentialChange(changeEmail, currentPassword, newEmail)
+        }
+        onClose={() => setCredentialModal(null)}
+      />
+
+      <ChangePasswordModal
+        visible={credentialModal === "password"}
+        saving={savingCredentials}
+        onSave={(currentPassword, newPassword) =>
+          handleCredentialChange(changePassword, currentPassword, newPassword)
+        }
+        onClose={() => setCredentialModal(null)}
+      />
+
+      <DeleteAccountModal
+        visible={showDeleteAccount}
+        deleting={deletingAccount}
+        onDelete={handleDeleteAccount}
+        onClose={() => setShowDeleteAccount(false)}
+      />
     </SafeAreaView>
   );
 }
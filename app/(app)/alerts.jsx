@@ -0,0 +1,322 @@
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { router, useFocusEffect } from "expo-router";
+import React, { useCallback, useRef, useState } from "react";
+import {
+  Alert,
+  Pressable,
+  RefreshControl,
+  SectionList,
+  Switch,
+  Text,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ErrorMessage from "../../components/ui/ErrorMessage";
+import JobCardSkeleton from "../../components/ui/JobCardSkeleton";
+import { globalStyles } from "../../constants/styles";
+import { useAuth } from "../../contexts/AuthContext";
+import { useAlerts } from "../../hooks/useAlerts";
+import {
+  deleteAlert,
+  markAlertMatchesSeen,
+  setAlertActive,
+} from "../../services/alerts/update";
+import { describeFilters } from "../../utils/jobFilters";
+import { formatSalary } from "../../utils/salaryUtils";
+import { toTitleCase } from "../../utils/textUtils";
+
+const SKELETON_COUNT = 3;
+const ITEM_SEPARATOR_HEIGHT = 12;
+const LIST_PADDING_BOTTOM = 16;
+
+function AlertsHeader() {
+  return (
+    <View className="flex-col w-full gap-1 mb-6">
+      <View className="flex-row items-center gap-3">
+        <Pressable
+          onPress={() =>
+            router.canGoBack() ? router.back() : router.replace("/(app)/")
+          }
+          className="w-10 h-10 rounded-full bg-neutral-100 items-center justify-center"
+          accessible={true}
+          accessibilityLabel="Go back"
+        >
+          <MaterialIcons name="arrow-back" size={22} color="#374151" />
+        </Pressable>
+        <Text className="text-4xl font-bold">Job Alerts</Text>
+      </View>
+      <Text className="text-base font-medium text-gray-600">
+        New jobs that match your saved searches.
+      </Text>
+    </View>
+  );
+}
+
+function MatchRow({ match }) {
+  return (
+    <Pressable
+      className="rounded-2xl p-4 bg-neutral-100"
+      onPress={() =>
+        router.push({ pathname: "/job/[id]", params: { id: match.jobId } })
+      }
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityHint="Opens the job details"
+    >
+      <View className="flex-row justify-between items-start gap-x-2">
+        <View className="flex-1">
+          <Text className="text-base font-semibold">{match.jobPosition}</Text>
+          <Text className="text-sm text-gray-600">
+            {toTitleCase(match.jobHospital)} • {toTitleCase(match.jobLocation)}
+          </Text>
+        </View>
+        {!match.seen && (
+          <Text className="text-xs font-medium px-2 py-1 rounded-full overflow-hidden bg-blue-100 text-blue-700">
+            New
+          </Text>
+        )}
+      </View>
+      <Text className="text-xs text-gray-600 mt-2">
+        {`${match.jobDate} • ${formatSalary(
+          {
+            salary: match.jobSalary,
+            salaryMax: match.jobSalaryMax,
+            salaryUnit: match.jobSalaryUnit,
+            salaryNegotiable: match.jobSalaryNegotiable,
+            type: match.jobType,
+          },
+          { compact: true }
+        )} • Matched "${match.alertName}"`}
+      </Text>
+    </Pressable>
+  );
+}
+
+function AlertRow({ alert, busy, onToggle, onDelete }) {
+  return (
+    <View className="rounded-2xl p-4 bg-neutral-100">
+      <View className="flex-row justify-between items-center gap-x-2">
+        <View className="flex-1">
+          <Text className="text-base font-semibold">{alert.name}</Text>
+          <Text className="text-sm text-gray-600">
+            {describeFilters(alert.filters)}
+          </Text>
+        </View>
+        <Switch
+          value={alert.active}
+          onValueChange={(value) => onToggle(alert, value)}
+          disabled={busy}
+          accessibilityLabel={`${alert.active ? "Pause" : "Resume"} ${alert.name}`}
+        />
+      </View>
+      <View className="flex-row justify-between items-center pt-3 mt-3 border-t border-gray-200">
+        <Text className="text-xs text-gray-600">
+          {alert.matchCount || 0} matches
+          {!alert.active && " • Paused"}
+        </Text>
+        <Pressable
+          className="flex-row items-center gap-1"
+          onPress={() => onDelete(alert)}
+          disabled={busy}
+          accessible={true}
+          accessibilityLabel={`Delete ${alert.name}`}
+        >
+          <MaterialIcons name="delete-outline" size={16} color="#dc2626" />
+          <Text className="text-sm font-medium text-red-600">Delete</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+export default function AlertsScreen() {
+  const { user } = useAuth();
+  const userId = user?.uid;
+
+  const {
+    alerts,
+    matches,
+    unseenMatchIds,
+    loading,
+    error,
+    refreshing,
+    loadAlerts,
+    onRefresh,
+    syncAlerts,
+    updateLocalAlert,
+    removeLocalAlert,
+    markLocalMatchesSeen,
+  } = useAlerts(userId);
+
+  // ID of the alert with an action in flight, to disable its controls
+  const [busyAlertId, setBusyAlertId] = useState(null);
+
+  // Matches stay marked "New" while the screen is open and are marked as
+  // seen when the user leaves
+  const unseenRef = useRef(unseenMatchIds);
+  unseenRef.current = unseenMatchIds;
+
+  useFocusEffect(
+    useCallback(() => {
+      syncAlerts();
+
+      return () => {
+        const matchIds = unseenRef.current;
+        if (matchIds.length === 0) return;
+
+        markAlertMatchesSeen(matchIds).then((result) => {
+          if (result.success) markLocalMatchesSeen(matchIds);
+        });
+      };
+    }, [syncAlerts, markLocalMatchesSeen])
+  );
+
+  const runAction = useCallback(async (alertId, action, onSuccess) => {
+    setBusyAlertId(alertId);
+    try {
+      const result = await action();
+      if (result.success) {
+        onSuccess(result.data);
+      } else {
+        Alert.alert("Error", result.message);
+      }
+    } catch (error) {
+      console.error("Alert action error:", error);
+      Alert.alert("Error", "Something went wrong. Please try again.");
+    } finally {
+      setBusyAlertId(null);
+    }
+  }, []);
+
+  const handleToggle = useCallback(
+    (alert, active) =>
+      runAction(
+        alert.id,
+        () => setAlertActive(alert.id, active, userId),
+        (data) => updateLocalAlert(alert.id, data)
+      ),
+    [runAction, updateLocalAlert, userId]
+  );
+
+  const handleDelete = useCallback(
+    (alert) => {
+      Alert.alert(
+        "Delete Alert",
+        `Stop alerts for "${alert.name}" and clear its matches?`,
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Delete",
+            style: "destructive",
+            onPress: () =>
+              runAction(
+                alert.id,
+                () => deleteAlert(alert.id, userId),
+                () => removeLocalAlert(alert.id)
+              ),
+          },
+        ]
+      );
+    },
+    [runAction, removeLocalAlert, userId]
+  );
+
+  const sections = [
+    { key: "matches", title: "Matches", data: matches },
+    { key: "alerts", title: "Your Alerts", data: alerts },
+  ].filter((section) => section.data.length > 0);
+
+  const renderItem = useCallback(
+    ({ item, section }) =>
+      section.key === "matches" ? (
+        <MatchRow match={item} />
+      ) : (
+        <AlertRow
+          alert={item}
+          busy={busyAlertId === item.id}
+          onToggle={handleToggle}
+          onDelete={handleDelete}
+        />
+      ),
+    [busyAlertId, handleToggle, handleDelete]
+  );
+
+  const renderSectionHeader = useCallback(
+    ({ section }) => (
+      <View className="bg-white pt-2 pb-3">
+        <Text className="text-sm font-semibold text-gray-600 uppercase tracking-wide">
+          {section.title} ({section.data.length})
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  const renderSeparator = useCallback(
+    () => <View style={{ height: ITEM_SEPARATOR_HEIGHT }} />,
+    []
+  );
+
+  const renderEmptyComponent = useCallback(
+    () => (
+      <View className="flex-1 justify-center items-center py-20">
+        <Text className="text-gray-600 text-center mb-2">
+          You have no job alerts yet
+        </Text>
+        <Text className="text-gray-600 text-sm text-center">
+          Filter the Home feed and tap the bell to save it as an alert
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <AlertsHeader />
+          <View className="gap-4">
+            {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+              <JobCardSkeleton key={index} />
+            ))}
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <AlertsHeader />
+          <ErrorMessage error={error} onRetry={loadAlerts} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+        <AlertsHeader />
+        <SectionList
+          sections={sections}
+          renderItem={renderItem}
+          renderSectionHeader={renderSectionHeader}
+          keyExtractor={(item) => item.id}
+          showsVerticalScrollIndicator={false}
+          ItemSeparatorComponent={renderSeparator}
+          SectionSeparatorComponent={renderSeparator}
+          ListEmptyComponent={renderEmptyComponent}
+          contentContainerStyle={{ paddingBottom: LIST_PADDING_BOTTOM }}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          stickySectionHeadersEnabled={false}
+        />
+      </View>
+    </SafeAreaView>
+  );
+}
@@ -0,0 +1,172 @@
+import { useFocusEffect } from "expo-router";
+import React, { useCallback, useState } from "react";
+import { Alert, FlatList, RefreshControl, Text, View } from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ApplicationCard from "../../components/ui/ApplicationCard";
+import ErrorMessage from "../../components/ui/ErrorMessage";
+import JobCardSkeleton from "../../components/ui/JobCardSkeleton";
+import { globalStyles } from "../../constants/styles";
+import { useAuth } from "../../contexts/AuthContext";
+import { useMyApplications } from "../../hooks/useMyApplications";
+import { withdrawApplication } from "../../services/applications/apply";
+import { getApplicationDisplayStatus } from "../../utils/applicationUtils";
+
+const SKELETON_COUNT = 3;
+const ITEM_SEPARATOR_HEIGHT = 16;
+const LIST_PADDING_BOTTOM = 16;
+
+function ApplicationsHeader({ applicationCount }) {
+  return (
+    <View className="flex-col w-full gap-1 mb-6">
+      <Text className="text-4xl font-bold">My Applications</Text>
+      <Text className="text-base font-medium text-gray-600">
+        Follow up on the jobs you have applied for.
+      </Text>
+
+      {applicationCount > 0 && (
+        <Text className="text-xs text-gray-600 mt-2">
+          {applicationCount} applications • Pull down to refresh
+        </Text>
+      )}
+    </View>
+  );
+}
+
+export default function ApplicationsScreen() {
+  const { user } = useAuth();
+  const userId = user?.uid;
+
+  const {
+    items,
+    loading,
+    error,
+    refreshing,
+    loadApplications,
+    onRefresh,
+    syncApplications,
+    updateLocalApplication,
+  } = useMyApplications(userId);
+
+  useFocusEffect(
+    useCallback(() => {
+      syncApplications();
+    }, [syncApplications])
+  );
+
+  // ID of the application being withdrawn, to disable its button
+  const [busyApplicationId, setBusyApplicationId] = useState(null);
+
+  const handleWithdraw = useCallback(
+    (application) => {
+      Alert.alert(
+        "Withdraw Application",
+        "The poster will no longer see you as an applicant for this job.",
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Withdraw",
+            style: "destructive",
+            onPress: async () => {
+              setBusyApplicationId(application.id);
+              try {
+                const result = await withdrawApplication(
+                  application.id,
+                  userId
+                );
+                if (result.success) {
+                  updateLocalApplication(application.id, result.data);
+                } else {
+                  Alert.alert("Error", result.message);
+                }
+              } catch (error) {
+                console.error("Withdraw application error:", error);
+                Alert.alert("Error", "Something went wrong. Please try again.");
+              } finally {
+                setBusyApplicationId(null);
+              }
+            },
+          },
+        ]
+      );
+    },
+    [updateLocalApplication, userId]
+  );
+
+  const renderApplication = useCallback(
+    ({ item }) => (
+      <ApplicationCard
+        application={item.application}
+        job={item.job}
+        status={getApplicationDisplayStatus(item.application, item.job)}
+        busy={busyApplicationId === item.application.id}
+        onWithdraw={handleWithdraw}
+      />
+    ),
+    [busyApplicationId, handleWithdraw]
+  );
+
+  const renderSeparator = useCallback(
+    () => <View style={{ height: ITEM_SEPARATOR_HEIGHT }} />,
+    []
+  );
+
+  const renderEmptyComponent = useCallback(
+    () => (
+      <View className="flex-1 justify-center items-center py-20">
+        <Text className="text-gray-600 text-center mb-2">
+          You have not applied for any jobs yet
+        </Text>
+        <Text className="text-gray-600 text-sm text-center">
+          Jobs you apply for from the Home tab will show up here
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <ApplicationsHeader applicationCount={0} />
+          <View className="gap-4">
+            {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+              <JobCardSkeleton key={index} />
+            ))}
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <ApplicationsHeader applicationCount={0} />
+          <ErrorMessage error={error} onRetry={() => loadApplications(false)} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+        <ApplicationsHeader applicationCount={items.length} />
+        <FlatList
+          data={items}
+          renderItem={renderApplication}
+          keyExtractor={(item) => item.application.id}
+          showsVerticalScrollIndicator={false}
+          ItemSeparatorComponent={renderSeparator}
+          ListEmptyComponent={renderEmptyComponent}
+          contentContainerStyle={{ paddingBottom: LIST_PADDING_BOTTOM }}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+        />
+      </View>
+    </SafeAreaView>
+  );
+}
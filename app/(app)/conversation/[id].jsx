@@ -0,0 +1,220 @@
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { router, useLocalSearchParams } from "expo-router";
+import { useCallback, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  KeyboardAvoidingView,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ErrorMessage from "../../../components/ui/ErrorMessage";
+import { MAX_MESSAGE_LENGTH } from "../../../constants/messages";
+import { globalStyles } from "../../../constants/styles";
+import { useAuth } from "../../../contexts/AuthContext";
+import { useConversation } from "../../../hooks/useConversation";
+import { toTitleCase } from "../../../utils/textUtils";
+
+const MESSAGE_SEPARATOR_HEIGHT = 8;
+
+const formatTime = (date) => {
+  const parsedDate = new Date(date);
+  return isNaN(parsedDate.getTime())
+    ? ""
+    : parsedDate.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+};
+
+function ConversationHeader({ conversation, userId }) {
+  const otherUserId = conversation?.participants?.find((id) => id !== userId);
+
+  return (
+    <View className="flex-row items-center gap-3 mb-4">
+      <Pressable
+        onPress={() =>
+          router.canGoBack() ? router.back() : router.replace("/(app)/messages")
+        }
+        className="w-10 h-10 rounded-full bg-neutral-100 items-center justify-center"
+        accessible={true}
+        accessibilityLabel="Go back"
+      >
+        <MaterialIcons name="arrow-back" size={22} color="#374151" />
+      </Pressable>
+      {conversation && (
+        <Pressable
+          className="flex-1"
+          onPress={() =>
+            router.push({
+              pathname: "/job/[id]",
+              params: { id: conversation.jobId },
+            })
+          }
+          accessible={true}
+          accessibilityHint="Opens the job this conversation is about"
+        >
+          <Text className="text-lg font-semibold">
+            {conversation.participantNames?.[otherUserId] || "Unknown"}
+          </Text>
+          <Text className="text-xs text-gray-600">
+            {conversation.jobPosition} • {toTitleCase(conversation.jobHospital)}
+          </Text>
+        </Pressable>
+      )}
+    </View>
+  );
+}
+
+function MessageBubble({ message, isMine }) {
+  return (
+    <View
+      className={`max-w-4/5 rounded-2xl px-4 py-2 ${
+        isMine ? "self-end bg-blue-700" : "self-start bg-neutral-100"
+      }`}
+    >
+      <Text className={`text-base ${isMine ? "text-white" : "text-gray-800"}`}>
+        {message.text}
+      </Text>
+      <Text
+        className={`text-xs mt-1 text-right ${
+          isMine ? "text-blue-100" : "text-gray-600"
+        }`}
+      >
+        {formatTime(message.createdAt)}
+      </Text>
+    </View>
+  );
+}
+
+export default function ConversationScreen() {
+  const { id } = useLocalSearchParams();
+  const { user } = useAuth();
+  const userId = user?.uid;
+  const { conversation, messages, loading, error, sending, send, retry } =
+    useConversation(id, userId);
+
+  const [draft, setDraft] = useState("");
+  const listRef = useRef(null);
+
+  const handleSend = useCallback(async () => {
+    if (!draft.trim()) return;
+
+    const result = await send(draft);
+    if (result.success) {
+      setDraft("");
+    } else {
+      Alert.alert("Error", result.message);
+    }
+  }, [draft, send]);
+
+  const renderMessage = useCallback(
+    ({ item }) => (
+      <MessageBubble message={item} isMine={item.senderId === userId} />
+    ),
+    [userId]
+  );
+
+  const renderSeparator = useCallback(
+    () => <View style={{ height: MESSAGE_SEPARATOR_HEIGHT }} />,
+    []
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <ConversationHeader conversation={null} userId={userId} />
+          <ActivityIndicator size="large" color="#1447e6" />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  // Only participants can read a conversation
+  if (error || !conversation?.participants?.includes(userId)) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <ConversationHeader conversation={null} userId={userId} />
+          {error ? (
+            <ErrorMessage error={error} onRetry={retry} />
+          ) : (
+            <Text className="text-gray-600 text-center py-20">
+              This conversation is not available
+            </Text>
+          )}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={globalStyles.keyboardAvoidingContainer}
+      >
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <ConversationHeader conversation={conversation} userId={userId} />
+          <FlatList
+            ref={listRef}
+            data={messages}
+            renderItem={renderMessage}
+            keyExtractor={(item) => item.id}
+            showsVerticalScrollIndicator={false}
+            ItemSeparatorComponent={renderSeparator}
+            ListEmptyComponent={
+              <Text className="text-gray-600 text-center py-20">
+                Say hello to start the conversation
+              </Text>
+            }
+            // Keep the newest message in view as messages arrive
+            onContentSizeChange={() =>
+              listRef.current?.scrollToEnd({ animated: true })
+            }
+          />
+
+          {/* Composer */}
+          <View className="flex-row items-end gap-2 pt-2 border-t border-t-gray-200">
+            <TextInput
+              style={styles.input}
+              placeholder="Type a message"
+              value={draft}
+              onChangeText={setDraft}
+              maxLength={MAX_MESSAGE_LENGTH}
+              multiline
+            />
+            <Pressable
+              onPress={handleSend}
+              disabled={sending || !draft.trim()}
+              className={`w-10 h-10 rounded-full items-center justify-center ${
+                sending || !draft.trim() ? "bg-gray-400" : "bg-blue-700"
+              }`}
+              accessible={true}
+              accessibilityLabel="Send message"
+            >
+              {sending ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <MaterialIcons name="send" size={18} color="#fff" />
+              )}
+            </Pressable>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  input: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: 8,
+    maxHeight: 120,
+  },
+});
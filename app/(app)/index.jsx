@@ -1,13 +1,28 @@
 import { SafeAreaView } from "react-native-safe-area-context";
 import { globalStyles } from "../../constants/styles";
-import { FlatList, RefreshControl, Text, View } from "react-native";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  RefreshControl,
+  Text,
+  View,
+} from "react-native";
 import JobCard from "../../components/ui/JobCard";
 import React from "react";
 import JobCardSkeleton from "../../components/ui/JobCardSkeleton";
-import { useCallback } from "react";
+import { useCallback, useRef, useState } from "react";
 import { useJobs } from "../../hooks/useJobs";
+import { useJobFilters } from "../../hooks/useJobFilters";
+import { useJobSort } from "../../hooks/useJobSort";
 import HomeHeader from "../../components/ui/Header";
+import NewJobsBanner from "../../components/ui/NewJobsBanner";
+import SaveAlertModal from "../../components/ui/SaveAlertModal";
+import { useAuth } from "../../contexts/AuthContext";
 import ErrorMessage from "../../components/ui/ErrorMessage";
+import SearchFilterBar from "../../components/ui/SearchFilterBar";
+import { createAlert } from "../../services/alerts/update";
+import { countActiveFilters } from "../../utils/jobFilters";
 
 const MemoizedJobCard = React.memo(JobCard);
 
@@ -15,9 +30,78 @@ const SKELETON_COUNT = 4;
 const ITEM_SEPARATOR_HEIGHT = 16;
 const LIST_PADDING_BOTTOM = 16;
 const MAX_RENDER_PER_BATCH = 8;
+const END_REACHED_THRESHOLD = 0.5;
 
 export default function HomeScreen() {
-  const { jobs, loading, error, refreshing, loadJobs, onRefresh } = useJobs();
+  const { user } = useAuth();
+  const { filters, filtersLoaded, updateFilter, resetFilters } =
+    useJobFilters();
+  const { sort, sortLoaded, changeSort } = useJobSort();
+  const {
+    jobs,
+    loading,
+    error,
+    refreshing,
+    loadingMore,
+    hasMore,
+    newJobs,
+    loadJobs,
+    loadMore,
+    showNewJobs,
+    onRefresh,
+  } = useJobs(filtersLoaded ? filters : null, sortLoaded ? sort : null);
+
+  const listRef = useRef(null);
+  const [showAlertModal, setShowAlertModal] = useState(false);
+  const [savingAlert, setSavingAlert] = useState(false);
+
+  const isFiltered =
+    !!filters.search?.trim() || countActiveFilters(filters) > 0;
+
+  const handleSaveAlert = useCallback(
+    async (name) => {
+      setSavingAlert(true);
+      try {
+        const result = await createAlert(user?.uid, name, filters);
+        if (result.success) {
+          setShowAlertModal(false);
+          Alert.alert("Alert Saved", result.message);
+        } else {
+          Alert.alert("Error", result.message);
+        }
+      } catch (error) {
+        console.error("Save alert error:", error);
+        Alert.alert("Error", "Something went wrong. Please try again.");
+      } finally {
+        setSavingAlert(false);
+      }
+    },
+    [user, filters]
+  );
+
+  const filterBar = (
+    <>
+      <SearchFilterBar
+        filters={filters}
+        onChange={updateFilter}
+        onReset={resetFilters}
+        onSaveAlert={() => setShowAlertModal(true)}
+      />
+      <SaveAlertModal
+        visible={showAlertModal}
+        filters={filters}
+        saving={savingAlert}
+        onSave={handleSaveAlert}
+        onClose={() => setShowAlertModal(false)}
+      />
+    </>
+  );
+
+  // New jobs wait behind the banner so the list doesn't jump while reading
+  const handleShowNewJobs = useCallback(() => {
+    showNewJobs();
+    listRef.current?.scrollToOffset({ offset: 0, animated: true });
+  }, [showNewJobs]);
 
   const renderJob = useCallback(
     ({ item }) => <MemoizedJobCard job={item} />,
@@ -33,21 +117,34 @@ export default function HomeScreen() {
     () => (
       <View className="flex-1 justify-center items-center py-20">
         <Text className="text-gray-600 text-center mb-2">
-          No jobs available
+          {isFiltered ? "No jobs match your filters" : "No jobs available"}
         </Text>
         <Text className="text-gray-600 text-sm text-center">
-          Pull down to refresh and check for new jobs
+          {isFiltered
+            ? "Try a different search or clear some filters"
+            : "Pull down to refresh and check for new jobs"}
         </Text>
       </View>
     ),
-    []
+    [isFiltered]
+  );
+
+  const renderFooter = useCallback(
+    () =>
+      loadingMore ? (
+        <View className="py-4">
+          <ActivityIndicator size="small" color="#1447e6" />
+        </View>
+      ) : null,
+    [loadingMore]
   );
 
   if (loading) {
     return (
       <SafeAreaView style={globalStyles.safeAreaContainer}>
         <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
-          <HomeHeader jobCount={0} />
+          <HomeHeader jobCount={0} sort={sort} onSortChange={changeSort} />
+          {filterBar}
           <View className="gap-4">
             {Array.from({ length: SKELETON_COUNT }, (_, index) => (
               <JobCardSkeleton key={index} />
@@ -62,7 +159,8 @@ export default function HomeScreen() {
     return (
       <SafeAreaView style={globalStyles.safeAreaContainer}>
         <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
-          <HomeHeader jobCount={0} />
+          <HomeHeader jobCount={0} sort={sort} onSortChange={changeSort} />
+          {filterBar}
           <ErrorMessage error={error} onRetry={loadJobs} />
         </View>
       </SafeAreaView>
@@ -73,14 +171,26 @@ export default function HomeScreen() {
     <SafeAreaView style={globalStyles.safeAreaContainer}>
       <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
         {/* Header Content */}
-        <HomeHeader jobCount={jobs.length} />
+        <HomeHeader
+          jobCount={jobs.length}
+          hasMore={hasMore}
+          isFiltered={isFiltered}
+          sort={sort}
+          onSortChange={changeSort}
+        />
+        {filterBar}
+        <NewJobsBanner count={newJobs.length} onPress={handleShowNewJobs} />
         <FlatList
+          ref={listRef}
           data={jobs}
           renderItem={renderJob}
           keyExtractor={(item) => item.id}
           showsVerticalScrollIndicator={false}
           ItemSeparatorComponent={renderSeparator}
           ListEmptyComponent={renderEmptyComponent}
+          ListFooterComponent={renderFooter}
+          onEndReached={loadMore}
+          onEndReachedThreshold={END_REACHED_THRESHOLD}
           contentContainerStyle={{ paddingBottom: LIST_PADDING_BOTTOM }}
           refreshControl={
             <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
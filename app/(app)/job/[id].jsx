@@ -0,0 +1,566 @@
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import * as Linking from "expo-linking";
+import { router, useLocalSearchParams } from "expo-router";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Pressable,
+  ScrollView,
+  Share,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ErrorMessage from "../../../components/ui/ErrorMessage";
+import BookmarkButton from "../../../components/ui/BookmarkButton";
+import JobCardSkeleton from "../../../components/ui/JobCardSkeleton";
+import {
+  APPLICATION_STATUS,
+  MAX_APPLICATION_NOTE_LENGTH,
+} from "../../../constants/applications";
+import { JOB_STATUS } from "../../../constants/jobs";
+import { globalStyles } from "../../../constants/styles";
+import { useAuth } from "../../../contexts/AuthContext";
+import { useJobDetails } from "../../../hooks/useJobDetails";
+import { useStartConversation } from "../../../hooks/useStartConversation";
+import { applyToJob } from "../../../services/applications/apply";
+import { fetchApplication } from "../../../services/applications/fetch";
+import { REPORT_REASONS, reportJob } from "../../../services/jobs/report";
+import {
+  formatDateKey,
+  formatJobDates,
+  getJobDates,
+  getOpenDates,
+  getPostingStatus,
+  getTodayKey,
+} from "../../../utils/jobUtils";
+import { formatSalary } from "../../../utils/salaryUtils";
+import { formatShift } from "../../../utils/shiftUtils";
+import { toTitleCase } from "../../../utils/textUtils";
+
+const formatDate = (date) => {
+  if (!date) return "Unknown";
+
+  const parsedDate = new Date(date);
+  return isNaN(parsedDate.getTime())
+    ? String(date)
+    : parsedDate.toLocaleDateString();
+};
+
+// Fill status of one date of a multi-date job
+const getDateStatus = (job, date) => {
+  if (job.filledDates?.[date]) return "Filled";
+  return date < getTodayKey() ? "Past" : "Open";
+};
+
+function DetailRow({ label, value }) {
+  return (
+    <View className="flex-row justify-between border-b border-b-gray-200 py-3">
+      <Text className="text-gray-600 font-medium">{label}</Text>
+      <Text className="font-medium flex-shrink text-right ml-4">{value}</Text>
+    </View>
+  );
+}
+
+function DetailHeader({ jobId }) {
+  return (
+    <View className="flex-row items-center justify-between mb-4">
+      <Pressable
+        onPress={() =>
+          router.canGoBack() ? router.back() : router.replace("/(app)/")
+        }
+        className="w-10 h-10 rounded-full bg-neutral-100 items-center justify-center"
+        accessible={true}
+        accessibilityLabel="Go back"
+      >
+        <MaterialIcons name="arrow-back" size={22} color="#374151" />
+      </Pressable>
+      {jobId && <BookmarkButton jobId={jobId} size={26} />}
+    </View>
+  );
+}
+
+export default function JobDetailScreen() {
+  const { id } = useLocalSearchParams();
+  const { user } = useAuth();
+  const { job, poster, loading, error, loadJob } = useJobDetails(id);
+
+  const [showReportModal, setShowReportModal] = useState(false);
+  const [isReporting, setIsReporting] = useState(false);
+  const { openConversation, starting } = useStartConversation();
+  const [showApplyModal, setShowApplyModal] = useState(false);
+  const [applicationNote, setApplicationNote] = useState("");
+  // Dates of a multi-date job the user is applying for
+  const [selectedDates, setSelectedDates] = useState([]);
+  const [isApplying, setIsApplying] = useState(false);
+  // The current user's application to this job, if they have applied
+  const [application, setApplication] = useState(null);
+
+  const isOwner = !!job && job.createdById === user?.uid;
+  const status = job ? getPostingStatus(job) : null;
+  const isOpen = status === JOB_STATUS.ACTIVE;
+  const jobDates = job ? getJobDates(job) : [];
+  const isMultiDate = jobDates.length > 1;
+  const openDates = job ? getOpenDates(job) : [];
+
+  useEffect(() => {
+    if (!job?.id || !user?.uid || isOwner) return;
+
+    fetchApplication(job.id, user.uid)
+      .then(setApplication)
+      .catch((err) => console.error("Error loading application:", err));
+  }, [job?.id, user?.uid, isOwner]);
+
+  const handleApply = useCallback(async () => {
+    setIsApplying(true);
+    try {
+      const result = await applyToJob(
+        job.id,
+        user?.uid,
+        applicationNote,
+        isMultiDate ? selectedDates : null
+      );
+      if (result.success) {
+        setApplication(result.data);
+        setShowApplyModal(false);
+        setApplicationNote("");
+        Alert.alert(
+          "Application Sent",
+          "The poster will review your application."
+        );
+      } else {
+        Alert.alert("Error", result.message);
+      }
+    } catch (err) {
+      console.error("Apply error:", err);
+      Alert.alert("Error", "Something went wrong. Please try again.");
+    } finally {
+      setIsApplying(false);
+    }
+  }, [job, user, applicationNote, isMultiDate, selectedDates]);
+
+  const openApplyModal = useCallback(() => {
+    // Start with every open date picked
+    setSelectedDates(job ? getOpenDates(job) : []);
+    setShowApplyModal(true);
+  }, [job]);
+
+  const toggleSelectedDate = useCallback((date) => {
+    setSelectedDates((prev) =>
+      prev.includes(date)
+        ? prev.filter((item) => item !== date)
+        : [...prev, date].sort()
+    );
+  }, []);
+
+  const handleShare = useCallback(async () => {
+    try {
+      const url = Linking.createURL(`/job/${job.id}`);
+      await Share.share({
+        message: `${job.position} at ${toTitleCase(job.hospital)}, ${toTitleCase(job.location)} on ${formatJobDates(job)}\n${url}`,
+        url,
+      });
+    } catch (err) {
+      console.error("Share error:", err);
+    }
+  }, [job]);
+
+  const handleReport = useCallback(
+    async (reason) => {
+      setIsReporting(true);
+      try {
+        const result = await reportJob(job.id, reason, user?.uid);
+        setShowReportModal(false);
+        Alert.alert(result.success ? "Report Sent" : "Error", result.message);
+      } finally {
+        setIsReporting(false);
+      }
+    },
+    [job, user]
+  );
+
+  const handleEdit = useCallback(() => {
+    router.push({ pathname: "/(app)/post", params: { jobId: job.id } });
+  }, [job]);
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <DetailHeader />
+          <JobCardSkeleton />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <DetailHeader />
+          <ErrorMessage error={error} onRetry={() => loadJob(false)} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  // Deleted and unpublished jobs are only visible to the poster
+  const isHidden =
+    status === JOB_STATUS.DELETED ||
+    status === JOB_STATUS.DRAFT ||
+    status === JOB_STATUS.SCHEDULED;
+  if (!job || (isHidden && !isOwner)) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <DetailHeader />
+          <View className="items-center py-20">
+            <Text className="text-gray-600 text-center mb-2">
+              This job is no longer available
+            </Text>
+            <Text className="text-gray-600 text-sm text-center">
+              It may have been removed by the poster
+            </Text>
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <DetailHeader jobId={job.id} />
+
+          <View className="flex-col w-full gap-1 mb-6">
+            <Text className="text-3xl font-bold">{job.position}</Text>
+            <Text className="text-base font-medium text-gray-600">
+              {toTitleCase(job.hospital)} • {toTitleCase(job.location)}
+            </Text>
+          </View>
+
+          {!isOpen && (
+            <View className="rounded-2xl p-4 bg-amber-50 mb-4">
+              <Text className="text-sm font-medium text-amber-700">
+                This job is {status} and no longer taking applications.
+              </Text>
+            </View>
+          )}
+
+          {/* Job Details */}
+          <View className="rounded-2xl px-4 bg-neutral-100 mb-4">
+            <DetailRow
+              label={job.type === "permanent" ? "Salary" : "Wage"}
+              value={formatSalary(job)}
+            />
+            <DetailRow label="Type" value={toTitleCase(job.type)} />
+            <DetailRow
+              label={isMultiDate ? "Dates" : "Start Date"}
+              value={
+                isMultiDate
+                  ? `${jobDates.length} dates, ${openDates.length} open`
+                  : job.date
+              }
+            />
+            <DetailRow label="Shift" value={formatShift(job)} />
+            <DetailRow label="Hospital" value={toTitleCase(job.hospital)} />
+            <DetailRow label="Location" value={toTitleCase(job.location)} />
+            <DetailRow label="Status" value={toTitleCase(status)} />
+            <DetailRow label="Posted On" value={formatDate(job.createdAt)} />
+            {job.updatedAt && (
+              <DetailRow label="Updated On" value={formatDate(job.updatedAt)} />
+            )}
+          </View>
+
+          {/* Per-date fill status */}
+          {isMultiDate && (
+            <View className="rounded-2xl px-4 bg-neutral-100 mb-4">
+              {jobDates.map((date) => (
+                <DetailRow
+                  key={date}
+                  label={formatDateKey(date)}
+                  value={getDateStatus(job, date)}
+                />
+              ))}
+            </View>
+          )}
+
+          {/* Poster */}
+          <View className="rounded-2xl p-4 bg-neutral-100 mb-6">
+            <Text className="text-xs text-gray-600 uppercase tracking-wide mb-1">
+              Posted by
+            </Text>
+            <Text className="text-lg font-semibold">
+              {poster?.fullName || job.createdBy}
+            </Text>
+            {poster?.tcmcNumber && (
+              <View className="flex-row items-center gap-1 mt-1">
+                <Text className="text-sm text-gray-600">
+                  TCMC {poster.tcmcNumber}
+                </Text>
+                {poster.tcmcVerified && (
+                  <MaterialIcons name="verified" size={16} color="#1447e6" />
+                )}
+              </View>
+            )}
+          </View>
+
+          {/* Actions */}
+          {isOwner ? (
+            <Pressable
+              style={globalStyles.button}
+              onPress={handleEdit}
+              accessible={true}
+              accessibilityLabel="Edit job"
+            >
+              <Text className="text-lg font-bold text-white">Edit Job</Text>
+            </Pressable>
+          ) : application &&
+            application.status !== APPLICATION_STATUS.WITHDRAWN ? (
+            <View style={[globalStyles.button, styles.buttonDisabled]}>
+              <Text className="text-lg font-bold text-white">
+                Applied • {toTitleCase(application.status)}
+              </Text>
+            </View>
+          ) : (
+            <Pressable
+              style={[globalStyles.button, !isOpen && styles.buttonDisabled]}
+              onPress={openApplyModal}
+              disabled={!isOpen}
+              accessible={true}
+              accessibilityLabel="Apply for this job"
+            >
+              <Text className="text-lg font-bold text-white">Apply</Text>
+            </Pressable>
+          )}
+
+          <View className="flex-row gap-4 justify-center">
+            <Pressable
+              className="flex-row items-center gap-1 px-4 py-2"
+              onPress={handleShare}
+              accessible={true}
+              accessibilityLabel="Share job"
+            >
+              <MaterialIcons name="share" size={18} color="#1447e6" />
+              <Text className="text-sm font-bold text-blue-700">Share</Text>
+            </Pressable>
+            {/* Postings of deleted accounts have nobody to message */}
+            {!isOwner && !!job.createdById && (
+              <Pressable
+                className="flex-row items-center gap-1 px-4 py-2"
+                onPress={() =>
+                  openConversation(job, {
+                    id: job.createdById,
+                    name: poster?.fullName || job.createdBy,
+                  })
+                }
+                disabled={starting}
+                accessible={true}
+                accessibilityLabel="Message the poster"
+              >
+                <MaterialIcons
+                  name="chat-bubble-outline"
+                  size={18}
+                  color="#1447e6"
+                />
+                <Text className="text-sm font-bold text-blue-700">Message</Text>
+              </Pressable>
+            )}
+            {!isOwner && (
+              <Pressable
+                className="flex-row items-center gap-1 px-4 py-2"
+                onPress={() => setShowReportModal(true)}
+                accessible={true}
+                accessibilityLabel="Report job"
+              >
+                <MaterialIcons name="flag" size={18} color="#dc2626" />
+                <Text className="text-sm font-bold text-red-600">Report</Text>
+              </Pressable>
+            )}
+          </View>
+        </View>
+      </ScrollView>
+
+      {/* Apply Modal */}
+      <Modal
+        visible={showApplyModal}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setShowApplyModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            className="bg-white rounded-t-3xl max-h-4/5"
+            style={styles.modalShadow}
+          >
+            <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+              <Text className="text-lg font-semibold text-gray-800">
+                Apply for {job.position}
+              </Text>
+              <Pressable
+                onPress={() => setShowApplyModal(false)}
+                className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+                accessible={true}
+                accessibilityLabel="Close application"
+              >
+                <Text className="text-base font-medium text-gray-600">✕</Text>
+              </Pressable>
+            </View>
+            <View className="px-4 pb-8">
+              {isMultiDate && (
+                <View className="mb-4">
+                  <Text className="text-sm font-medium mb-2">
+                    Dates you can work
+                  </Text>
+                  <View className="flex-row flex-wrap gap-2">
+                    {openDates.map((date) => {
+                      const selected = selectedDates.includes(date);
+                      return (
+                        <Pressable
+                          key={date}
+                          className={`px-3 py-2 rounded-full border ${
+                            selected
+                              ? "bg-blue-700 border-blue-700"
+                              : "bg-white border-gray-200"
+                          }`}
+                          onPress={() => toggleSelectedDate(date)}
+                          accessible={true}
+                          accessibilityRole="checkbox"
+                          accessibilityState={{ checked: selected }}
+                          accessibilityLabel={formatDateKey(date)}
+                        >
+                          <Text
+                            className={`text-sm font-medium ${
+                              selected ? "text-white" : "text-gray-700"
+                            }`}
+                          >
+                            {formatDateKey(date)}
+                          </Text>
+                        </Pressable>
+                      );
+                    })}
+                  </View>
+                </View>
+              )}
+              <Text className="text-sm text-gray-600 mb-2">
+                Your name and TCMC number are shared with the poster. Add a
+                short note if you like.
+              </Text>
+              <TextInput
+                style={styles.noteInput}
+                placeholder="e.g. Available from 8 AM, 3 years casualty experience"
+                value={applicationNote}
+                onChangeText={setApplicationNote}
+                maxLength={MAX_APPLICATION_NOTE_LENGTH}
+                multiline
+              />
+              <Text className="text-xs text-gray-600 text-right mt-1 mb-4">
+                {applicationNote.length}/{MAX_APPLICATION_NOTE_LENGTH}
+              </Text>
+              <Pressable
+                style={[
+                  globalStyles.button,
+                  (isApplying || (isMultiDate && selectedDates.length === 0)) &&
+                    styles.buttonDisabled,
+                ]}
+                onPress={handleApply}
+                disabled={
+                  isApplying || (isMultiDate && selectedDates.length === 0)
+                }
+                accessible={true}
+                accessibilityLabel="Send application"
+              >
+                {isApplying ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text className="text-lg font-bold text-white">
+                    Send Application
+                  </Text>
+                )}
+              </Pressable>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Report Modal */}
+      <Modal
+        visible={showReportModal}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setShowReportModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            className="bg-white rounded-t-3xl max-h-4/5"
+            style={styles.modalShadow}
+          >
+            <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+              <Text className="text-lg font-semibold text-gray-800">
+                Report Job
+              </Text>
+              <Pressable
+                onPress={() => setShowReportModal(false)}
+                className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+                accessible={true}
+                accessibilityLabel="Close report options"
+              >
+                <Text className="text-base font-medium text-gray-600">✕</Text>
+              </Pressable>
+            </View>
+            <ScrollView className="px-4 pb-4">
+              {REPORT_REASONS.map((reason) => (
+                <Pressable
+                  key={reason}
+                  className="py-4 px-4 mb-2 bg-gray-50 rounded-xl border border-gray-200"
+                  onPress={() => handleReport(reason)}
+                  disabled={isReporting}
+                  accessible={true}
+                  accessibilityLabel={`Report as ${reason}`}
+                >
+                  <Text className="text-base font-medium text-gray-700">
+                    {reason}
+                  </Text>
+                </Pressable>
+              ))}
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  buttonDisabled: {
+    backgroundColor: "#9ca3af",
+  },
+  noteInput: {
+    borderBottomWidth: 1,
+    fontSize: 16,
+    paddingVertical: 12,
+    minHeight: 80,
+    textAlignVertical: "top",
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
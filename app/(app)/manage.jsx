@@ -1,9 +1,506 @@
-import { Text, View } from "react-native";
+import { router, useFocusEffect, useLocalSearchParams } from "expo-router";
+import React, { useCallback, useEffect, useState } from "react";
+import { Alert, RefreshControl, SectionList, Text, View } from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ApplicantsModal from "../../components/ui/ApplicantsModal";
+import ErrorMessage from "../../components/ui/ErrorMessage";
+import JobCardSkeleton from "../../components/ui/JobCardSkeleton";
+import PostingCard from "../../components/ui/PostingCard";
+import { APPLICATION_STATUS } from "../../constants/applications";
+import { DELETED_JOB_RETENTION_DAYS, JOB_STATUS } from "../../constants/jobs";
+import { globalStyles } from "../../constants/styles";
+import { useAuth } from "../../contexts/AuthContext";
+import { useMyJobs } from "../../hooks/useMyJobs";
+import { useReceivedApplications } from "../../hooks/useReceivedApplications";
+import { useStartConversation } from "../../hooks/useStartConversation";
+import {
+  acceptApplication,
+  declineApplication,
+} from "../../services/applications/review";
+import { deleteJob, purgeJob, restoreJob } from "../../services/jobs/delete";
+import { repostJob } from "../../services/jobs/post";
+import { updateJobStatus } from "../../services/jobs/update";
+import { formatDateKey, getJobDates, getPurgeDate } from "../../utils/jobUtils";
 
-export default function ManageScreen() {
+const SKELETON_COUNT = 3;
+const ITEM_SEPARATOR_HEIGHT = 16;
+const LIST_PADDING_BOTTOM = 16;
+
+function ManageHeader({ jobCount }) {
   return (
-    <View>
-      <Text>Hello</Text>
+    <View className="flex-col w-full gap-1 mb-6">
+      <Text className="text-4xl font-bold">My Postings</Text>
+      <Text className="text-base font-medium text-gray-600">
+        Keep track of the shifts you have posted.
+      </Text>
+
+      {jobCount > 0 && (
+        <Text className="text-xs text-gray-600 mt-2">
+          {jobCount} postings • Pull down to refresh
+        </Text>
+      )}
     </View>
   );
 }
+
+export default function ManageScreen() {
+  const { user } = useAuth();
+  const userId = user?.uid;
+  const userName = user?.displayName || user?.email;
+
+  const {
+    jobs,
+    sections,
+    loading,
+    error,
+    refreshing,
+    loadJobs,
+    onRefresh,
+    syncJobs,
+    updateLocalJob,
+    removeLocalJob,
+    addLocalJob,
+  } = useMyJobs(userId);
+
+  const { applicationsByJob, loadApplications, updateLocalApplication } =
+    useReceivedApplications(userId);
+
+  useFocusEffect(
+    useCallback(() => {
+      syncJobs();
+      loadApplications();
+    }, [syncJobs, loadApplications])
+  );
+
+  // Job whose applicants are shown in the modal
+  const [applicantsJobId, setApplicantsJobId] = useState(null);
+
+  // Notifications link here with the job whose applicants to show
+  const { applicantsJobId: linkedJobId } = useLocalSearchParams();
+  useEffect(() => {
+    if (!linkedJobId) return;
+    setApplicantsJobId(linkedJobId);
+    router.setParams({ applicantsJobId: undefined });
+  }, [linkedJobId]);
+  const [busyApplicationId, setBusyApplicationId] = useState(null);
+  const { openConversation } = useStartConversation();
+
+  // ID of the job with an action in flight, to disable its buttons
+  const [busyJobId, setBusyJobId] = useState(null);
+
+  const runAction = useCallback(async (jobId, action, onSuccess) => {
+    setBusyJobId(jobId);
+    try {
+      const result = await action();
+      if (result.success) {
+        onSuccess(result.data);
+      } else {
+        Alert.alert("Error", result.message);
+      }
+    } catch (error) {
+      console.error("Manage job error:", error);
+      Alert.alert("Error", "Something went wrong. Please try again.");
+    } finally {
+      setBusyJobId(null);
+    }
+  }, []);
+
+  const handleStatusChange = useCallback(
+    (job, status, title, message) => {
+      Alert.alert(title, message, [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Confirm",
+          onPress: () =>
+            runAction(
+              job.id,
+              () => updateJobStatus(job.id, status, userId),
+              (data) => updateLocalJob(job.id, data)
+            ),
+        },
+      ]);
+    },
+    [runAction, updateLocalJob, userId]
+  );
+
+  const handleRepost = useCallback(
+    (job) => {
+      runAction(
+        job.id,
+        () => repostJob(job, userId, userName),
+        (data) => {
+          addLocalJob(data);
+          Alert.alert("Reposted", `${job.position} is live again.`);
+        }
+      );
+    },
+    [runAction, addLocalJob, userId, userName]
+  );
+
+  const handleRestore = useCallback(
+    (job) => {
+      runAction(
+        job.id,
+        () => restoreJob(job.id, userId),
+        (data) => updateLocalJob(job.id, data)
+      );
+    },
+    [runAction, updateLocalJob, userId]
+  );
+
+  const handleDelete = useCallback(
+    (job) => {
+      Alert.alert(
+        "Delete Posting",
+        `Delete ${job.position} at ${job.hospital}? You can restore it from Recently Deleted for ${DELETED_JOB_RETENTION_DAYS} days.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Delete",
+            style: "destructive",
+            onPress: () =>
+              runAction(
+                job.id,
+                () => deleteJob(job.id, userId),
+                (data) => {
+                  updateLocalJob(job.id, data);
+                  Alert.alert(
+                    "Posting Deleted",
+                    `${job.position} was deleted.`,
+                    [
+                      { text: "Undo", onPress: () => handleRestore(job) },
+                      { text: "OK", style: "cancel" },
+                    ]
+                  );
+                }
+              ),
+          },
+        ]
+      );
+    },
+    [runAction, updateLocalJob, handleRestore, userId]
+  );
+
+  const handlePurge = useCallback(
+    (job) => {
+      Alert.alert(
+        "Delete Forever",
+        `Permanently delete ${job.position} at ${job.hospital}? This cannot be undone.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Delete Forever",
+            style: "destructive",
+            onPress: () =>
+              runAction(
+                job.id,
+                () => purgeJob(job.id, userId),
+                () => removeLocalJob(job.id)
+              ),
+          },
+        ]
+      );
+    },
+    [runAction, removeLocalJob, userId]
+  );
+
+  const handleReview = useCallback(
+    async (application, review) => {
+      setBusyApplicationId(application.id);
+      try {
+        const result = await review(application.id, userId);
+        if (result.success) {
+          updateLocalApplication(application.id, result.data.application);
+          if (result.data.job) {
+            updateLocalJob(result.data.job.id, result.data.job);
+          }
+          Alert.alert("Done", result.message);
+        } else {
+          Alert.alert("Error", result.message);
+        }
+      } catch (error) {
+        console.error("Review application error:", error);
+        Alert.alert("Error", "Something went wrong. Please try again.");
+      } finally {
+        setBusyApplicationId(null);
+      }
+    },
+    [updateLocalApplication, updateLocalJob, userId]
+  );
+
+  const handleAccept = useCallback(
+    (application) => {
+      const job = jobs.find((item) => item.id === application.jobId);
+      Alert.alert(
+        "Accept Applicant",
+        getJobDates(job).length > 1
+          ? `Accept ${application.applicantName} for the dates they picked that are still open?`
+          : `Accept ${application.applicantName}? The job will be marked as filled.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Accept",
+            onPress: () => handleReview(application, acceptApplication),
+          },
+        ]
+      );
+    },
+    [jobs, handleReview]
+  );
+
+  const handleDecline = useCallback(
+    (application) => handleReview(application, declineApplication),
+    [handleReview]
+  );
+
+  const handleMessage = useCallback(
+    (application) => {
+      const job = jobs.find((item) => item.id === application.jobId);
+      if (!job) return;
+
+      setApplicantsJobId(null);
+      openConversation(job, {
+        id: application.applicantId,
+        name: application.applicantName,
+      });
+    },
+    [jobs, openConversation]
+  );
+
+  const handleEdit = useCallback((job) => {
+    router.push({ pathname: "/(app)/post", params: { jobId: job.id } });
+  }, []);
+
+  const getActions = useCallback(
+    (job, status) => {
+      const deleteAction = {
+        label: "Delete",
+        icon: "delete-outline",
+        destructive: true,
+        onPress: () => handleDelete(job),
+      };
+
+      const applications = applicationsByJob[job.id] || [];
+      const pendingCount = applications.filter(
+        (application) => application.status === APPLICATION_STATUS.PENDING
+      ).length;
+      const applicantsAction = {
+        label: pendingCount > 0 ? `Applicants (${pendingCount})` : "Applicants",
+        icon: "people-outline",
+        onPress: () => setApplicantsJobId(job.id),
+      };
+
+      if (status === JOB_STATUS.DELETED) {
+        return [
+          {
+            label: "Restore",
+            icon: "restore",
+            onPress: () => handleRestore(job),
+          },
+          {
+            label: "Delete Forever",
+            icon: "delete-forever",
+            destructive: true,
+            onPress: () => handlePurge(job),
+          },
+        ];
+      }
+
+      if (status === JOB_STATUS.DRAFT || status === JOB_STATUS.SCHEDULED) {
+        return [
+          { label: "Edit", icon: "edit", onPress: () => handleEdit(job) },
+          {
+            label: status === JOB_STATUS.DRAFT ? "Publish" : "Publish Now",
+            icon: "publish",
+            onPress: () =>
+              handleStatusChange(
+                job,
+                JOB_STATUS.ACTIVE,
+                "Publish Posting",
+                "Doctors will be able to see and apply for this job."
+              ),
+          },
+          ...(status === JOB_STATUS.SCHEDULED
+            ? [
+                {
+                  label: "Unschedule",
+                  icon: "schedule",
+                  onPress: () =>
+                    handleStatusChange(
+                      job,
+                      JOB_STATUS.DRAFT,
+                      "Unschedule Posting",
+                      "Move this job back to your drafts? It will not be published."
+                    ),
+                },
+              ]
+            : []),
+          deleteAction,
+        ];
+      }
+
+      if (status === JOB_STATUS.ACTIVE) {
+        return [
+          applicantsAction,
+          { label: "Edit", icon: "edit", onPress: () => handleEdit(job) },
+          {
+            label: "Mark Filled",
+            icon: "check-circle-outline",
+            onPress: () =>
+              handleStatusChange(
+                job,
+                JOB_STATUS.FILLED,
+                "Mark as Filled",
+                "Doctors will no longer see this shift as open."
+              ),
+          },
+          {
+            label: "Close",
+            icon: "block",
+            onPress: () =>
+              handleStatusChange(
+                job,
+                JOB_STATUS.CLOSED,
+                "Close Posting",
+                "Close this posting without filling it?"
+              ),
+          },
+          deleteAction,
+        ];
+      }
+
+      return [
+        ...(applications.length > 0 ? [applicantsAction] : []),
+        { label: "Repost", icon: "replay", onPress: () => handleRepost(job) },
+        deleteAction,
+      ];
+    },
+    [
+      applicationsByJob,
+      handleDelete,
+      handleEdit,
+      handlePurge,
+      handleRepost,
+      handleRestore,
+      handleStatusChange,
+    ]
+  );
+
+  const renderJob = useCallback(
+    ({ item, section }) => {
+      const purgeDate = getPurgeDate(item);
+      const publishNote =
+        section.status === JOB_STATUS.SCHEDULED && item.publishAt
+          ? `Will be published on ${formatDateKey(item.publishAt)}`
+          : null;
+
+      return (
+        <PostingCard
+          job={item}
+          status={section.status}
+          actions={getActions(item, section.status)}
+          busy={busyJobId === item.id}
+          note={
+            purgeDate
+              ? `Will be permanently deleted on ${purgeDate.toLocaleDateString()}`
+              : publishNote
+          }
+        />
+      );
+    },
+    [getActions, busyJobId]
+  );
+
+  const renderSectionHeader = useCallback(
+    ({ section }) => (
+      <View className="bg-white pt-2 pb-3">
+        <Text className="text-sm font-semibold text-gray-600 uppercase tracking-wide">
+          {section.title} ({section.data.length})
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  const renderSeparator = useCallback(
+    () => <View style={{ height: ITEM_SEPARATOR_HEIGHT }} />,
+    []
+  );
+
+  const renderEmptyComponent = useCallback(
+    () => (
+      <View className="flex-1 justify-center items-center py-20">
+        <Text className="text-gray-600 text-center mb-2">
+          You have not posted any jobs yet
+        </Text>
+        <Text className="text-gray-600 text-sm text-center">
+          Jobs you post from the Post a Job tab will show up here
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <ManageHeader jobCount={0} />
+          <View className="gap-4">
+            {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+              <JobCardSkeleton key={index} />
+            ))}
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <ManageHeader jobCount={0} />
+          <ErrorMessage error={error} onRetry={() => loadJobs(false)} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+        <ManageHeader
+          jobCount={
+            jobs.filter((job) => job.status !== JOB_STATUS.DELETED).length
+          }
+        />
+        <SectionList
+          sections={sections}
+          renderItem={renderJob}
+          renderSectionHeader={renderSectionHeader}
+          keyExtractor={(item) => item.id}
+          showsVerticalScrollIndicator={false}
+          ItemSeparatorComponent={renderSeparator}
+          SectionSeparatorComponent={renderSeparator}
+          ListEmptyComponent={renderEmptyComponent}
+          contentContainerStyle={{ paddingBottom: LIST_PADDING_BOTTOM }}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          stickySectionHeadersEnabled={false}
+        />
+      </View>
+
+      <ApplicantsModal
+        job={jobs.find((job) => job.id === applicantsJobId)}
+        applications={applicationsByJob[applicantsJobId]}
+        busyApplicationId={busyApplicationId}
+        onAccept={handleAccept}
+        onDecline={handleDecline}
+        onMessage={handleMessage}
+        onClose={() => setApplicantsJobId(null)}
+      />
+    </SafeAreaView>
+  );
+}
@@ -0,0 +1,163 @@
+import { router } from "expo-router";
+import React, { useCallback } from "react";
+import { FlatList, Pressable, Text, View } from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ErrorMessage from "../../components/ui/ErrorMessage";
+import JobCardSkeleton from "../../components/ui/JobCardSkeleton";
+import { globalStyles } from "../../constants/styles";
+import { useAuth } from "../../contexts/AuthContext";
+import { useConversations } from "../../hooks/useConversations";
+import { toTitleCase } from "../../utils/textUtils";
+
+const SKELETON_COUNT = 3;
+const ITEM_SEPARATOR_HEIGHT = 12;
+const LIST_PADDING_BOTTOM = 16;
+
+// Time for today's messages, otherwise the date
+const formatMessageTime = (date) => {
+  const parsedDate = new Date(date);
+  if (isNaN(parsedDate.getTime())) return "";
+
+  return parsedDate.toDateString() === new Date().toDateString()
+    ? parsedDate.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : parsedDate.toLocaleDateString();
+};
+
+function MessagesHeader({ unreadCount }) {
+  return (
+    <View className="flex-col w-full gap-1 mb-6">
+      <Text className="text-4xl font-bold">Messages</Text>
+      <Text className="text-base font-medium text-gray-600">
+        Talk to posters and applicants about a job.
+      </Text>
+
+      {unreadCount > 0 && (
+        <Text className="text-xs text-gray-600 mt-2">{unreadCount} unread</Text>
+      )}
+    </View>
+  );
+}
+
+function ConversationRow({ conversation, userId }) {
+  const otherUserId = conversation.participants?.find((id) => id !== userId);
+  const unread = conversation.unreadCounts?.[userId] || 0;
+
+  return (
+    <Pressable
+      className="rounded-2xl p-4 bg-neutral-100"
+      onPress={() =>
+        router.push({
+          pathname: "/conversation/[id]",
+          params: { id: conversation.id },
+        })
+      }
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityHint="Opens the conversation"
+    >
+      <View className="flex-row justify-between items-start gap-x-2">
+        <View className="flex-1">
+          <Text className="text-base font-semibold">
+            {conversation.participantNames?.[otherUserId] || "Unknown"}
+          </Text>
+          <Text className="text-xs text-gray-600">
+            {conversation.jobPosition} • {toTitleCase(conversation.jobHospital)}
+          </Text>
+        </View>
+        <Text className="text-xs text-gray-600">
+          {formatMessageTime(conversation.lastMessageAt)}
+        </Text>
+      </View>
+
+      <View className="flex-row justify-between items-center mt-2 gap-x-2">
+        <Text
+          className={`flex-1 text-sm ${
+            unread > 0 ? "font-semibold text-gray-800" : "text-gray-600"
+          }`}
+          numberOfLines={1}
+        >
+          {conversation.lastMessage || "No messages yet"}
+        </Text>
+        {unread > 0 && (
+          <View className="min-w-5 h-5 px-1 rounded-full bg-blue-700 items-center justify-center">
+            <Text className="text-xs font-bold text-white">{unread}</Text>
+          </View>
+        )}
+      </View>
+    </Pressable>
+  );
+}
+
+export default function MessagesScreen() {
+  const { user } = useAuth();
+  const userId = user?.uid;
+  const { conversations, unreadCount, loading, error, retry } =
+    useConversations(userId);
+
+  const renderConversation = useCallback(
+    ({ item }) => <ConversationRow conversation={item} userId={userId} />,
+    [userId]
+  );
+
+  const renderSeparator = useCallback(
+    () => <View style={{ height: ITEM_SEPARATOR_HEIGHT }} />,
+    []
+  );
+
+  const renderEmptyComponent = useCallback(
+    () => (
+      <View className="flex-1 justify-center items-center py-20">
+        <Text className="text-gray-600 text-center mb-2">
+          No conversations yet
+        </Text>
+        <Text className="text-gray-600 text-sm text-center">
+          Message a poster from a job, or an applicant from My Postings
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <MessagesHeader unreadCount={0} />
+          <View className="gap-4">
+            {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+              <JobCardSkeleton key={index} />
+            ))}
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <MessagesHeader unreadCount={0} />
+          <ErrorMessage error={error} onRetry={retry} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+        <MessagesHeader unreadCount={unreadCount} />
+        <FlatList
+          data={conversations}
+          renderItem={renderConversation}
+          keyExtractor={(item) => item.id}
+          showsVerticalScrollIndicator={false}
+          ItemSeparatorComponent={renderSeparator}
+          ListEmptyComponent={renderEmptyComponent}
+          contentContainerStyle={{ paddingBottom: LIST_PADDING_BOTTOM }}
+        />
+      </View>
+    </SafeAreaView>
+  );
+}
@@ -0,0 +1,194 @@
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { router } from "expo-router";
+import React, { useCallback, useMemo } from "react";
+import { Alert, FlatList, Pressable, Text, View } from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ErrorMessage from "../../components/ui/ErrorMessage";
+import JobCardSkeleton from "../../components/ui/JobCardSkeleton";
+import { NOTIFICATION_ICONS } from "../../constants/notifications";
+import { globalStyles } from "../../constants/styles";
+import { useAuth } from "../../contexts/AuthContext";
+import { useNotifications } from "../../hooks/useNotifications";
+import {
+  markAllNotificationsRead,
+  markNotificationRead,
+} from "../../services/notifications/update";
+
+const SKELETON_COUNT = 3;
+const ITEM_SEPARATOR_HEIGHT = 12;
+const LIST_PADDING_BOTTOM = 16;
+
+// Time for today's notifications, otherwise the date
+const formatNotificationTime = (date) => {
+  const parsedDate = new Date(date);
+  if (isNaN(parsedDate.getTime())) return "";
+
+  return parsedDate.toDateString() === new Date().toDateString()
+    ? parsedDate.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : parsedDate.toLocaleDateString();
+};
+
+function InboxHeader({ unreadCount, onMarkAllRead }) {
+  return (
+    <View className="flex-col w-full gap-1 mb-6">
+      <Text className="text-4xl font-bold">Inbox</Text>
+      <Text className="text-base font-medium text-gray-600">
+        Applications, saved jobs and alert matches.
+      </Text>
+
+      {unreadCount > 0 && (
+        <View className="flex-row justify-between items-center mt-2">
+          <Text className="text-xs text-gray-600">{unreadCount} unread</Text>
+          <Pressable
+            onPress={onMarkAllRead}
+            accessible={true}
+            accessibilityRole="button"
+          >
+            <Text className="text-xs font-bold text-blue-700 underline">
+              Mark all as read
+            </Text>
+          </Pressable>
+        </View>
+      )}
+    </View>
+  );
+}
+
+function NotificationRow({ notification, onPress }) {
+  const unread = !notification.read;
+
+  return (
+    <Pressable
+      className={`flex-row gap-x-3 rounded-2xl p-4 ${
+        unread ? "bg-blue-50" : "bg-neutral-100"
+      }`}
+      onPress={() => onPress(notification)}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityHint="Opens the related job or application"
+    >
+      <MaterialIcons
+        name={NOTIFICATION_ICONS[notification.type] || "notifications-none"}
+        size={24}
+        color={unread ? "#1d4ed8" : "#4b5563"}
+      />
+      <View className="flex-1">
+        <View className="flex-row justify-between items-start gap-x-2">
+          <Text
+            className={`flex-1 text-base ${
+              unread ? "font-bold" : "font-semibold"
+            }`}
+          >
+            {notification.title}
+          </Text>
+          <Text className="text-xs text-gray-600">
+            {formatNotificationTime(notification.createdAt)}
+          </Text>
+        </View>
+        <Text className="text-sm text-gray-600 mt-1">{notification.body}</Text>
+      </View>
+    </Pressable>
+  );
+}
+
+export default function NotificationsScreen() {
+  const { user } = useAuth();
+  const userId = user?.uid;
+  const { notifications, loading, error, retry } = useNotifications(userId);
+
+  const unreadCount = useMemo(
+    () => notifications.filter((notification) => !notification.read).length,
+    [notifications]
+  );
+
+  const handleOpen = useCallback(
+    (notification) => {
+      // The listener refreshes the row, so there is nothing to undo on failure
+      if (!notification.read) {
+        markNotificationRead(userId, notification.id);
+      }
+
+      if (notification.link?.pathname) {
+        router.push(notification.link);
+      }
+    },
+    [userId]
+  );
+
+  const handleMarkAllRead = useCallback(async () => {
+    const result = await markAllNotificationsRead(userId);
+    if (!result.success) {
+      Alert.alert("Error", result.message);
+    }
+  }, [userId]);
+
+  const renderNotification = useCallback(
+    ({ item }) => <NotificationRow notification={item} onPress={handleOpen} />,
+    [handleOpen]
+  );
+
+  const renderSeparator = useCallback(
+    () => <View style={{ height: ITEM_SEPARATOR_HEIGHT }} />,
+    []
+  );
+
+  const renderEmptyComponent = useCallback(
+    () => (
+      <View className="flex-1 justify-center items-center py-20">
+        <Text className="text-gray-600 text-center mb-2">
+          No notifications yet
+        </Text>
+        <Text className="text-gray-600 text-sm text-center">
+          Updates on your applications, postings and alerts will appear here
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <InboxHeader unreadCount={0} />
+          <View className="gap-4">
+            {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+              <JobCardSkeleton key={index} />
+            ))}
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <InboxHeader unreadCount={0} />
+          <ErrorMessage error={error} onRetry={retry} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+        <InboxHeader
+          unreadCount={unreadCount}
+          onMarkAllRead={handleMarkAllRead}
+        />
+        <FlatList
+          data={notifications}
+          renderItem={renderNotification}
+          keyExtractor={(item) => item.id}
+          showsVerticalScrollIndicator={false}
+          ItemSeparatorComponent={renderSeparator}
+          ListEmptyComponent={renderEmptyComponent}
+          contentContainerStyle={{ paddingBottom: LIST_PADDING_BOTTOM }}
+        />
+      </View>
+    </SafeAreaView>
+  );
+}
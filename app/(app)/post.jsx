@@ -1,7 +1,10 @@
 // PostJobScreen.js
 import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import { router, useLocalSearchParams } from "expo-router";
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
+  ActivityIndicator,
   Alert,
   BackHandler,
   KeyboardAvoidingView,
@@ -10,27 +13,99 @@ import {
   Pressable,
   ScrollView,
   StyleSheet,
+  Switch,
   Text,
   TextInput,
   View,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
+import CalendarPicker from "../../components/ui/CalendarPicker";
+import {
+  DEFAULT_SALARY_UNIT_BY_TYPE,
+  JOB_STATUS,
+  MAX_JOB_DATES,
+  RECURRENCE_OPTIONS,
+  SALARY_UNITS,
+  TYPE_OPTIONS,
+} from "../../constants/jobs";
 import { globalStyles } from "../../constants/styles";
 import { useAuth } from "../../contexts/AuthContext";
+import { usePositions } from "../../hooks/usePositions";
+import { fetchJobById } from "../../services/jobs/fetch";
 import { postJob } from "../../services/jobs/post";
+import { updateJob } from "../../services/jobs/update";
+import {
+  addDaysToKey,
+  expandRecurrence,
+  formatDateKey,
+  formatJobDates,
+  getJobDates,
+  getPostingHorizonKey,
+  getTodayKey,
+} from "../../utils/jobUtils";
+import {
+  findPosition,
+  groupPositionsByCategory,
+  matchesPositionQuery,
+} from "../../utils/positionUtils";
+import {
+  findSalaryUnit,
+  formatRupees,
+  formatSalary,
+  getSalaryUnit,
+} from "../../utils/salaryUtils";
+import {
+  dateToShiftTime,
+  formatDuration,
+  formatShift,
+  formatShiftTime,
+  getShiftDuration,
+  shiftTimeToDate,
+} from "../../utils/shiftUtils";
 import { toTitleCase } from "../../utils/textUtils";
 
+const EMPTY_FORM = {
+  // Date keys, earliest first; permanent jobs have a single start date
+  dates: [],
+  hospital: "",
+  location: "",
+  position: "",
+  // Catalogue group of the position, e.g. "Nursing"
+  category: "",
+  salary: "",
+  // Optional top of a pay range
+  salaryMax: "",
+  // One of SALARY_UNITS, defaulted from the job type
+  salaryUnit: "",
+  salaryNegotiable: false,
+  // Shift times as "HH:mm"
+  shiftStart: "",
+  shiftEnd: "",
+  type: "",
+  // Date key to publish a new job on; empty publishes it straight away
+  publishAt: "",
+};
+
+const SHIFT_TIME_LABELS = {
+  shiftStart: "Start Time",
+  shiftEnd: "End Time",
+};
+
+// Where the time picker starts when a shift time has not been set
+const DEFAULT_SHIFT_TIMES = {
+  shiftStart: "08:00",
+  shiftEnd: "20:00",
+};
+
 const PostJobScreen = () => {
   const { user } = useAuth();
-  const [formData, setFormData] = useState({
-    date: "",
-    hospital: "",
-    location: "",
-    position: "",
-    salary: "",
-    schedule: "",
-    type: "",
-  });
+  const { positions } = usePositions();
+  // Opened with ?jobId=... from the Manage Jobs tab to edit a posting
+  const { jobId } = useLocalSearchParams();
+  const isEditMode = !!jobId;
+
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [isLoadingJob, setIsLoadingJob] = useState(false);
 
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -38,34 +113,104 @@ const PostJobScreen = () => {
 
   // Modal states
   const [showPositionModal, setShowPositionModal] = useState(false);
+  const [positionQuery, setPositionQuery] = useState("");
   const [showTypeModal, setShowTypeModal] = useState(false);
   const [showDateModal, setShowDateModal] = useState(false);
+  const [showPublishModal, setShowPublishModal] = useState(false);
+  // Repeat settings for building a run of relieving dates
+  const [repeatFrequency, setRepeatFrequency] = useState(
+    RECURRENCE_OPTIONS[1].value
+  );
+  const [repeatCount, setRepeatCount] = useState(4);
+  // Shift time being picked, "shiftStart" or "shiftEnd"
+  const [activeTimeField, setActiveTimeField] = useState(null);
+  // Free-text schedule of a job posted before shifts were structured
+  const [legacySchedule, setLegacySchedule] = useState("");
 
   // Input refs for focus management
   const hospitalRef = useRef(null);
   const locationRef = useRef(null);
   const salaryRef = useRef(null);
-  const scheduleRef = useRef(null);
+  const salaryMaxRef = useRef(null);
 
   const authenticatedUser = user?.displayName || user?.email;
   const userId = user?.uid;
 
-  const positionOptions = [
-    "General Practitioner",
-    "Casualty Duty",
-    "Resident Medical Officer",
-  ];
+  const exitEditMode = useCallback(() => {
+    setFormData(EMPTY_FORM);
+    setLegacySchedule("");
+    setErrors({});
+    router.setParams({ jobId: undefined });
+  }, []);
+
+  // Pre-fill the form with the job being edited
+  useEffect(() => {
+    if (!jobId) return;
+
+    let cancelled = false;
+
+    const loadJob = async () => {
+      setIsLoadingJob(true);
+      try {
+        const job = await fetchJobById(jobId, false);
+        if (cancelled) return;
+
+        if (!job) {
+          Alert.alert("Not Found", "This job no longer exists.");
+          exitEditMode();
+          return;
+        }
+
+        if (job.createdById !== userId) {
+          Alert.alert("Not Allowed", "You can only edit jobs you posted.");
+          exitEditMode();
+          return;
+        }
+
+        setFormData({
+          dates: getJobDates(job),
+          hospital: job.hospital || "",
+          location: job.location || "",
+          position: job.position || "",
+          category: job.category || "",
+          salary: job.salary ? String(job.salary) : "",
+          salaryMax: job.salaryMax ? String(job.salaryMax) : "",
+          salaryUnit: getSalaryUnit(job).value,
+          salaryNegotiable: job.salaryNegotiable === true,
+          shiftStart: job.shift?.start || "",
+          shiftEnd: job.shift?.end || "",
+          type: job.type || "",
+          // Scheduling is changed from My Postings once a job is saved
+          publishAt: "",
+        });
+        setLegacySchedule(job.shift ? "" : job.schedule || "");
+        setErrors({});
+      } catch (error) {
+        if (cancelled) return;
+        Alert.alert("Error", error.message);
+        exitEditMode();
+      } finally {
+        if (!cancelled) setIsLoadingJob(false);
+      }
+    };
+
+    loadJob();
 
-  const typeOptions = [
-    { label: "Permanent", value: "permanent" },
-    { label: "Relieving", value: "relieving" },
-  ];
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId, userId, exitEditMode]);
+
+  const closePositionModal = useCallback(() => {
+    setShowPositionModal(false);
+    setPositionQuery("");
+  }, []);
 
   // Handle Android back button for modals
   useEffect(() => {
     const onBackPress = () => {
       if (showPositionModal) {
-        setShowPositionModal(false);
+        closePositionModal();
         return true;
       }
       if (showTypeModal) {
@@ -76,6 +221,14 @@ const PostJobScreen = () => {
         setShowDateModal(false);
         return true;
       }
+      if (showPublishModal) {
+        setShowPublishModal(false);
+        return true;
+      }
+      if (activeTimeField) {
+        setActiveTimeField(null);
+        return true;
+      }
       return false;
     };
 
@@ -84,12 +237,19 @@ const PostJobScreen = () => {
       onBackPress
     );
     return () => subscription?.remove();
-  }, [showPositionModal, showTypeModal, showDateModal]);
+  }, [
+    showPositionModal,
+    showTypeModal,
+    showDateModal,
+    showPublishModal,
+    activeTimeField,
+    closePositionModal,
+  ]);
 
   const handleInputChange = useCallback(
     (name, value) => {
       // Format salary input with proper number formatting
-      if (name === "salary") {
+      if (name === "salary" || name === "salaryMax") {
         // Remove any non-numeric characters except decimal
         const numericValue = value.replace(/[^0-9.]/g, "");
         // Prevent multiple decimal points
@@ -131,102 +291,266 @@ const PostJobScreen = () => {
   const validateForm = useCallback(() => {
     const newErrors = {};
 
-    if (!formData.date) newErrors.date = "Job date is required";
+    if (formData.dates.length === 0) newErrors.dates = "Job date is required";
     if (!formData.hospital.trim())
       newErrors.hospital = "Hospital name is required";
     if (!formData.location.trim()) newErrors.location = "Location is required";
     if (!formData.position) newErrors.position = "Position is required";
     if (!formData.type) newErrors.type = "Job type is required";
-    if (!formData.schedule.trim()) newErrors.schedule = "Schedule is required";
+    if (!formData.shiftStart || !formData.shiftEnd) {
+      newErrors.shift = "Shift start and end times are required";
+    } else if (formData.shiftStart === formData.shiftEnd) {
+      newErrors.shift = "End time must be different from the start time";
+    }
 
-    // Enhanced salary validation
-    if (formData.type === "permanent") {
+    // Enhanced salary validation; the minimum depends on the pay unit
+    if (formData.type) {
+      const payLabel = formData.type === "permanent" ? "Salary" : "Wage";
+      const unit =
+        findSalaryUnit(formData.salaryUnit) ||
+        findSalaryUnit(DEFAULT_SALARY_UNIT_BY_TYPE[formData.type]);
       const salaryNum = parseFloat(formData.salary);
-      if (!formData.salary || isNaN(salaryNum) || salaryNum < 10000) {
-        newErrors.salary = "Salary must be at least ₹10,000";
-      }
-    } else if (formData.type === "relieving") {
-      const wageNum = parseFloat(formData.salary);
-      if (!formData.salary || isNaN(wageNum) || wageNum < 300) {
-        newErrors.salary = "Wage must be at least ₹300";
+
+      if (!formData.salary || isNaN(salaryNum) || salaryNum < unit.min) {
+        newErrors.salary = `${payLabel} must be at least ${formatRupees(unit.min)} ${unit.label.toLowerCase()}`;
+      } else if (formData.salaryMax) {
+        const maxNum = parseFloat(formData.salaryMax);
+        if (isNaN(maxNum) || maxNum <= salaryNum) {
+          newErrors.salaryMax = `Must be more than ${formatRupees(salaryNum)}`;
+        }
       }
     }
 
+    if (
+      formData.publishAt &&
+      formData.dates[0] &&
+      formData.publishAt > formData.dates[0]
+    ) {
+      newErrors.publishAt = "Publish date must be on or before the job date";
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   }, [formData]);
 
-  const handleSubmit = useCallback(async () => {
-    if (!validateForm() || isSubmitting) return;
+  // New jobs are published now, on their publish date, or kept as a draft
+  const handleSubmit = useCallback(
+    async (asDraft = false) => {
+      if (!validateForm() || isSubmitting) return;
 
-    setIsSubmitting(true);
+      setIsSubmitting(true);
 
-    try {
-      const submitData = {
-        date: formData.date,
-        hospital: formData.hospital.trim(),
-        location: formData.location.trim(),
-        position: formData.position,
-        salary: parseFloat(formData.salary),
-        schedule: formData.schedule.trim(),
-        type: formData.type,
-      };
+      try {
+        const submitData = {
+          date: formData.dates[0],
+          dates: formData.dates,
+          hospital: formData.hospital.trim(),
+          location: formData.location.trim(),
+          position: formData.position,
+          // Jobs posted before the catalogue have no category stored
+          category:
+            formData.category ||
+            findPosition(positions, formData.position)?.category ||
+            null,
+          salary: parseFloat(formData.salary),
+          salaryMax: formData.salaryMax ? parseFloat(formData.salaryMax) : null,
+          salaryUnit:
+            formData.salaryUnit || DEFAULT_SALARY_UNIT_BY_TYPE[formData.type],
+          salaryNegotiable: formData.salaryNegotiable,
+          shift: { start: formData.shiftStart, end: formData.shiftEnd },
+          type: formData.type,
+        };
 
-      const result = await postJob(submitData, userId, authenticatedUser);
+        if (isEditMode) {
+          const result = await updateJob(jobId, submitData, userId);
 
-      if (result.success) {
-        setSubmittedData(result.data);
-        setFormData({
-          date: "",
-          hospital: "",
-          location: "",
-          position: "",
-          salary: "",
-          schedule: "",
-          type: "",
+          if (result.success) {
+            exitEditMode();
+            Alert.alert("Saved!", "Your changes have been saved.", [
+              { text: "OK", onPress: () => router.navigate("/(app)/manage") },
+            ]);
+          } else {
+            Alert.alert("Error", result.message || "Failed to save changes");
+          }
+          return;
+        }
+
+        const result = await postJob(submitData, userId, authenticatedUser, {
+          status: asDraft
+            ? JOB_STATUS.DRAFT
+            : formData.publishAt
+              ? JOB_STATUS.SCHEDULED
+              : JOB_STATUS.ACTIVE,
+          publishAt: formData.publishAt || null,
         });
-        setErrors({});
-        Alert.alert("Success!", "Job posted successfully!");
-      } else {
-        Alert.alert("Error", result.message || "Failed to post job");
+
+        if (result.success) {
+          setSubmittedData(result.data);
+          setFormData(EMPTY_FORM);
+          setLegacySchedule("");
+          setErrors({});
+          Alert.alert("Success!", result.message);
+        } else {
+          Alert.alert("Error", result.message || "Failed to post job");
+        }
+      } catch (error) {
+        console.error("Post job error:", error);
+        Alert.alert("Error", "Something went wrong. Please try again.");
+      } finally {
+        setIsSubmitting(false);
       }
-    } catch (error) {
-      console.error("Post job error:", error);
-      Alert.alert("Error", "Something went wrong. Please try again.");
-    } finally {
-      setIsSubmitting(false);
-    }
-  }, [formData, isSubmitting, validateForm, userId, authenticatedUser]);
+    },
+    [
+      formData,
+      isSubmitting,
+      validateForm,
+      userId,
+      authenticatedUser,
+      isEditMode,
+      jobId,
+      exitEditMode,
+      positions,
+    ]
+  );
 
   const resetForm = useCallback(() => {
     setSubmittedData(null);
     setErrors({});
   }, []);
 
-  // Memoized date options generation for better performance
-  const dateOptions = useMemo(() => {
-    const options = [];
-    const today = new Date();
+  // Jobs can be posted from today up to the posting horizon
+  const minDate = getTodayKey();
+  const maxDate = getPostingHorizonKey();
+
+  const positionGroups = useMemo(
+    () =>
+      groupPositionsByCategory(
+        positions.filter((position) =>
+          matchesPositionQuery(position, positionQuery)
+        )
+      ),
+    [positions, positionQuery]
+  );
+
+  // Android closes its picker dialog on every change; iOS keeps the
+  // spinner open until Done is pressed
+  const handleTimeChange = useCallback(
+    (event, selectedDate) => {
+      const field = activeTimeField;
+      if (Platform.OS === "android") setActiveTimeField(null);
+      if (event.type === "dismissed" || !selectedDate || !field) return;
+
+      handleInputChange(field, dateToShiftTime(selectedDate));
+      // Both times share one error message
+      if (errors.shift) {
+        setErrors((prev) => {
+          const newErrors = { ...prev };
+          delete newErrors.shift;
+          return newErrors;
+        });
+      }
+    },
+    [activeTimeField, handleInputChange, errors.shift]
+  );
+
+  const openTimePicker = useCallback(
+    (field) => {
+      // The iOS spinner only reports changes, so an untouched spinner
+      // should still leave the time it shows
+      if (Platform.OS === "ios" && !formData[field]) {
+        handleInputChange(field, DEFAULT_SHIFT_TIMES[field]);
+      }
+      setActiveTimeField(field);
+    },
+    [formData, handleInputChange]
+  );
+
+  const shiftDuration = getShiftDuration(
+    formData.shiftStart,
+    formData.shiftEnd
+  );
+
+  // Relieving jobs can cover several dates; permanent jobs have a start date
+  const isMultiDateType = formData.type === "relieving";
+
+  const handleDateSelect = useCallback(
+    (date) => {
+      if (!isMultiDateType) {
+        handleInputChange("dates", [date]);
+        setShowDateModal(false);
+        return;
+      }
+
+      const dates = formData.dates.includes(date)
+        ? formData.dates.filter((item) => item !== date)
+        : [...formData.dates, date].sort();
+
+      if (dates.length > MAX_JOB_DATES) {
+        Alert.alert(
+          "Too Many Dates",
+          `A job can cover up to ${MAX_JOB_DATES} dates.`
+        );
+        return;
+      }
 
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() + i);
-      const dateString = date.toISOString().split("T")[0];
-      const displayDate = date.toLocaleDateString("en-US", {
+      handleInputChange("dates", dates);
+    },
+    [isMultiDateType, formData.dates, handleInputChange]
+  );
+
+  // Replace the selection with a run of dates from the first selected one,
+  // e.g. every Sunday for a month. Dates outside the allowed range are dropped.
+  const handleRepeat = useCallback(() => {
+    const startDate = formData.dates[0] || minDate;
+
+    handleInputChange(
+      "dates",
+      expandRecurrence(startDate, repeatFrequency, repeatCount).filter(
+        (date) => date >= minDate && date <= maxDate
+      )
+    );
+  }, [
+    formData.dates,
+    minDate,
+    maxDate,
+    repeatFrequency,
+    repeatCount,
+    handleInputChange,
+  ]);
+
+  const dateSummary = useMemo(() => {
+    const { dates } = formData;
+    if (dates.length === 0) return "";
+
+    if (dates.length === 1) {
+      return new Date(dates[0]).toLocaleDateString("en-US", {
         weekday: "short",
         month: "short",
         day: "numeric",
+        year: "numeric",
       });
-      options.push({ value: dateString, label: displayDate });
     }
-    return options;
-  }, []);
+
+    return `${dates.length} dates, ${formatDateKey(dates[0])} – ${formatDateKey(
+      dates[dates.length - 1]
+    )}`;
+  }, [formData]);
 
   // Focus management functions
   const focusNext = useCallback((nextRef) => {
     nextRef?.current?.focus();
   }, []);
 
+  if (isLoadingJob) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={globalStyles.content}>
+          <ActivityIndicator size="large" color="#1447e6" />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
   // Success Screen
   if (submittedData) {
     return (
@@ -244,10 +568,18 @@ const PostJobScreen = () => {
             <View className="flex-col gap-2 items-center">
               <MaterialIcons name="check-circle" size={24} color="green" />
               <Text className="text-2xl font-bold text-center">
-                Posted Successfully!
+                {submittedData.status === JOB_STATUS.DRAFT
+                  ? "Draft Saved"
+                  : submittedData.status === JOB_STATUS.SCHEDULED
+                    ? "Job Scheduled"
+                    : "Posted Successfully!"}
               </Text>
               <Text className="text-base font-medium text-gray-600 text-center">
-                Your job posting is now live and ready for applications.
+                {submittedData.status === JOB_STATUS.DRAFT
+                  ? "Publish it from Drafts on the Manage Jobs tab when you're ready."
+                  : submittedData.status === JOB_STATUS.SCHEDULED
+                    ? `It will be published on ${formatDateKey(submittedData.publishAt)}.`
+                    : "Your job posting is now live and ready for applications."}
               </Text>
             </View>
             <View className="border border-gray-300 rounded-2xl p-4 bg-white">
@@ -255,12 +587,18 @@ const PostJobScreen = () => {
                 { label: "Position", value: submittedData.position },
                 { label: "Hospital", value: submittedData.hospital },
                 { label: "Location", value: submittedData.location },
-                { label: "Date", value: submittedData.date },
-                { label: "Schedule", value: submittedData.schedule },
+                { label: "Date", value: formatJobDates(submittedData) },
+                {
+                  label: "Shift",
+                  value: formatShift(submittedData),
+                  // Keep "AM"/"PM" as they are
+                  titleCase: false,
+                },
                 { label: "Type", value: submittedData.type },
                 {
                   label: submittedData.type === "permanent" ? "Salary" : "Wage",
-                  value: `₹${submittedData.salary?.toLocaleString()}`,
+                  value: formatSalary(submittedData),
+                  titleCase: false,
                 },
               ].map((item, index) => (
                 <View
@@ -270,7 +608,11 @@ const PostJobScreen = () => {
                   <Text className="text-gray-600 font-medium">
                     {item.label}
                   </Text>
-                  <Text className="font-medium">{toTitleCase(item.value)}</Text>
+                  <Text className="font-medium">
+                    {item.titleCase === false
+                      ? item.value
+                      : toTitleCase(item.value)}
+                  </Text>
                 </View>
               ))}
             </View>
@@ -303,9 +645,13 @@ const PostJobScreen = () => {
             style={[globalStyles.content, { justifyContent: "flex-start" }]}
           >
             <View className="flex-col w-full gap-1 mb-6">
-              <Text className="text-4xl font-bold">Post a Job</Text>
+              <Text className="text-4xl font-bold">
+                {isEditMode ? "Edit Job" : "Post a Job"}
+              </Text>
               <Text className="text-base font-medium text-gray-600">
-                Let the right people find you.
+                {isEditMode
+                  ? "Fix the details of your posting."
+                  : "Let the right people find you."}
               </Text>
             </View>
 
@@ -485,16 +831,14 @@ const PostJobScreen = () => {
                         onChangeText={(value) =>
                           handleInputChange("salary", value)
                         }
-                        placeholder={
-                          formData.type === "permanent"
-                            ? "10,000 minimum"
-                            : "300 minimum"
-                        }
+                        // The ₹ is already shown in front of the input
+                        placeholder={`${formatRupees(
+                          getSalaryUnit(formData).min
+                        ).replace("₹", "")} minimum`}
                         keyboardType="numeric"
                         returnKeyType="next"
+                        onSubmitEditing={() => focusNext(salaryMaxRef)}
                         placeholderTextColor="#9ca3af"
-                        blurOnSubmit={false}
-                        onSubmitEditing={() => focusNext(scheduleRef)}
                         editable={!isSubmitting}
                         accessible={true}
                         accessibilityLabel={`${formData.type === "permanent" ? "Salary" : "Wage"} input`}
@@ -506,92 +850,233 @@ const PostJobScreen = () => {
                         {errors.salary}
                       </Text>
                     )}
+
+                    {/* Pay unit */}
+                    <View className="flex-row flex-wrap gap-2">
+                      {SALARY_UNITS.map((unit) => {
+                        const isSelected =
+                          getSalaryUnit(formData).value === unit.value;
+                        return (
+                          <Pressable
+                            key={unit.value}
+                            className={`px-3 py-2 rounded-full border ${
+                              isSelected
+                                ? "bg-blue-700 border-blue-700"
+                                : "bg-white border-gray-200"
+                            }`}
+                            onPress={() =>
+                              handleInputChange("salaryUnit", unit.value)
+                            }
+                            disabled={isSubmitting}
+                            accessible={true}
+                            accessibilityRole="radio"
+                            accessibilityState={{ selected: isSelected }}
+                            accessibilityLabel={unit.label}
+                          >
+                            <Text
+                              className={`text-sm font-medium ${
+                                isSelected ? "text-white" : "text-gray-700"
+                              }`}
+                            >
+                              {unit.label}
+                            </Text>
+                          </Pressable>
+                        );
+                      })}
+                    </View>
+
+                    {/* Optional top of the range */}
+                    <View className="relative">
+                      <Text style={styles.currencyPrefix}>₹</Text>
+                      <TextInput
+                        className="bg-neutral-100"
+                        ref={salaryMaxRef}
+                        style={[
+                          styles.modernInput,
+                          styles.currencyInput,
+                          errors.salaryMax && styles.errorInput,
+                        ]}
+                        value={formData.salaryMax}
+                        onChangeText={(value) =>
+                          handleInputChange("salaryMax", value)
+                        }
+                        placeholder="Up to (optional)"
+                        keyboardType="numeric"
+                        returnKeyType="done"
+                        placeholderTextColor="#9ca3af"
+                        editable={!isSubmitting}
+                        accessible={true}
+                        accessibilityLabel="Maximum pay input"
+                        accessibilityHint="Enter the top of the pay range in rupees, if there is one"
+                      />
+                    </View>
+                    {errors.salaryMax && (
+                      <Text className="text-sm text-red-500">
+                        {errors.salaryMax}
+                      </Text>
+                    )}
+
+                    <View className="flex-row items-center justify-between">
+                      <Text className="text-sm text-gray-700">
+                        Open to negotiation
+                      </Text>
+                      <Switch
+                        value={formData.salaryNegotiable}
+                        onValueChange={(value) =>
+                          handleInputChange("salaryNegotiable", value)
+                        }
+                        disabled={isSubmitting}
+                        accessibilityLabel="Pay is negotiable"
+                      />
+                    </View>
                   </View>
                 )}
 
-                {/* Job Date */}
+                {/* Job Dates */}
                 <View className="gap-2">
-                  <Text className="text-sm font-medium ">Start Date</Text>
+                  <Text className="text-sm font-medium ">
+                    {isMultiDateType ? "Dates" : "Start Date"}
+                  </Text>
                   <Pressable
                     className="bg-neutral-100"
                     style={[
                       styles.modernInput,
                       styles.selectInput,
-                      errors.date && styles.errorInput,
+                      errors.dates && styles.errorInput,
                     ]}
                     onPress={() => !isSubmitting && setShowDateModal(true)}
                     disabled={isSubmitting}
                     accessible={true}
-                    accessibilityLabel="Start date selector"
-                    accessibilityHint="Tap to select start date"
+                    accessibilityLabel={
+                      isMultiDateType ? "Dates selector" : "Start date selector"
+                    }
+                    accessibilityHint={
+                      isMultiDateType
+                        ? "Tap to select one or more dates"
+                        : "Tap to select start date"
+                    }
                     accessibilityValue={{
-                      text: formData.date
-                        ? new Date(formData.date).toLocaleDateString("en-US", {
-                            weekday: "long",
-                            month: "long",
-                            day: "numeric",
-                            year: "numeric",
-                          })
-                        : "No date selected",
+                      text: dateSummary || "No date selected",
                     }}
                   >
                     <View className="flex-row items-center">
                       <Text
                         style={[
                           styles.selectText,
-                          { color: formData.date ? "#374151" : "#9ca3af" },
+                          { color: dateSummary ? "#374151" : "#9ca3af" },
                         ]}
                       >
-                        {formData.date
-                          ? new Date(formData.date).toLocaleDateString(
-                              "en-US",
-                              {
-                                weekday: "short",
-                                month: "short",
-                                day: "numeric",
-                                year: "numeric",
-                              }
-                            )
-                          : "Select job date"}
+                        {dateSummary ||
+                          (isMultiDateType
+                            ? "Select job dates"
+                            : "Select job date")}
                       </Text>
                     </View>
                   </Pressable>
-                  {errors.date && (
-                    <Text className="text-sm text-red-500">{errors.date}</Text>
+                  {errors.dates && (
+                    <Text className="text-sm text-red-500">{errors.dates}</Text>
                   )}
                 </View>
 
-                {/* Schedule */}
+                {/* Shift */}
                 <View className="gap-2">
-                  <Text className="text-sm font-medium">Schedule</Text>
-                  <View>
-                    <TextInput
+                  <Text className="text-sm font-medium">Shift</Text>
+                  <View className="flex-row gap-x-3">
+                    {Object.entries(SHIFT_TIME_LABELS).map(([field, label]) => (
+                      <Pressable
+                        key={field}
+                        className="flex-1 bg-neutral-100"
+                        style={[
+                          styles.modernInput,
+                          styles.selectInput,
+                          errors.shift && styles.errorInput,
+                        ]}
+                        onPress={() => !isSubmitting && openTimePicker(field)}
+                        disabled={isSubmitting}
+                        accessible={true}
+                        accessibilityLabel={`Shift ${label.toLowerCase()} selector`}
+                        accessibilityHint={`Tap to select the shift ${label.toLowerCase()}`}
+                        accessibilityValue={{
+                          text: formData[field]
+                            ? formatShiftTime(formData[field])
+                            : "No time selected",
+                        }}
+                      >
+                        <Text
+                          style={[
+                            styles.selectText,
+                            {
+                              color: formData[field] ? "#374151" : "#9ca3af",
+                            },
+                          ]}
+                        >
+                          {formData[field]
+                            ? formatShiftTime(formData[field])
+                            : label}
+                        </Text>
+                        <MaterialIcons
+                          name="schedule"
+                          size={20}
+                          color="#6b7280"
+                        />
+                      </Pressable>
+                    ))}
+                  </View>
+                  {shiftDuration !== null &&
+                    formData.shiftStart !== formData.shiftEnd && (
+                      <Text className="text-sm text-gray-600">
+                        {formatDuration(shiftDuration)} shift
+                        {formData.shiftEnd < formData.shiftStart
+                          ? ", ends the next day"
+                          : ""}
+                      </Text>
+                    )}
+                  {legacySchedule && !formData.shiftStart && (
+                    <Text className="text-sm text-gray-600">
+                      Previously listed as “{legacySchedule}”
+                    </Text>
+                  )}
+                  {errors.shift && (
+                    <Text className="text-sm text-red-500">{errors.shift}</Text>
+                  )}
+                </View>
+
+                {/* Publish date */}
+                {!isEditMode && (
+                  <View className="gap-2">
+                    <Text className="text-sm font-medium">Publish</Text>
+                    <Pressable
                       className="bg-neutral-100"
-                      ref={scheduleRef}
                       style={[
                         styles.modernInput,
-                        errors.schedule && styles.errorInput,
+                        styles.selectInput,
+                        errors.publishAt && styles.errorInput,
                       ]}
-                      value={formData.schedule}
-                      onChangeText={(value) =>
-                        handleInputChange("schedule", value)
-                      }
-                      placeholder="e.g., 9:00 AM to 5:00 PM"
-                      returnKeyType="done"
-                      placeholderTextColor="#9ca3af"
-                      onSubmitEditing={handleSubmit}
-                      editable={!isSubmitting}
+                      onPress={() => !isSubmitting && setShowPublishModal(true)}
+                      disabled={isSubmitting}
                       accessible={true}
-                      accessibilityLabel="Schedule input"
-                      accessibilityHint="Enter the work schedule"
-                    />
+                      accessibilityLabel="Publish date selector"
+                      accessibilityHint="Tap to publish the job on a later date"
+                      accessibilityValue={{
+                        text: formData.publishAt
+                          ? formatDateKey(formData.publishAt)
+                          : "Immediately",
+                      }}
+                    >
+                      <Text style={[styles.selectText, { color: "#374151" }]}>
+                        {formData.publishAt
+                          ? `On ${formatDateKey(formData.publishAt)}`
+                          : "Immediately"}
+                      </Text>
+                      <MaterialIcons name="event" size={20} color="#6b7280" />
+                    </Pressable>
+                    {errors.publishAt && (
+                      <Text className="text-sm text-red-500">
+                        {errors.publishAt}
+                      </Text>
+                    )}
                   </View>
-                  {errors.schedule && (
-                    <Text className="text-sm text-red-500">
-                      {errors.schedule}
-                    </Text>
-                  )}
-                </View>
+                )}
               </View>
             </View>
 
@@ -601,18 +1086,119 @@ const PostJobScreen = () => {
                 styles.submitButton,
                 isSubmitting && styles.submitButtonDisabled,
               ]}
-              onPress={handleSubmit}
+              onPress={() => handleSubmit()}
               disabled={isSubmitting}
               accessible={true}
-              accessibilityLabel={isSubmitting ? "Posting job" : "Post job"}
+              accessibilityLabel={
+                isEditMode
+                  ? isSubmitting
+                    ? "Saving changes"
+                    : "Save changes"
+                  : isSubmitting
+                    ? "Posting job"
+                    : formData.publishAt
+                      ? "Schedule job"
+                      : "Post job"
+              }
               accessibilityHint="Submit the job posting form"
             >
               <Text className="text-lg font-bold text-white">
-                {isSubmitting ? "Posting Job..." : "Post Job"}
+                {isEditMode
+                  ? isSubmitting
+                    ? "Saving Changes..."
+                    : "Save Changes"
+                  : isSubmitting
+                    ? "Posting Job..."
+                    : formData.publishAt
+                      ? "Schedule Job"
+                      : "Post Job"}
               </Text>
             </Pressable>
 
+            {!isEditMode && (
+              <Pressable
+                className="self-center mb-4"
+                onPress={() => handleSubmit(true)}
+                disabled={isSubmitting}
+                accessible={true}
+                accessibilityLabel="Save as draft"
+                accessibilityHint="Save the job without publishing it"
+              >
+                <Text className="text-sm font-bold text-blue-700 underline">
+                  Save as Draft
+                </Text>
+              </Pressable>
+            )}
+
+            {isEditMode && (
+              <Pressable
+                className="self-center mb-4"
+                onPress={exitEditMode}
+                disabled={isSubmitting}
+                accessible={true}
+                accessibilityLabel="Cancel editing"
+              >
+                <Text className="text-sm font-bold text-blue-700 underline">
+                  Cancel Editing
+                </Text>
+              </Pressable>
+            )}
+
             {/* Modals */}
+            {/* Publish Date Modal */}
+            <Modal visible={showPublishModal} animationType="slide" transparent>
+              <View style={styles.modalOverlay}>
+                <View
+                  className="bg-white rounded-t-3xl max-h-4/5"
+                  style={styles.modalShadow}
+                >
+                  <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+                    <Text className="text-lg font-semibold text-gray-800">
+                      Publish On
+                    </Text>
+                    <Pressable
+                      onPress={() => setShowPublishModal(false)}
+                      className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+                      accessible={true}
+                      accessibilityLabel="Close publish date selector"
+                    >
+                      <Text className="text-base font-medium text-gray-600">
+                        ✕
+                      </Text>
+                    </Pressable>
+                  </View>
+                  <ScrollView className="px-4 pb-4">
+                    <CalendarPicker
+                      selectedDates={
+                        formData.publishAt ? [formData.publishAt] : []
+                      }
+                      onSelectDate={(date) => {
+                        handleInputChange("publishAt", date);
+                        setShowPublishModal(false);
+                      }}
+                      // Scheduled jobs go live from tomorrow, and no later
+                      // than their first date
+                      minDate={addDaysToKey(minDate, 1)}
+                      maxDate={formData.dates[0] || maxDate}
+                    />
+                    <Pressable
+                      className="items-center py-3 rounded-2xl bg-neutral-100 mt-4 mb-4"
+                      onPress={() => {
+                        handleInputChange("publishAt", "");
+                        setShowPublishModal(false);
+                      }}
+                      accessible={true}
+                      accessibilityLabel="Publish immediately"
+                    >
+                      <Text className="text-base font-bold text-gray-700">
+                        Publish Immediately
+                      </Text>
+                    </Pressable>
+                  </ScrollView>
+                </View>
+              </View>
+            </Modal>
+
             {/* Date Modal */}
             <Modal visible={showDateModal} animationType="slide" transparent>
               <View style={styles.modalOverlay}>
@@ -622,7 +1208,7 @@ const PostJobScreen = () => {
                 >
                   <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
                     <Text className="text-lg font-semibold text-gray-800">
-                      Select Job Date
+                      {isMultiDateType ? "Select Job Dates" : "Select Job Date"}
                     </Text>
                     <Pressable
                       onPress={() => setShowDateModal(false)}
@@ -635,24 +1221,168 @@ const PostJobScreen = () => {
                       </Text>
                     </Pressable>
                   </View>
-                  <ScrollView className="px-4 pb-4">
-                    {dateOptions.map((option) => (
+
+                  {/* Repeat */}
+                  {isMultiDateType && (
+                    <View className="px-4 pb-2 gap-2">
+                      <Text className="text-sm text-gray-600">
+                        Pick dates below, or repeat from{" "}
+                        {formData.dates[0]
+                          ? formatDateKey(formData.dates[0])
+                          : "today"}
+                        :
+                      </Text>
+                      <View className="flex-row items-center gap-2">
+                        {RECURRENCE_OPTIONS.map((option) => (
+                          <Pressable
+                            key={option.value}
+                            className={`px-3 py-2 rounded-full border ${
+                              repeatFrequency === option.value
+                                ? "bg-blue-700 border-blue-700"
+                                : "bg-white border-gray-200"
+                            }`}
+                            onPress={() => setRepeatFrequency(option.value)}
+                            accessible={true}
+                            accessibilityRole="radio"
+                            accessibilityState={{
+                              selected: repeatFrequency === option.value,
+                            }}
+                            accessibilityLabel={option.label}
+                          >
+                            <Text
+                              className={`text-sm font-medium ${
+                                repeatFrequency === option.value
+                                  ? "text-white"
+                                  : "text-gray-700"
+                              }`}
+                            >
+                              {option.label}
+                            </Text>
+                          </Pressable>
+                        ))}
+                      </View>
+                      <View className="flex-row items-center justify-between">
+                        <View className="flex-row items-center gap-3">
+                          <Pressable
+                            className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+                            onPress={() =>
+                              setRepeatCount((prev) => Math.max(2, prev - 1))
+                            }
+                            accessible={true}
+                            accessibilityLabel="Fewer dates"
+                          >
+                            <MaterialIcons
+                              name="remove"
+                              size={18}
+                              color="#374151"
+                            />
+                          </Pressable>
+                          <Text className="text-base font-medium">
+                            {repeatCount} times
+                          </Text>
+                          <Pressable
+                            className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+                            onPress={() =>
+                              setRepeatCount((prev) =>
+                                Math.min(MAX_JOB_DATES, prev + 1)
+                              )
+                            }
+                            accessible={true}
+                            accessibilityLabel="More dates"
+                          >
+                            <MaterialIcons
+                              name="add"
+                              size={18}
+                              color="#374151"
+                            />
+                          </Pressable>
+                        </View>
+                        <Pressable
+                          onPress={handleRepeat}
+                          accessible={true}
+                          accessibilityRole="button"
+                          accessibilityLabel="Fill in repeating dates"
+                        >
+                          <Text className="text-sm font-bold text-blue-700 underline">
+                            Fill Dates
+                          </Text>
+                        </Pressable>
+                      </View>
+                    </View>
+                  )}
+
+                  <CalendarPicker
+                    selectedDates={formData.dates}
+                    onSelectDate={handleDateSelect}
+                    minDate={minDate}
+                    maxDate={maxDate}
+                  />
+
+                  {isMultiDateType && (
+                    <View className="px-4 pb-6 pt-2 border-t border-t-gray-200">
                       <Pressable
-                        key={option.value}
-                        className="py-4 px-4 mb-2 bg-gray-50 rounded-xl border border-gray-200"
-                        onPress={() => {
-                          handleInputChange("date", option.value);
-                          setShowDateModal(false);
-                        }}
+                        style={globalStyles.button}
+                        onPress={() => setShowDateModal(false)}
                         accessible={true}
-                        accessibilityLabel={`Select ${option.label}`}
+                        accessibilityLabel="Done selecting dates"
                       >
-                        <Text className="text-base font-medium text-gray-700">
-                          {option.label}
+                        <Text className="text-lg font-bold text-white">
+                          Done ({formData.dates.length} selected)
                         </Text>
                       </Pressable>
-                    ))}
-                  </ScrollView>
+                    </View>
+                  )}
+                </View>
+              </View>
+            </Modal>
+
+            {/* Shift Time Picker */}
+            {activeTimeField && Platform.OS === "android" && (
+              <DateTimePicker
+                value={shiftTimeToDate(
+                  formData[activeTimeField] ||
+                    DEFAULT_SHIFT_TIMES[activeTimeField]
+                )}
+                mode="time"
+                onChange={handleTimeChange}
+              />
+            )}
+            <Modal
+              visible={!!activeTimeField && Platform.OS === "ios"}
+              animationType="slide"
+              transparent
+            >
+              <View style={styles.modalOverlay}>
+                <View
+                  className="bg-white rounded-t-3xl max-h-4/5"
+                  style={styles.modalShadow}
+                >
+                  <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+                    <Text className="text-lg font-semibold text-gray-800">
+                      Select {SHIFT_TIME_LABELS[activeTimeField]}
+                    </Text>
+                    <Pressable
+                      onPress={() => setActiveTimeField(null)}
+                      className="px-3 h-8 rounded-full bg-gray-100 items-center justify-center"
+                      accessible={true}
+                      accessibilityLabel="Done selecting time"
+                    >
+                      <Text className="text-base font-medium text-gray-600">
+                        Done
+                      </Text>
+                    </Pressable>
+                  </View>
+                  {activeTimeField && (
+                    <DateTimePicker
+                      value={shiftTimeToDate(
+                        formData[activeTimeField] ||
+                          DEFAULT_SHIFT_TIMES[activeTimeField]
+                      )}
+                      mode="time"
+                      display="spinner"
+                      onChange={handleTimeChange}
+                    />
+                  )}
                 </View>
               </View>
             </Modal>
@@ -673,7 +1403,7 @@ const PostJobScreen = () => {
                       Select Position
                     </Text>
                     <Pressable
-                      onPress={() => setShowPositionModal(false)}
+                      onPress={closePositionModal}
                       className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
                       accessible={true}
                       accessibilityLabel="Close position selector"
@@ -683,23 +1413,52 @@ const PostJobScreen = () => {
                       </Text>
                     </Pressable>
                   </View>
-                  <ScrollView className="px-4 pb-4">
-                    {positionOptions.map((option) => (
-                      <Pressable
-                        key={option}
-                        className="py-4 px-4 mb-2 bg-gray-50 rounded-xl border border-gray-200"
-                        onPress={() => {
-                          handleInputChange("position", option);
-                          setShowPositionModal(false);
-                        }}
-                        accessible={true}
-                        accessibilityLabel={`Select ${option}`}
-                      >
-                        <Text className="text-base font-medium text-gray-700">
-                          {option}
+                  <View className="px-4 mb-2">
+                    <TextInput
+                      className="bg-neutral-100"
+                      style={styles.modernInput}
+                      value={positionQuery}
+                      onChangeText={setPositionQuery}
+                      placeholder="Search positions"
+                      placeholderTextColor="#9ca3af"
+                      autoCorrect={false}
+                      accessible={true}
+                      accessibilityLabel="Search positions"
+                    />
+                  </View>
+                  <ScrollView
+                    className="px-4 pb-4"
+                    keyboardShouldPersistTaps="handled"
+                  >
+                    {positionGroups.map((group) => (
+                      <View key={group.category}>
+                        <Text className="text-xs text-gray-600 uppercase tracking-wide mt-2 mb-2">
+                          {group.category}
                         </Text>
-                      </Pressable>
+                        {group.positions.map((option) => (
+                          <Pressable
+                            key={option.id}
+                            className="py-4 px-4 mb-2 bg-gray-50 rounded-xl border border-gray-200"
+                            onPress={() => {
+                              handleInputChange("position", option.name);
+                              handleInputChange("category", option.category);
+                              closePositionModal();
+                            }}
+                            accessible={true}
+                            accessibilityLabel={`Select ${option.name}`}
+                          >
+                            <Text className="text-base font-medium text-gray-700">
+                              {option.name}
+                            </Text>
+                          </Pressable>
+                        ))}
+                      </View>
                     ))}
+                    {positionGroups.length === 0 && (
+                      <Text className="text-sm text-gray-600 py-4 text-center">
+                        No positions match your search
+                      </Text>
+                    )}
                   </ScrollView>
                 </View>
               </View>
@@ -728,12 +1487,29 @@ const PostJobScreen = () => {
                     </Pressable>
                   </View>
                   <ScrollView className="px-4 pb-4">
-                    {typeOptions.map((option) => (
+                    {TYPE_OPTIONS.map((option) => (
                       <Pressable
                         key={option.value}
                         className="py-4 px-4 mb-2 bg-gray-50 rounded-xl border border-gray-200"
                         onPress={() => {
                           handleInputChange("type", option.value);
+                          // Start from the usual pay unit for the type
+                          if (option.value !== formData.type) {
+                            handleInputChange(
+                              "salaryUnit",
+                              DEFAULT_SALARY_UNIT_BY_TYPE[option.value]
+                            );
+                          }
+                          // Permanent jobs keep only their start date
+                          if (
+                            option.value === "permanent" &&
+                            formData.dates.length > 1
+                          ) {
+                            handleInputChange(
+                              "dates",
+                              formData.dates.slice(0, 1)
+                            );
+                          }
                           setShowTypeModal(false);
                         }}
                         accessible={true}
@@ -0,0 +1,159 @@
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { router } from "expo-router";
+import React, { useCallback } from "react";
+import { FlatList, Pressable, RefreshControl, Text, View } from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import ErrorMessage from "../../components/ui/ErrorMessage";
+import JobCard from "../../components/ui/JobCard";
+import JobCardSkeleton from "../../components/ui/JobCardSkeleton";
+import { JOB_STATUS } from "../../constants/jobs";
+import { globalStyles } from "../../constants/styles";
+import { useSavedJobList } from "../../hooks/useSavedJobList";
+import { useSavedJobs } from "../../hooks/useSavedJobs";
+import { getPostingStatus } from "../../utils/jobUtils";
+
+const SKELETON_COUNT = 3;
+const ITEM_SEPARATOR_HEIGHT = 16;
+const LIST_PADDING_BOTTOM = 16;
+
+function SavedHeader({ jobCount, unavailableCount }) {
+  return (
+    <View className="flex-col w-full gap-1 mb-6">
+      <View className="flex-row items-center gap-3">
+        <Pressable
+          onPress={() =>
+            router.canGoBack() ? router.back() : router.replace("/(app)/")
+          }
+          className="w-10 h-10 rounded-full bg-neutral-100 items-center justify-center"
+          accessible={true}
+          accessibilityLabel="Go back"
+        >
+          <MaterialIcons name="arrow-back" size={22} color="#374151" />
+        </Pressable>
+        <Text className="text-4xl font-bold">Saved</Text>
+      </View>
+      <Text className="text-base font-medium text-gray-600">
+        Jobs you bookmarked to come back to.
+      </Text>
+
+      {jobCount > 0 && (
+        <Text className="text-xs text-gray-600 mt-2">
+          {jobCount} saved
+          {unavailableCount > 0 && ` • ${unavailableCount} no longer available`}
+          {" • Pull down to refresh"}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+// Stand-in for a saved job that has been permanently deleted
+function RemovedJobCard({ jobId, onRemove }) {
+  return (
+    <View className="rounded-2xl p-4 bg-neutral-100 flex-row items-center justify-between gap-x-2">
+      <View className="flex-1">
+        <Text className="text-lg font-semibold">Job removed</Text>
+        <Text className="text-sm text-gray-600">
+          The poster has deleted this job
+        </Text>
+      </View>
+      <Pressable
+        className="flex-row items-center gap-1 px-3 py-2 rounded-full bg-white"
+        onPress={() => onRemove(jobId)}
+        accessible={true}
+        accessibilityLabel="Remove from saved jobs"
+      >
+        <MaterialIcons name="bookmark-remove" size={16} color="#dc2626" />
+        <Text className="text-sm font-medium text-red-600">Remove</Text>
+      </Pressable>
+    </View>
+  );
+}
+
+export default function SavedScreen() {
+  const { savedJobIds, toggleSaved } = useSavedJobs();
+  const { items, loading, error, refreshing, loadJobs, onRefresh } =
+    useSavedJobList(savedJobIds);
+
+  const unavailableCount = items.filter(
+    ({ job }) => !job || getPostingStatus(job) !== JOB_STATUS.ACTIVE
+  ).length;
+
+  const renderItem = useCallback(
+    ({ item }) =>
+      item.job ? (
+        <JobCard job={item.job} />
+      ) : (
+        <RemovedJobCard jobId={item.id} onRemove={toggleSaved} />
+      ),
+    [toggleSaved]
+  );
+
+  const renderSeparator = useCallback(
+    () => <View style={{ height: ITEM_SEPARATOR_HEIGHT }} />,
+    []
+  );
+
+  const renderEmptyComponent = useCallback(
+    () => (
+      <View className="flex-1 justify-center items-center py-20">
+        <Text className="text-gray-600 text-center mb-2">
+          You have not saved any jobs yet
+        </Text>
+        <Text className="text-gray-600 text-sm text-center">
+          Tap the bookmark on a job to keep it here
+        </Text>
+      </View>
+    ),
+    []
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <SavedHeader jobCount={0} unavailableCount={0} />
+          <View className="gap-4">
+            {Array.from({ length: SKELETON_COUNT }, (_, index) => (
+              <JobCardSkeleton key={index} />
+            ))}
+          </View>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (error) {
+    return (
+      <SafeAreaView style={globalStyles.safeAreaContainer}>
+        <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+          <SavedHeader jobCount={0} unavailableCount={0} />
+          <ErrorMessage error={error} onRetry={() => loadJobs(false)} />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={globalStyles.safeAreaContainer}>
+      <View style={[globalStyles.content, { justifyContent: "flex-start" }]}>
+        <SavedHeader
+          jobCount={items.length}
+          unavailableCount={unavailableCount}
+        />
+        <FlatList
+          data={items}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.id}
+          showsVerticalScrollIndicator={false}
+          ItemSeparatorComponent={renderSeparator}
+          ListEmptyComponent={renderEmptyComponent}
+          contentContainerStyle={{ paddingBottom: LIST_PADDING_BOTTOM }}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+        />
+      </View>
+    </SafeAreaView>
+  );
+}
@@ -16,6 +16,13 @@ import { Link, router } from "expo-router";
 import { useAuth } from "../../contexts/AuthContext";
 import { globalStyles } from "../../constants/styles";
 import { SafeAreaView } from "react-native-safe-area-context";
+import {
+  formatPhoneNumber,
+  validateEmail,
+  validateFullName,
+  validatePassword,
+  validatePhoneNumber,
+} from "../../utils/profileUtils";
 
 export default function SignUpScreen() {
   const [formData, setFormData] = useState({
@@ -82,19 +89,6 @@ export default function SignUpScreen() {
     }
   };
 
-  // Phone number formatting function
-  const formatPhoneNumber = (text) => {
-    if (!text.startsWith("+91")) {
-      text = "+91 " + text.replace(/^\+?91\s?/, "");
-    }
-    const cleaned = text.replace(/^\+91\s?/, "").replace(/\D/g, "");
-    if (cleaned.length <= 5) {
-      return `+91 ${cleaned}`;
-    } else {
-      return `+91 ${cleaned.slice(0, 5)} ${cleaned.slice(5, 10)}`;
-    }
-  };
-
   // ← NEW: TCMC number formatting function
   const formatTcmcNumber = (text) => {
     // Remove all non-numeric characters
@@ -106,35 +100,13 @@ export default function SignUpScreen() {
   const validateField = (field, value, passwordForConfirm = null) => {
     switch (field) {
       case "fullName":
-        if (!value.trim()) {
-          return "Full name is required";
-        } else if (value.trim().length < 2) {
-          return "Full name must be at least 2 characters";
-        }
-        return null;
+        return validateFullName(value);
 
       case "email":
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!value.trim()) {
-          return "Email is required";
-        } else if (!emailRegex.test(value.trim())) {
-          return "Please enter a valid email address";
-        }
-        return null;
+        return validateEmail(value);
 
       case "phoneNumber":
-        const cleanedPhone = value.replace(/^\+91\s?/, "").replace(/\D/g, "");
-
-        if (!value.trim() || value.trim() === "+91") {
-          return "Phone number is required";
-        } else if (cleanedPhone.length < 10) {
-          return "Please enter a valid 10-digit phone number";
-        } else if (cleanedPhone.length > 10) {
-          return "Phone number should be 10 digits";
-        } else if (!cleanedPhone.match(/^[6-9]\d{9}$/)) {
-          return "Please enter a valid Indian mobile number";
-        }
-        return null;
+        return validatePhoneNumber(value);
 
       // ← NEW: TCMC number validation
       case "tcmcNumber":
@@ -152,16 +124,7 @@ export default function SignUpScreen() {
         return null;
 
       case "password":
-        if (!value) {
-          return "Password is required";
-        } else if (value.length < 6) {
-          return "Password must be at least 6 characters";
-        } else if (!/(?=.*[a-z])/.test(value)) {
-          return "Password must contain at least one lowercase letter";
-        } else if (!/(?=.*\d)/.test(value)) {
-          return "Password must contain at least one number";
-        }
-        return null;
+        return validatePassword(value);
 
       case "confirmPassword":
         const passwordToCompare = passwordForConfirm || formData.password;
@@ -264,15 +227,10 @@ export default function SignUpScreen() {
 
     if (formData.fullName.trim().length < 2) return false;
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(formData.email)) return false;
+    if (validateEmail(formData.email)) return false;
 
     // Phone number validation
-    const cleanedPhone = formData.phoneNumber
-      .replace(/^\+91\s?/, "")
-      .replace(/\D/g, "");
-    if (cleanedPhone.length !== 10 || !cleanedPhone.match(/^[6-9]\d{9}$/))
-      return false;
+    if (validatePhoneNumber(formData.phoneNumber)) return false;
 
     // ← NEW: TCMC number validation
     const cleanedTcmc = formData.tcmcNumber.replace(/\D/g, "");
@@ -283,9 +241,7 @@ export default function SignUpScreen() {
     )
       return false;
 
-    if (formData.password.length < 6) return false;
-    if (!/(?=.*[a-z])/.test(formData.password)) return false;
-    if (!/(?=.*\d)/.test(formData.password)) return false;
+    if (validatePassword(formData.password)) return false;
 
     if (formData.password !== formData.confirmPassword) return false;
 
@@ -1,7 +1,7 @@
 import { Stack } from "expo-router";
 import { StatusBar } from "expo-status-bar";
 import { useEffect } from "react";
-import { router } from "expo-router";
+import { router, useSegments } from "expo-router";
 import "react-native-reanimated";
 import { AuthProvider, useAuth } from "@/contexts/AuthContext";
 import "../global.css";
@@ -9,21 +9,29 @@ import "../global.css";
 // Create a separate component for navigation logic
 function NavigationHandler({ children }) {
   const { user, isLoading } = useAuth();
+  const segments = useSegments();
+  const inAuthGroup = segments[0] === "(auth)";
 
   useEffect(() => {
     if (!isLoading) {
       if (!user) {
         // No user, redirect to sign-in
-        router.replace("/(auth)/sign-in");
+        if (segments[1] !== "sign-in" && segments[1] !== "sign-up") {
+          router.replace("/(auth)/sign-in");
+        }
       } else if (!user.emailVerified) {
         // User exists but not verified, redirect to verify-email
-        router.replace("/(auth)/verify-email");
-      } else {
-        // User verified, redirect to main app
+        if (segments[1] !== "verify-email") {
+          router.replace("/(auth)/verify-email");
+        }
+      } else if (inAuthGroup) {
+        // User verified, redirect to main app. Routes inside the app
+        // (e.g. a job opened from a link) are left alone.
         router.replace("/(app)/");
       }
     }
-  }, [user, isLoading]);
+    // Runs on navigation too; each branch only redirects from the wrong place
+  }, [user, isLoading, segments, inAuthGroup]);
 
   // Show loading while determining auth state
   if (isLoading) {
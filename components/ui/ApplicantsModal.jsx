@@ -0,0 +1,213 @@
+// components/ui/ApplicantsModal.jsx
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import {
+  ActivityIndicator,
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { APPLICATION_STATUS } from "../../constants/applications";
+import { JOB_STATUS } from "../../constants/jobs";
+import {
+  formatDateKey,
+  formatJobDates,
+  getJobDates,
+  getPostingStatus,
+} from "../../utils/jobUtils";
+import { toTitleCase } from "../../utils/textUtils";
+
+const STATUS_TEXT_CLASSES = {
+  [APPLICATION_STATUS.PENDING]: "text-amber-700",
+  [APPLICATION_STATUS.ACCEPTED]: "text-green-700",
+  [APPLICATION_STATUS.DECLINED]: "text-gray-600",
+};
+
+function ApplicantRow({
+  application,
+  showDates,
+  canReview,
+  busy,
+  onAccept,
+  onDecline,
+  onMessage,
+}) {
+  const isPending = application.status === APPLICATION_STATUS.PENDING;
+
+  return (
+    <View className="py-4 px-4 mb-2 bg-gray-50 rounded-xl border border-gray-200">
+      <View className="flex-row justify-between items-start gap-x-2">
+        <View className="flex-1">
+          <Text className="text-base font-semibold text-gray-800">
+            {application.applicantName}
+          </Text>
+          {application.tcmcNumber && (
+            <Text className="text-sm text-gray-600">
+              TCMC {application.tcmcNumber}
+            </Text>
+          )}
+        </View>
+        <Text
+          className={`text-xs font-medium ${
+            STATUS_TEXT_CLASSES[application.status] || "text-gray-600"
+          }`}
+        >
+          {toTitleCase(application.status)}
+        </Text>
+      </View>
+
+      {/* Accepted applicants show the dates they got */}
+      {showDates && (application.acceptedDates || application.dates) && (
+        <Text className="text-sm text-gray-600 mt-2">
+          {application.acceptedDates ? "Booked for" : "Available on"}{" "}
+          {(application.acceptedDates || application.dates)
+            .map(formatDateKey)
+            .join(", ")}
+        </Text>
+      )}
+
+      {!!application.note && (
+        <Text className="text-sm text-gray-700 mt-2">{application.note}</Text>
+      )}
+
+      <View className="flex-row gap-2 mt-3">
+        {busy ? (
+          <ActivityIndicator size="small" color="#1447e6" />
+        ) : (
+          <>
+            <Pressable
+              className="flex-row items-center gap-1 px-3 py-2 rounded-full bg-white border border-gray-200"
+              onPress={() => onMessage(application)}
+              accessible={true}
+              accessibilityLabel={`Message ${application.applicantName}`}
+            >
+              <MaterialIcons
+                name="chat-bubble-outline"
+                size={16}
+                color="#1447e6"
+              />
+              <Text className="text-sm font-medium text-blue-700">Message</Text>
+            </Pressable>
+            {isPending && canReview && (
+              <>
+                <Pressable
+                  className="flex-row items-center gap-1 px-3 py-2 rounded-full bg-white border border-gray-200"
+                  onPress={() => onAccept(application)}
+                  accessible={true}
+                  accessibilityLabel={`Accept ${application.applicantName}`}
+                >
+                  <MaterialIcons name="check" size={16} color="#15803d" />
+                  <Text className="text-sm font-medium text-green-700">
+                    Accept
+                  </Text>
+                </Pressable>
+                <Pressable
+                  className="flex-row items-center gap-1 px-3 py-2 rounded-full bg-white border border-gray-200"
+                  onPress={() => onDecline(application)}
+                  accessible={true}
+                  accessibilityLabel={`Decline ${application.applicantName}`}
+                >
+                  <MaterialIcons name="close" size={16} color="#dc2626" />
+                  <Text className="text-sm font-medium text-red-600">
+                    Decline
+                  </Text>
+                </Pressable>
+              </>
+            )}
+          </>
+        )}
+      </View>
+    </View>
+  );
+}
+
+export default function ApplicantsModal({
+  job,
+  applications = [],
+  busyApplicationId,
+  onAccept,
+  onDecline,
+  onMessage,
+  onClose,
+}) {
+  // Only open jobs can take on an applicant
+  const canReview = !!job && getPostingStatus(job) === JOB_STATUS.ACTIVE;
+  const isMultiDate = getJobDates(job).length > 1;
+
+  return (
+    <Modal
+      visible={!!job}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View
+          className="bg-white rounded-t-3xl max-h-4/5"
+          style={styles.modalShadow}
+        >
+          <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+            <View className="flex-1">
+              <Text className="text-lg font-semibold text-gray-800">
+                Applicants
+              </Text>
+              {job && (
+                <Text className="text-sm text-gray-600">
+                  {job.position} • {formatJobDates(job)}
+                </Text>
+              )}
+            </View>
+            <Pressable
+              onPress={onClose}
+              className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+              accessible={true}
+              accessibilityLabel="Close applicants"
+            >
+              <Text className="text-base font-medium text-gray-600">✕</Text>
+            </Pressable>
+          </View>
+          <ScrollView className="px-4 pb-4">
+            {applications.length === 0 ? (
+              <Text className="text-gray-600 text-center py-8">
+                No one has applied yet
+              </Text>
+            ) : (
+              applications.map((application) => (
+                <ApplicantRow
+                  key={application.id}
+                  application={application}
+                  showDates={isMultiDate}
+                  canReview={canReview}
+                  busy={busyApplicationId === application.id}
+                  onAccept={onAccept}
+                  onDecline={onDecline}
+                  onMessage={onMessage}
+                />
+              ))
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
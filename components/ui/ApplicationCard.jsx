@@ -0,0 +1,142 @@
+// components/ui/ApplicationCard.jsx
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { router } from "expo-router";
+import { ActivityIndicator, Pressable, Text, View } from "react-native";
+import {
+  APPLICATION_STATUS,
+  APPLICATION_STATUS_LABELS,
+  JOB_CLOSED_STATUS,
+} from "../../constants/applications";
+import {
+  formatDateKey,
+  formatJobDates,
+  getJobDates,
+} from "../../utils/jobUtils";
+import { formatSalary } from "../../utils/salaryUtils";
+import { toTitleCase } from "../../utils/textUtils";
+
+const STATUS_BADGE_CLASSES = {
+  [APPLICATION_STATUS.PENDING]: "bg-amber-100 text-amber-700",
+  [APPLICATION_STATUS.ACCEPTED]: "bg-green-100 text-green-700",
+  [APPLICATION_STATUS.DECLINED]: "bg-red-100 text-red-700",
+  [APPLICATION_STATUS.WITHDRAWN]: "bg-gray-200 text-gray-700",
+  [JOB_CLOSED_STATUS]: "bg-gray-200 text-gray-700",
+};
+
+const formatDate = (date) => {
+  const parsedDate = new Date(date);
+  return isNaN(parsedDate.getTime()) ? "" : parsedDate.toLocaleDateString();
+};
+
+export default function ApplicationCard({
+  application,
+  job,
+  status,
+  busy,
+  onWithdraw,
+}) {
+  const openJob = () => {
+    if (!job) return;
+    router.push({ pathname: "/job/[id]", params: { id: job.id } });
+  };
+
+  return (
+    <Pressable
+      className="rounded-2xl p-4 bg-neutral-100"
+      onPress={openJob}
+      disabled={!job}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityHint="Opens the job details"
+    >
+      {/* Title & Status */}
+      <View className="flex-row justify-between items-start mb-3 gap-x-2">
+        <View className="flex-1">
+          <Text className="text-lg font-semibold">
+            {job?.position || "Job removed"}
+          </Text>
+          {job ? (
+            <Text className="text-sm text-gray-600">
+              {toTitleCase(job.hospital)} • {toTitleCase(job.location)}
+            </Text>
+          ) : (
+            <Text className="text-sm text-gray-600">
+              The poster has deleted this job
+            </Text>
+          )}
+        </View>
+        <Text
+          className={`text-xs font-medium px-2 py-1 rounded-full overflow-hidden ${
+            STATUS_BADGE_CLASSES[status] || STATUS_BADGE_CLASSES.job_closed
+          }`}
+        >
+          {APPLICATION_STATUS_LABELS[status] || toTitleCase(status)}
+        </Text>
+      </View>
+
+      {/* Job Details */}
+      {job && (
+        <View className="flex-row gap-x-4 mb-3">
+          <View className="flex-1">
+            <Text className="text-xs text-gray-600 uppercase tracking-wide">
+              Date
+            </Text>
+            <Text className="text-sm font-medium">{formatJobDates(job)}</Text>
+          </View>
+          <View className="flex-1">
+            <Text className="text-xs text-gray-600 uppercase tracking-wide">
+              {job.type === "permanent" ? "Salary" : "Wage"}
+            </Text>
+            <Text className="text-sm font-medium">
+              {formatSalary(job, { compact: true })}
+            </Text>
+          </View>
+          <View className="flex-1">
+            <Text className="text-xs text-gray-600 uppercase tracking-wide">
+              Applied
+            </Text>
+            <Text className="text-sm font-medium">
+              {formatDate(application.createdAt)}
+            </Text>
+          </View>
+        </View>
+      )}
+
+      {job &&
+        getJobDates(job).length > 1 &&
+        (application.acceptedDates || application.dates) && (
+          <Text className="text-xs text-gray-600 mb-3">
+            {application.acceptedDates ? "Booked for" : "Applied for"}{" "}
+            {(application.acceptedDates || application.dates)
+              .map(formatDateKey)
+              .join(", ")}
+          </Text>
+        )}
+
+      {!!application.note && (
+        <Text className="text-xs text-gray-600 mb-3">
+          Your note: {application.note}
+        </Text>
+      )}
+
+      {/* Actions */}
+      {status === APPLICATION_STATUS.PENDING && (
+        <View className="flex-row flex-wrap gap-2 pt-3 border-t border-gray-200">
+          {busy ? (
+            <ActivityIndicator size="small" color="#1447e6" />
+          ) : (
+            <Pressable
+              className="flex-row items-center gap-1 px-3 py-2 rounded-full bg-white"
+              onPress={() => onWithdraw(application)}
+              accessible={true}
+              accessibilityLabel={`Withdraw application for ${job?.position}`}
+            >
+              <MaterialIcons name="undo" size={16} color="#dc2626" />
+              <Text className="text-sm font-medium text-red-600">Withdraw</Text>
+            </Pressable>
+          )}
+        </View>
+      )}
+    </Pressable>
+  );
+}
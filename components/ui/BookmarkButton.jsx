@@ -0,0 +1,25 @@
+// components/ui/BookmarkButton.jsx
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { Pressable } from "react-native";
+import { useSavedJobs } from "../../hooks/useSavedJobs";
+
+export default function BookmarkButton({ jobId, size = 22 }) {
+  const { isSaved, toggleSaved } = useSavedJobs();
+  const saved = isSaved(jobId);
+
+  return (
+    <Pressable
+      onPress={() => toggleSaved(jobId)}
+      hitSlop={8}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityLabel={saved ? "Remove from saved jobs" : "Save job"}
+    >
+      <MaterialIcons
+        name={saved ? "bookmark" : "bookmark-border"}
+        size={size}
+        color={saved ? "#1447e6" : "#374151"}
+      />
+    </Pressable>
+  );
+}
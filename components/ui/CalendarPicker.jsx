@@ -0,0 +1,156 @@
+// components/ui/CalendarPicker.jsx
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { useMemo, useState } from "react";
+import { Pressable, Text, View } from "react-native";
+
+const WEEKDAYS = ["S", "M", "T", "W", "T", "F", "S"];
+
+// Date keys are handled in UTC so they line up with getTodayKey
+const toDateKey = (year, month, day) =>
+  new Date(Date.UTC(year, month, day)).toISOString().split("T")[0];
+
+const parseMonth = (dateKey) => {
+  const [year, month] = dateKey.split("-").map(Number);
+  return { year, month: month - 1 };
+};
+
+// Day cells for a month, padded with nulls so the 1st falls on its weekday
+const getMonthCells = ({ year, month }) => {
+  const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  const cells = Array.from({ length: firstWeekday }, () => null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push({ day, dateKey: toDateKey(year, month, day) });
+  }
+  while (cells.length % 7 !== 0) cells.push(null);
+
+  return cells;
+};
+
+/**
+ * Month calendar for picking job dates. Dates outside minDate–maxDate
+ * can't be picked.
+ * @param {Array<string>} selectedDates - Selected date keys
+ * @param {Function} onSelectDate - Called with the tapped date key
+ * @param {string} minDate - Earliest selectable date key
+ * @param {string} maxDate - Latest selectable date key
+ */
+export default function CalendarPicker({
+  selectedDates = [],
+  onSelectDate,
+  minDate,
+  maxDate,
+}) {
+  // Open on the month of the first selected date, or the earliest allowed
+  const [visibleMonth, setVisibleMonth] = useState(() =>
+    parseMonth(selectedDates[0] || minDate)
+  );
+
+  const cells = useMemo(() => getMonthCells(visibleMonth), [visibleMonth]);
+
+  const monthStart = toDateKey(visibleMonth.year, visibleMonth.month, 1);
+  const monthEnd = toDateKey(visibleMonth.year, visibleMonth.month + 1, 0);
+  const canGoBack = monthStart > minDate;
+  const canGoForward = monthEnd < maxDate;
+
+  const monthLabel = new Date(
+    Date.UTC(visibleMonth.year, visibleMonth.month, 1)
+  ).toLocaleDateString("en-US", {
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+  const changeMonth = (offset) => {
+    setVisibleMonth(({ year, month }) =>
+      parseMonth(toDateKey(year, month + offset, 1))
+    );
+  };
+
+  return (
+    <View className="px-4 pb-4">
+      {/* Month navigation */}
+      <View className="flex-row justify-between items-center mb-3">
+        <Pressable
+          className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+          onPress={() => changeMonth(-1)}
+          disabled={!canGoBack}
+          style={{ opacity: canGoBack ? 1 : 0.3 }}
+          accessible={true}
+          accessibilityLabel="Previous month"
+        >
+          <MaterialIcons name="chevron-left" size={20} color="#374151" />
+        </Pressable>
+        <Text className="text-base font-semibold text-gray-800">
+          {monthLabel}
+        </Text>
+        <Pressable
+          className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+          onPress={() => changeMonth(1)}
+          disabled={!canGoForward}
+          style={{ opacity: canGoForward ? 1 : 0.3 }}
+          accessible={true}
+          accessibilityLabel="Next month"
+        >
+          <MaterialIcons name="chevron-right" size={20} color="#374151" />
+        </Pressable>
+      </View>
+
+      {/* Weekday header */}
+      <View className="flex-row mb-1">
+        {WEEKDAYS.map((weekday, index) => (
+          <Text
+            key={index}
+            className="flex-1 text-center text-xs font-medium text-gray-500"
+          >
+            {weekday}
+          </Text>
+        ))}
+      </View>
+
+      {/* Days */}
+      <View className="flex-row flex-wrap">
+        {cells.map((cell, index) => {
+          if (!cell) {
+            return <View key={`empty-${index}`} style={{ width: "14.28%" }} />;
+          }
+
+          const selected = selectedDates.includes(cell.dateKey);
+          const disabled = cell.dateKey < minDate || cell.dateKey > maxDate;
+
+          return (
+            <Pressable
+              key={cell.dateKey}
+              style={{ width: "14.28%" }}
+              className="items-center py-1"
+              onPress={() => onSelectDate(cell.dateKey)}
+              disabled={disabled}
+              accessible={true}
+              accessibilityLabel={cell.dateKey}
+              accessibilityState={{ selected, disabled }}
+            >
+              <View
+                className={`w-9 h-9 rounded-full items-center justify-center ${
+                  selected ? "bg-blue-700" : ""
+                }`}
+              >
+                <Text
+                  className={`text-base ${
+                    selected
+                      ? "font-bold text-white"
+                      : disabled
+                        ? "text-gray-300"
+                        : "text-gray-800"
+                  }`}
+                >
+                  {cell.day}
+                </Text>
+              </View>
+            </Pressable>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
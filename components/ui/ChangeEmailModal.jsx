@@ -0,0 +1,211 @@
+// components/ui/ChangeEmailModal.jsx
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { globalStyles } from "../../constants/styles";
+import { validateEmail } from "../../utils/profileUtils";
+
+const EMPTY_FORM = { newEmail: "", currentPassword: "" };
+
+const validateForm = ({ newEmail, currentPassword }) => {
+  const errors = {};
+
+  const emailError = validateEmail(newEmail);
+  if (emailError) errors.newEmail = emailError;
+
+  if (!currentPassword) {
+    errors.currentPassword = "Please enter your current password";
+  }
+
+  return errors;
+};
+
+export default function ChangeEmailModal({
+  visible,
+  currentEmail,
+  saving,
+  onSave,
+  onClose,
+}) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+
+  // Never keep the password around between openings
+  useEffect(() => {
+    if (visible) {
+      setFormData(EMPTY_FORM);
+      setErrors({});
+    }
+  }, [visible]);
+
+  const handleInputChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+    if (errors[field]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[field];
+        return newErrors;
+      });
+    }
+  };
+
+  const handleSave = () => {
+    const newErrors = validateForm(formData);
+    setErrors(newErrors);
+
+    if (Object.keys(newErrors).length === 0) {
+      onSave(formData.currentPassword, formData.newEmail);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.modalOverlay}
+      >
+        <View
+          className="bg-white rounded-t-3xl max-h-4/5"
+          style={styles.modalShadow}
+        >
+          <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+            <Text className="text-lg font-semibold text-gray-800">
+              Change Email
+            </Text>
+            <Pressable
+              onPress={onClose}
+              className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+              accessible={true}
+              accessibilityLabel="Close change email"
+            >
+              <Text className="text-base font-medium text-gray-600">✕</Text>
+            </Pressable>
+          </View>
+
+          <View className="px-4 pb-8 gap-4">
+            <Text className="text-sm text-gray-600">
+              You are signed in as {currentEmail}. We will send a link to the
+              new address, and your email changes once you open it.
+            </Text>
+
+            <View className="gap-2">
+              <Text className="text-sm font-medium">New Email</Text>
+              <TextInput
+                className="bg-neutral-100"
+                style={[
+                  styles.modernInput,
+                  errors.newEmail && styles.errorInput,
+                ]}
+                value={formData.newEmail}
+                onChangeText={(value) => handleInputChange("newEmail", value)}
+                placeholder="Enter your new email"
+                placeholderTextColor="#9ca3af"
+                editable={!saving}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="emailAddress"
+                accessible={true}
+                accessibilityLabel="New email input"
+              />
+              {errors.newEmail && (
+                <Text className="text-sm text-red-500">{errors.newEmail}</Text>
+              )}
+            </View>
+
+            <View className="gap-2">
+              <Text className="text-sm font-medium">Current Password</Text>
+              <TextInput
+                className="bg-neutral-100"
+                style={[
+                  styles.modernInput,
+                  errors.currentPassword && styles.errorInput,
+                ]}
+                value={formData.currentPassword}
+                onChangeText={(value) =>
+                  handleInputChange("currentPassword", value)
+                }
+                placeholder="Enter your current password"
+                placeholderTextColor="#9ca3af"
+                editable={!saving}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="password"
+                accessible={true}
+                accessibilityLabel="Current password input"
+              />
+              {errors.currentPassword && (
+                <Text className="text-sm text-red-500">
+                  {errors.currentPassword}
+                </Text>
+              )}
+            </View>
+
+            <Pressable
+              style={[globalStyles.button, saving && styles.buttonDisabled]}
+              onPress={handleSave}
+              disabled={saving}
+              accessible={true}
+              accessibilityLabel="Send verification link"
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text className="text-lg font-bold text-white">
+                  Send Verification Link
+                </Text>
+              )}
+            </Pressable>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modernInput: {
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  errorInput: {
+    borderColor: "#ef4444",
+    backgroundColor: "#fef2f2",
+  },
+  buttonDisabled: {
+    backgroundColor: "#9ca3af",
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
@@ -0,0 +1,206 @@
+// components/ui/ChangePasswordModal.jsx
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { globalStyles } from "../../constants/styles";
+import { validatePassword } from "../../utils/profileUtils";
+
+const EMPTY_FORM = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+const validateForm = ({ currentPassword, newPassword, confirmPassword }) => {
+  const errors = {};
+
+  if (!currentPassword) {
+    errors.currentPassword = "Please enter your current password";
+  }
+
+  const newPasswordError = validatePassword(newPassword);
+  if (newPasswordError) errors.newPassword = newPasswordError;
+
+  if (!confirmPassword) {
+    errors.confirmPassword = "Please confirm your new password";
+  } else if (confirmPassword !== newPassword) {
+    errors.confirmPassword = "Passwords do not match";
+  }
+
+  return errors;
+};
+
+export default function ChangePasswordModal({
+  visible,
+  saving,
+  onSave,
+  onClose,
+}) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+
+  // Never keep passwords around between openings
+  useEffect(() => {
+    if (visible) {
+      setFormData(EMPTY_FORM);
+      setErrors({});
+    }
+  }, [visible]);
+
+  const handleInputChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+    if (errors[field]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[field];
+        return newErrors;
+      });
+    }
+  };
+
+  const handleSave = () => {
+    const newErrors = validateForm(formData);
+    setErrors(newErrors);
+
+    if (Object.keys(newErrors).length === 0) {
+      onSave(formData.currentPassword, formData.newPassword);
+    }
+  };
+
+  const fields = [
+    {
+      key: "currentPassword",
+      label: "Current Password",
+      placeholder: "Enter your current password",
+      textContentType: "password",
+    },
+    {
+      key: "newPassword",
+      label: "New Password",
+      placeholder: "At least 6 characters, with a number",
+      textContentType: "newPassword",
+    },
+    {
+      key: "confirmPassword",
+      label: "Confirm New Password",
+      placeholder: "Enter the new password again",
+      textContentType: "newPassword",
+    },
+  ];
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.modalOverlay}
+      >
+        <View
+          className="bg-white rounded-t-3xl max-h-4/5"
+          style={styles.modalShadow}
+        >
+          <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+            <Text className="text-lg font-semibold text-gray-800">
+              Change Password
+            </Text>
+            <Pressable
+              onPress={onClose}
+              className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+              accessible={true}
+              accessibilityLabel="Close change password"
+            >
+              <Text className="text-base font-medium text-gray-600">✕</Text>
+            </Pressable>
+          </View>
+
+          <View className="px-4 pb-8 gap-4">
+            {fields.map(({ key, label, placeholder, textContentType }) => (
+              <View key={key} className="gap-2">
+                <Text className="text-sm font-medium">{label}</Text>
+                <TextInput
+                  className="bg-neutral-100"
+                  style={[styles.modernInput, errors[key] && styles.errorInput]}
+                  value={formData[key]}
+                  onChangeText={(value) => handleInputChange(key, value)}
+                  placeholder={placeholder}
+                  placeholderTextColor="#9ca3af"
+                  editable={!saving}
+                  secureTextEntry
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  textContentType={textContentType}
+                  accessible={true}
+                  accessibilityLabel={`${label} input`}
+                />
+                {errors[key] && (
+                  <Text className="text-sm text-red-500">{errors[key]}</Text>
+                )}
+              </View>
+            ))}
+
+            <Pressable
+              style={[globalStyles.button, saving && styles.buttonDisabled]}
+              onPress={handleSave}
+              disabled={saving}
+              accessible={true}
+              accessibilityLabel="Change password"
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text className="text-lg font-bold text-white">
+                  Change Password
+                </Text>
+              )}
+            </Pressable>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modernInput: {
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  errorInput: {
+    borderColor: "#ef4444",
+    backgroundColor: "#fef2f2",
+  },
+  buttonDisabled: {
+    backgroundColor: "#9ca3af",
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
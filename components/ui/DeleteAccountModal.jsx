@@ -0,0 +1,147 @@
+// components/ui/DeleteAccountModal.jsx
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { globalStyles } from "../../constants/styles";
+
+export default function DeleteAccountModal({
+  visible,
+  deleting,
+  onDelete,
+  onClose,
+}) {
+  const [password, setPassword] = useState("");
+
+  // Never keep the password around between openings
+  useEffect(() => {
+    if (visible) {
+      setPassword("");
+    }
+  }, [visible]);
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.modalOverlay}
+      >
+        <View
+          className="bg-white rounded-t-3xl max-h-4/5"
+          style={styles.modalShadow}
+        >
+          <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+            <Text className="text-lg font-semibold text-gray-800">
+              Delete My Account
+            </Text>
+            <Pressable
+              onPress={onClose}
+              className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+              accessible={true}
+              accessibilityLabel="Close delete account"
+            >
+              <Text className="text-base font-medium text-gray-600">✕</Text>
+            </Pressable>
+          </View>
+
+          <View className="px-4 pb-8 gap-4">
+            <View className="gap-2">
+              <Text className="text-sm text-gray-600">
+                This cannot be undone. We will delete your profile, alerts,
+                notifications and unpublished postings. Your open postings will
+                be closed and your pending applications withdrawn. Postings,
+                applications and messages others can see will no longer show
+                your name.
+              </Text>
+              <Text className="text-sm text-gray-600">
+                You may want to download your data first.
+              </Text>
+            </View>
+
+            <View className="gap-2">
+              <Text className="text-sm font-medium">Current Password</Text>
+              <TextInput
+                className="bg-neutral-100"
+                style={styles.modernInput}
+                value={password}
+                onChangeText={setPassword}
+                placeholder="Enter your password to confirm"
+                placeholderTextColor="#9ca3af"
+                editable={!deleting}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                textContentType="password"
+                accessible={true}
+                accessibilityLabel="Current password input"
+              />
+            </View>
+
+            <Pressable
+              style={[
+                globalStyles.button,
+                styles.deleteButton,
+                (deleting || !password) && styles.buttonDisabled,
+              ]}
+              onPress={() => onDelete(password)}
+              disabled={deleting || !password}
+              accessible={true}
+              accessibilityLabel="Delete my account"
+            >
+              {deleting ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text className="text-lg font-bold text-white">
+                  Delete My Account
+                </Text>
+              )}
+            </Pressable>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modernInput: {
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  deleteButton: {
+    backgroundColor: "#dc2626",
+  },
+  buttonDisabled: {
+    backgroundColor: "#9ca3af",
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
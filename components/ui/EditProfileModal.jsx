@@ -0,0 +1,420 @@
+// components/ui/EditProfileModal.jsx
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { KERALA_DISTRICTS } from "../../constants/districts";
+import {
+  MAX_BIO_LENGTH,
+  MAX_SPECIALTY_LENGTH,
+  QUALIFICATION_OPTIONS,
+} from "../../constants/profile";
+import { globalStyles } from "../../constants/styles";
+import {
+  formatPhoneNumber,
+  validateFullName,
+  validatePhoneNumber,
+  validateProfessionalDetails,
+} from "../../utils/profileUtils";
+
+// Form values for a profile, with blanks for fields not filled in yet
+const toFormData = (profile, displayName) => ({
+  fullName: profile?.fullName || displayName || "",
+  phoneNumber: profile?.phoneNumber || "+91 ",
+  qualification: profile?.qualification || null,
+  specialty: profile?.specialty || "",
+  yearsOfExperience: Number.isInteger(profile?.yearsOfExperience)
+    ? String(profile.yearsOfExperience)
+    : "",
+  preferredDistricts: profile?.preferredDistricts || [],
+  bio: profile?.bio || "",
+});
+
+const validateForm = (formData) => {
+  const errors = validateProfessionalDetails(formData);
+
+  const fullNameError = validateFullName(formData.fullName);
+  if (fullNameError) errors.fullName = fullNameError;
+
+  const phoneNumberError = validatePhoneNumber(formData.phoneNumber);
+  if (phoneNumberError) errors.phoneNumber = phoneNumberError;
+
+  return errors;
+};
+
+function OptionChip({ label, selected, disabled, onPress, role }) {
+  return (
+    <Pressable
+      className={`px-3 py-2 rounded-full border ${
+        selected ? "bg-blue-700 border-blue-700" : "bg-white border-gray-200"
+      }`}
+      onPress={onPress}
+      disabled={disabled}
+      accessible={true}
+      accessibilityRole={role}
+      accessibilityState={{ selected }}
+      accessibilityLabel={label}
+    >
+      <Text
+        className={`text-sm font-medium ${
+          selected ? "text-white" : "text-gray-700"
+        }`}
+      >
+        {label}
+      </Text>
+    </Pressable>
+  );
+}
+
+export default function EditProfileModal({
+  visible,
+  profile,
+  displayName,
+  saving,
+  onSave,
+  onClose,
+}) {
+  const [formData, setFormData] = useState(() =>
+    toFormData(profile, displayName)
+  );
+  const [errors, setErrors] = useState({});
+
+  // Start from the saved profile each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setFormData(toFormData(profile, displayName));
+      setErrors({});
+    }
+  }, [visible, profile, displayName]);
+
+  const handleInputChange = (field, value) => {
+    if (field === "phoneNumber") {
+      // Keep the +91 prefix in place
+      value = formatPhoneNumber(value.length < 4 ? "+91 " : value);
+    } else if (field === "yearsOfExperience") {
+      value = value.replace(/\D/g, "").slice(0, 2);
+    }
+
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+    if (errors[field]) {
+      setErrors((prev) => {
+        const newErrors = { ...prev };
+        delete newErrors[field];
+        return newErrors;
+      });
+    }
+  };
+
+  const toggleDistrict = (district) => {
+    handleInputChange(
+      "preferredDistricts",
+      formData.preferredDistricts.includes(district)
+        ? formData.preferredDistricts.filter((item) => item !== district)
+        : [...formData.preferredDistricts, district]
+    );
+  };
+
+  const handleSave = () => {
+    const newErrors = validateForm(formData);
+    setErrors(newErrors);
+
+    if (Object.keys(newErrors).length === 0) {
+      onSave(formData);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === "ios" ? "padding" : "height"}
+        style={styles.modalOverlay}
+      >
+        <View
+          className="bg-white rounded-t-3xl max-h-4/5"
+          style={styles.modalShadow}
+        >
+          <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+            <Text className="text-lg font-semibold text-gray-800">
+              Edit Profile
+            </Text>
+            <Pressable
+              onPress={onClose}
+              className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+              accessible={true}
+              accessibilityLabel="Close edit profile"
+            >
+              <Text className="text-base font-medium text-gray-600">✕</Text>
+            </Pressable>
+          </View>
+
+          <ScrollView
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
+          >
+            <View className="px-4 pb-8 gap-4">
+              {/* Full Name */}
+              <View className="gap-2">
+                <Text className="text-sm font-medium">
+                  Full Name<Text className="text-red-500">*</Text>
+                </Text>
+                <TextInput
+                  className="bg-neutral-100"
+                  style={[
+                    styles.modernInput,
+                    errors.fullName && styles.errorInput,
+                  ]}
+                  value={formData.fullName}
+                  onChangeText={(value) => handleInputChange("fullName", value)}
+                  placeholder="Enter your full name"
+                  placeholderTextColor="#9ca3af"
+                  editable={!saving}
+                  autoCapitalize="words"
+                  textContentType="name"
+                  accessible={true}
+                  accessibilityLabel="Full name input"
+                />
+                {errors.fullName && (
+                  <Text className="text-sm text-red-500">
+                    {errors.fullName}
+                  </Text>
+                )}
+              </View>
+
+              {/* Phone Number */}
+              <View className="gap-2">
+                <Text className="text-sm font-medium">
+                  Phone Number<Text className="text-red-500">*</Text>
+                </Text>
+                <TextInput
+                  className="bg-neutral-100"
+                  style={[
+                    styles.modernInput,
+                    errors.phoneNumber && styles.errorInput,
+                  ]}
+                  value={formData.phoneNumber}
+                  onChangeText={(value) =>
+                    handleInputChange("phoneNumber", value)
+                  }
+                  placeholder="+91 98765 43210"
+                  placeholderTextColor="#9ca3af"
+                  editable={!saving}
+                  keyboardType="phone-pad"
+                  textContentType="telephoneNumber"
+                  maxLength={15}
+                  accessible={true}
+                  accessibilityLabel="Phone number input"
+                />
+                {errors.phoneNumber && (
+                  <Text className="text-sm text-red-500">
+                    {errors.phoneNumber}
+                  </Text>
+                )}
+              </View>
+
+              {/* Qualification */}
+              <View className="gap-2">
+                <Text className="text-sm font-medium">Qualification</Text>
+                <View className="flex-row flex-wrap gap-2">
+                  {QUALIFICATION_OPTIONS.map((qualification) => (
+                    <OptionChip
+                      key={qualification}
+                      label={qualification}
+                      role="radio"
+                      selected={formData.qualification === qualification}
+                      disabled={saving}
+                      // Tapping the selected qualification clears it
+                      onPress={() =>
+                        handleInputChange(
+                          "qualification",
+                          formData.qualification === qualification
+                            ? null
+                            : qualification
+                        )
+                      }
+                    />
+                  ))}
+                </View>
+                {errors.qualification && (
+                  <Text className="text-sm text-red-500">
+                    {errors.qualification}
+                  </Text>
+                )}
+              </View>
+
+              {/* Specialty */}
+              <View className="gap-2">
+                <Text className="text-sm font-medium">Specialty</Text>
+                <TextInput
+                  className="bg-neutral-100"
+                  style={[
+                    styles.modernInput,
+                    errors.specialty && styles.errorInput,
+                  ]}
+                  value={formData.specialty}
+                  onChangeText={(value) =>
+                    handleInputChange("specialty", value)
+                  }
+                  placeholder="e.g. Emergency Medicine"
+                  placeholderTextColor="#9ca3af"
+                  editable={!saving}
+                  autoCapitalize="words"
+                  maxLength={MAX_SPECIALTY_LENGTH}
+                  accessible={true}
+                  accessibilityLabel="Specialty input"
+                />
+                {errors.specialty && (
+                  <Text className="text-sm text-red-500">
+                    {errors.specialty}
+                  </Text>
+                )}
+              </View>
+
+              {/* Years of Experience */}
+              <View className="gap-2">
+                <Text className="text-sm font-medium">Years of Experience</Text>
+                <TextInput
+                  className="bg-neutral-100"
+                  style={[
+                    styles.modernInput,
+                    errors.yearsOfExperience && styles.errorInput,
+                  ]}
+                  value={formData.yearsOfExperience}
+                  onChangeText={(value) =>
+                    handleInputChange("yearsOfExperience", value)
+                  }
+                  placeholder="e.g. 3"
+                  placeholderTextColor="#9ca3af"
+                  editable={!saving}
+                  keyboardType="numeric"
+                  accessible={true}
+                  accessibilityLabel="Years of experience input"
+                />
+                {errors.yearsOfExperience && (
+                  <Text className="text-sm text-red-500">
+                    {errors.yearsOfExperience}
+                  </Text>
+                )}
+              </View>
+
+              {/* Preferred Districts */}
+              <View className="gap-2">
+                <Text className="text-sm font-medium">Preferred Districts</Text>
+                <View className="flex-row flex-wrap gap-2">
+                  {KERALA_DISTRICTS.map((district) => (
+                    <OptionChip
+                      key={district}
+                      label={district}
+                      role="checkbox"
+                      selected={formData.preferredDistricts.includes(district)}
+                      disabled={saving}
+                      onPress={() => toggleDistrict(district)}
+                    />
+                  ))}
+                </View>
+                {errors.preferredDistricts && (
+                  <Text className="text-sm text-red-500">
+                    {errors.preferredDistricts}
+                  </Text>
+                )}
+              </View>
+
+              {/* Bio */}
+              <View className="gap-2">
+                <Text className="text-sm font-medium">Bio</Text>
+                <TextInput
+                  className="bg-neutral-100"
+                  style={[
+                    styles.modernInput,
+                    styles.bioInput,
+                    errors.bio && styles.errorInput,
+                  ]}
+                  value={formData.bio}
+                  onChangeText={(value) => handleInputChange("bio", value)}
+                  placeholder="A few lines about your experience"
+                  placeholderTextColor="#9ca3af"
+                  editable={!saving}
+                  multiline
+                  maxLength={MAX_BIO_LENGTH}
+                  textAlignVertical="top"
+                  accessible={true}
+                  accessibilityLabel="Bio input"
+                />
+                <Text className="text-xs text-gray-500 text-right">
+                  {formData.bio.length}/{MAX_BIO_LENGTH}
+                </Text>
+                {errors.bio && (
+                  <Text className="text-sm text-red-500">{errors.bio}</Text>
+                )}
+              </View>
+
+              <Pressable
+                style={[globalStyles.button, saving && styles.buttonDisabled]}
+                onPress={handleSave}
+                disabled={saving}
+                accessible={true}
+                accessibilityLabel="Save profile"
+              >
+                {saving ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text className="text-lg font-bold text-white">
+                    Save Profile
+                  </Text>
+                )}
+              </Pressable>
+            </View>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modernInput: {
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  bioInput: {
+    minHeight: 100,
+  },
+  errorInput: {
+    borderColor: "#ef4444",
+    backgroundColor: "#fef2f2",
+  },
+  buttonDisabled: {
+    backgroundColor: "#9ca3af",
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
@@ -1,21 +1,194 @@
 // components/ui/HomeHeader.jsx
-import { Text, View } from "react-native";
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { router } from "expo-router";
+import { useState } from "react";
+import {
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from "react-native";
+import { KERALA_DISTRICTS } from "../../constants/districts";
+import { SORT_OPTIONS } from "../../utils/jobSort";
+
+export default function HomeHeader({
+  jobCount,
+  hasMore = false,
+  isFiltered = false,
+  sort,
+  onSortChange,
+  showCacheInfo = false,
+}) {
+  const [showSortModal, setShowSortModal] = useState(false);
+  // "Nearest" needs a home district, so the modal switches to a district list
+  const [pickingDistrict, setPickingDistrict] = useState(false);
+
+  const currentSort =
+    SORT_OPTIONS.find((option) => option.value === sort?.sortBy) ||
+    SORT_OPTIONS[0];
+
+  const closeSortModal = () => {
+    setShowSortModal(false);
+    setPickingDistrict(false);
+  };
+
+  const selectSort = (value) => {
+    if (value === "nearest" && !sort?.homeDistrict) {
+      setPickingDistrict(true);
+      return;
+    }
+    onSortChange(value);
+    closeSortModal();
+  };
+
+  const selectDistrict = (district) => {
+    onSortChange("nearest", district);
+    closeSortModal();
+  };
 
-export default function HomeHeader({ jobCount, showCacheInfo = false }) {
   return (
     <View className="flex-col w-full gap-1 mb-6">
-      <Text className="text-4xl font-bold">Home</Text>
+      <View className="flex-row items-center justify-between">
+        <Text className="text-4xl font-bold">Home</Text>
+        <View className="flex-row gap-2">
+          <Pressable
+            onPress={() => router.push("/(app)/alerts")}
+            className="w-10 h-10 rounded-full bg-neutral-100 items-center justify-center"
+            accessible={true}
+            accessibilityLabel="Job alerts"
+          >
+            <MaterialIcons name="saved-search" size={22} color="#374151" />
+          </Pressable>
+          <Pressable
+            onPress={() => router.push("/(app)/saved")}
+            className="w-10 h-10 rounded-full bg-neutral-100 items-center justify-center"
+            accessible={true}
+            accessibilityLabel="Saved jobs"
+          >
+            <MaterialIcons name="bookmarks" size={22} color="#374151" />
+          </Pressable>
+        </View>
+      </View>
       <Text className="text-base font-medium text-gray-600">
         Ready to find your perfect job match?
       </Text>
 
-      {jobCount > 0 && (
-        <View className="flex-row items-center justify-between mt-2">
-          <Text className="text-xs text-gray-600">
-            {jobCount} jobs available • Pull down to refresh
-          </Text>
+      <View className="flex-row items-center justify-between mt-2">
+        <Text className="text-xs text-gray-600 flex-1">
+          {jobCount > 0 &&
+            `${jobCount}${hasMore ? "+" : ""} ${
+              isFiltered ? "matching jobs" : "jobs available"
+            } • Pull down to refresh`}
+        </Text>
+        {onSortChange && (
+          <Pressable
+            className="flex-row items-center"
+            onPress={() => setShowSortModal(true)}
+            accessible={true}
+            accessibilityLabel={`Sort jobs, currently ${currentSort.label}`}
+          >
+            <MaterialIcons name="sort" size={16} color="#1447e6" />
+            <Text className="text-xs font-bold text-blue-700 ml-1">
+              {currentSort.value === "nearest" && sort?.homeDistrict
+                ? `Nearest to ${sort.homeDistrict}`
+                : currentSort.label}
+            </Text>
+          </Pressable>
+        )}
+      </View>
+
+      {/* Sort Modal */}
+      <Modal
+        visible={showSortModal}
+        animationType="slide"
+        transparent
+        onRequestClose={closeSortModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            className="bg-white rounded-t-3xl max-h-4/5"
+            style={styles.modalShadow}
+          >
+            <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+              <Text className="text-lg font-semibold text-gray-800">
+                {pickingDistrict ? "Select Your District" : "Sort Jobs"}
+              </Text>
+              <Pressable
+                onPress={closeSortModal}
+                className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+                accessible={true}
+                accessibilityLabel="Close sort options"
+              >
+                <Text className="text-base font-medium text-gray-600">✕</Text>
+              </Pressable>
+            </View>
+            <ScrollView className="px-4 pb-4">
+              {pickingDistrict
+                ? KERALA_DISTRICTS.map((district) => (
+                    <Pressable
+                      key={district}
+                      className="py-4 px-4 mb-2 bg-gray-50 rounded-xl border border-gray-200"
+                      onPress={() => selectDistrict(district)}
+                      accessible={true}
+                      accessibilityLabel={`Select ${district}`}
+                    >
+                      <Text className="text-base font-medium text-gray-700">
+                        {district}
+                      </Text>
+                    </Pressable>
+                  ))
+                : SORT_OPTIONS.map((option) => (
+                    <Pressable
+                      key={option.value}
+                      className={`py-4 px-4 mb-2 rounded-xl border flex-row justify-between items-center ${
+                        option.value === currentSort.value
+                          ? "bg-blue-50 border-blue-700"
+                          : "bg-gray-50 border-gray-200"
+                      }`}
+                      onPress={() => selectSort(option.value)}
+                      accessible={true}
+                      accessibilityLabel={`Sort by ${option.label}`}
+                    >
+                      <Text className="text-base font-medium text-gray-700">
+                        {option.label}
+                      </Text>
+                      {option.value === "nearest" && sort?.homeDistrict && (
+                        <Pressable
+                          onPress={() => setPickingDistrict(true)}
+                          accessible={true}
+                          accessibilityLabel="Change home district"
+                        >
+                          <Text className="text-sm font-bold text-blue-700 underline">
+                            {sort.homeDistrict}
+                          </Text>
+                        </Pressable>
+                      )}
+                    </Pressable>
+                  ))}
+            </ScrollView>
+          </View>
         </View>
-      )}
+      </Modal>
     </View>
   );
 }
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
@@ -1,13 +1,25 @@
+import { router } from "expo-router";
 import { Pressable, Text, View } from "react-native";
+import { JOB_STATUS } from "../../constants/jobs";
+import { formatJobDates, getPostingStatus } from "../../utils/jobUtils";
+import { formatSalary } from "../../utils/salaryUtils";
+import { formatShift } from "../../utils/shiftUtils";
 import { toTitleCase } from "../../utils/textUtils";
+import BookmarkButton from "./BookmarkButton";
+
+// Jobs that can no longer be taken get a badge on the feed and Saved list
+const CLOSED_BADGE_CLASSES = {
+  [JOB_STATUS.FILLED]: "bg-blue-100 text-blue-700",
+  [JOB_STATUS.EXPIRED]: "bg-amber-100 text-amber-700",
+  [JOB_STATUS.CLOSED]: "bg-gray-200 text-gray-700",
+  [JOB_STATUS.DELETED]: "bg-red-100 text-red-700",
+};
 
 export default function JobCard({ job }) {
   const jobData = {
     title: job?.title || "Position Not Specified",
-    salary: job?.salary || "Salary not listed",
     location: job?.location || "Location not specified",
     hospital: job?.hospital || job?.company || "Hospital not specified",
-    schedule: job?.schedule || job?.type || "Not specified",
     startDate: job?.startDate || job?.start_date || "Not specified",
     jobType: job?.jobType || job?.employment_type || "Not specified",
     postedBy: job?.postedBy || job?.posted_by || "Unknown",
@@ -44,12 +56,36 @@ export default function JobCard({ job }) {
     }
   };
 
+  const openJob = () => {
+    if (!job?.id) return;
+    router.push({ pathname: "/job/[id]", params: { id: job.id } });
+  };
+
+  const status = getPostingStatus(job);
+  const badgeClasses = CLOSED_BADGE_CLASSES[status];
+
   return (
-    <Pressable className=" rounded-2xl p-4 bg-neutral-100">
+    <Pressable
+      className=" rounded-2xl p-4 bg-neutral-100"
+      onPress={openJob}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityHint="Opens the job details"
+    >
       {/* Title & Subtitle */}
-      <View className="mb-3">
-        <Text className="text-lg font-semibold ">{jobData.position}</Text>
+      <View className="flex-row justify-between items-start mb-3 gap-x-2">
+        <Text className="flex-1 text-lg font-semibold ">
+          {jobData.position}
+        </Text>
         {/* <Text className="text-base text-gray-700">Position</Text> */}
+        {badgeClasses && (
+          <Text
+            className={`text-xs font-medium px-2 py-1 rounded-full overflow-hidden ${badgeClasses}`}
+          >
+            {toTitleCase(status)}
+          </Text>
+        )}
+        <BookmarkButton jobId={job?.id} />
       </View>
 
       {/* Job Details Grid */}
@@ -61,7 +97,9 @@ export default function JobCard({ job }) {
               <Text className="text-xs text-gray-600 uppercase tracking-wide">
                 Salary
               </Text>
-              <Text className="text-sm font-medium">{jobData.salary}</Text>
+              <Text className="text-sm font-medium">
+                {formatSalary(job, { compact: true })}
+              </Text>
             </View>
             <View className="flex-1">
               <Text className="text-xs text-gray-600 uppercase tracking-wide">
@@ -85,9 +123,9 @@ export default function JobCard({ job }) {
             </View>
             <View className="flex-1">
               <Text className="text-xs text-gray-600 uppercase tracking-wide">
-                Schedule
+                Shift
               </Text>
-              <Text className="text-sm font-medium">{jobData.schedule}</Text>
+              <Text className="text-sm font-medium">{formatShift(job)}</Text>
             </View>
           </View>
 
@@ -95,9 +133,11 @@ export default function JobCard({ job }) {
           <View className="flex-row gap-x-4">
             <View className="flex-1">
               <Text className="text-xs text-gray-600 uppercase tracking-wide">
-                Start Date
+                {jobData.dates?.length > 1 ? "Dates" : "Start Date"}
+              </Text>
+              <Text className="text-sm font-medium">
+                {formatJobDates(jobData)}
               </Text>
-              <Text className="text-sm font-medium">{jobData.date}</Text>
             </View>
             <View className="flex-1">
               <Text className="text-xs text-gray-600 uppercase tracking-wide">
@@ -0,0 +1,21 @@
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { Pressable, Text } from "react-native";
+
+export default function NewJobsBanner({ count, onPress }) {
+  if (!count) return null;
+
+  const label = `${count} new ${count === 1 ? "job" : "jobs"} – tap to show`;
+
+  return (
+    <Pressable
+      className="flex-row items-center justify-center self-center bg-blue-700 rounded-full px-4 py-2 mb-4"
+      onPress={onPress}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityLabel={label}
+    >
+      <MaterialIcons name="arrow-upward" size={16} color="#fff" />
+      <Text className="text-sm font-bold text-white ml-1">{label}</Text>
+    </Pressable>
+  );
+}
@@ -0,0 +1,104 @@
+// components/ui/PostingCard.jsx
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { Pressable, Text, View } from "react-native";
+import { JOB_STATUS } from "../../constants/jobs";
+import { formatJobDates, getJobDates } from "../../utils/jobUtils";
+import { formatSalary } from "../../utils/salaryUtils";
+import { toTitleCase } from "../../utils/textUtils";
+
+const STATUS_BADGE_CLASSES = {
+  [JOB_STATUS.DRAFT]: "bg-gray-200 text-gray-700",
+  [JOB_STATUS.SCHEDULED]: "bg-purple-100 text-purple-700",
+  [JOB_STATUS.ACTIVE]: "bg-green-100 text-green-700",
+  [JOB_STATUS.FILLED]: "bg-blue-100 text-blue-700",
+  [JOB_STATUS.EXPIRED]: "bg-amber-100 text-amber-700",
+  [JOB_STATUS.CLOSED]: "bg-gray-200 text-gray-700",
+  [JOB_STATUS.DELETED]: "bg-red-100 text-red-700",
+};
+
+export default function PostingCard({ job, status, actions = [], busy, note }) {
+  const dates = getJobDates(job);
+  const filledCount = dates.filter((date) => job.filledDates?.[date]).length;
+
+  return (
+    <View className="rounded-2xl p-4 bg-neutral-100">
+      {/* Title & Status */}
+      <View className="flex-row justify-between items-start mb-3 gap-x-2">
+        <View className="flex-1">
+          <Text className="text-lg font-semibold">{job.position}</Text>
+          <Text className="text-sm text-gray-600">
+            {toTitleCase(job.hospital)} • {toTitleCase(job.location)}
+          </Text>
+        </View>
+        <Text
+          className={`text-xs font-medium px-2 py-1 rounded-full overflow-hidden ${
+            STATUS_BADGE_CLASSES[status] || STATUS_BADGE_CLASSES.closed
+          }`}
+        >
+          {toTitleCase(status)}
+        </Text>
+      </View>
+
+      {/* Job Details */}
+      <View className="flex-row gap-x-4 mb-3">
+        <View className="flex-1">
+          <Text className="text-xs text-gray-600 uppercase tracking-wide">
+            Date
+          </Text>
+          <Text className="text-sm font-medium">{formatJobDates(job)}</Text>
+          {dates.length > 1 && (
+            <Text className="text-xs text-gray-600">
+              {filledCount}/{dates.length} filled
+            </Text>
+          )}
+        </View>
+        <View className="flex-1">
+          <Text className="text-xs text-gray-600 uppercase tracking-wide">
+            {job.type === "permanent" ? "Salary" : "Wage"}
+          </Text>
+          <Text className="text-sm font-medium">
+            {formatSalary(job, { compact: true })}
+          </Text>
+        </View>
+        <View className="flex-1">
+          <Text className="text-xs text-gray-600 uppercase tracking-wide">
+            Type
+          </Text>
+          <Text className="text-sm font-medium">{toTitleCase(job.type)}</Text>
+        </View>
+      </View>
+
+      {note && <Text className="text-xs text-gray-600 mb-3">{note}</Text>}
+
+      {/* Actions */}
+      {actions.length > 0 && (
+        <View className="flex-row flex-wrap gap-2 pt-3 border-t border-gray-200">
+          {actions.map((action) => (
+            <Pressable
+              key={action.label}
+              className="flex-row items-center gap-1 px-3 py-2 rounded-full bg-white"
+              onPress={action.onPress}
+              disabled={busy}
+              style={{ opacity: busy ? 0.5 : 1 }}
+              accessible={true}
+              accessibilityLabel={`${action.label} ${job.position}`}
+            >
+              <MaterialIcons
+                name={action.icon}
+                size={16}
+                color={action.destructive ? "#dc2626" : "#374151"}
+              />
+              <Text
+                className={`text-sm font-medium ${
+                  action.destructive ? "text-red-600" : "text-gray-700"
+                }`}
+              >
+                {action.label}
+              </Text>
+            </Pressable>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
@@ -0,0 +1,117 @@
+// components/ui/SaveAlertModal.jsx
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Modal,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { MAX_ALERT_NAME_LENGTH } from "../../constants/alerts";
+import { globalStyles } from "../../constants/styles";
+import { describeFilters } from "../../utils/jobFilters";
+
+export default function SaveAlertModal({
+  visible,
+  filters,
+  saving,
+  onSave,
+  onClose,
+}) {
+  const [name, setName] = useState("");
+
+  const summary = describeFilters(filters);
+
+  // Suggest the filter summary as the name each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setName(summary.slice(0, MAX_ALERT_NAME_LENGTH));
+    }
+  }, [visible, summary]);
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View
+          className="bg-white rounded-t-3xl max-h-4/5"
+          style={styles.modalShadow}
+        >
+          <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+            <Text className="text-lg font-semibold text-gray-800">
+              Save as Alert
+            </Text>
+            <Pressable
+              onPress={onClose}
+              className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+              accessible={true}
+              accessibilityLabel="Close save alert"
+            >
+              <Text className="text-base font-medium text-gray-600">✕</Text>
+            </Pressable>
+          </View>
+          <View className="px-4 pb-8">
+            <Text className="text-sm text-gray-600 mb-4">
+              We will let you know when a new job matches: {summary}
+            </Text>
+            <Text className="text-sm font-medium">
+              Alert Name<Text className="text-red-500">*</Text>
+            </Text>
+            <TextInput
+              style={[globalStyles.input, { marginBottom: 24 }]}
+              placeholder="e.g. Casualty shifts near me"
+              value={name}
+              onChangeText={setName}
+              maxLength={MAX_ALERT_NAME_LENGTH}
+              returnKeyType="done"
+              onSubmitEditing={() => onSave(name)}
+            />
+            <Pressable
+              style={[
+                globalStyles.button,
+                (saving || !name.trim()) && styles.buttonDisabled,
+              ]}
+              onPress={() => onSave(name)}
+              disabled={saving || !name.trim()}
+              accessible={true}
+              accessibilityLabel="Save alert"
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text className="text-lg font-bold text-white">Save Alert</Text>
+              )}
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  buttonDisabled: {
+    backgroundColor: "#9ca3af",
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
@@ -0,0 +1,354 @@
+// components/ui/SearchFilterBar.jsx
+import MaterialIcons from "@expo/vector-icons/MaterialIcons";
+import { useEffect, useState } from "react";
+import {
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  View,
+} from "react-native";
+import { KERALA_DISTRICTS } from "../../constants/districts";
+import { TYPE_OPTIONS } from "../../constants/jobs";
+import { usePositions } from "../../hooks/usePositions";
+import { countActiveFilters, DATE_RANGE_OPTIONS } from "../../utils/jobFilters";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+function Chip({ label, selected, onPress }) {
+  return (
+    <Pressable
+      onPress={onPress}
+      className={`px-3 py-2 rounded-full border ${
+        selected ? "bg-blue-700 border-blue-700" : "bg-white border-gray-300"
+      }`}
+      accessible={true}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text
+        className={`text-sm font-medium ${
+          selected ? "text-white" : "text-gray-700"
+        }`}
+      >
+        {label}
+      </Text>
+    </Pressable>
+  );
+}
+
+function FilterSection({ title, children }) {
+  return (
+    <View className="mb-5">
+      <Text className="text-sm font-semibold text-gray-800 mb-2">{title}</Text>
+      <View className="flex-row flex-wrap gap-2">{children}</View>
+    </View>
+  );
+}
+
+export default function SearchFilterBar({
+  filters,
+  onChange,
+  onReset,
+  onSaveAlert,
+}) {
+  const { positions, categories } = usePositions();
+  const [searchText, setSearchText] = useState(filters.search);
+  const [showFilterModal, setShowFilterModal] = useState(false);
+  const [minSalaryText, setMinSalaryText] = useState(
+    filters.minSalary ? String(filters.minSalary) : ""
+  );
+
+  // Pick up filters restored from storage after the first render
+  useEffect(() => {
+    setSearchText(filters.search);
+  }, [filters.search]);
+
+  useEffect(() => {
+    setMinSalaryText(filters.minSalary ? String(filters.minSalary) : "");
+  }, [filters.minSalary]);
+
+  // Debounce typing so the list is not refiltered on every keystroke
+  useEffect(() => {
+    if (searchText === filters.search) return;
+
+    const timeout = setTimeout(
+      () => onChange("search", searchText),
+      SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timeout);
+  }, [searchText, filters.search, onChange]);
+
+  const toggle = (key, value) =>
+    onChange(key, filters[key] === value ? null : value);
+
+  // A position outside the chosen category would hide every job
+  const toggleCategory = (category) => {
+    const nextCategory = filters.category === category ? null : category;
+    const position = positions.find((item) => item.name === filters.position);
+
+    onChange("category", nextCategory);
+    if (nextCategory && position && position.category !== nextCategory) {
+      onChange("position", null);
+    }
+  };
+
+  const visiblePositions = filters.category
+    ? positions.filter((position) => position.category === filters.category)
+    : positions;
+
+  const applyMinSalary = () => {
+    const amount = parseFloat(minSalaryText);
+    onChange("minSalary", amount > 0 ? amount : null);
+  };
+
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <View className="mb-4 gap-3">
+      {/* Search */}
+      <View className="flex-row items-center gap-2">
+        <View className="flex-1 flex-row items-center bg-neutral-100 rounded-2xl px-3">
+          <MaterialIcons name="search" size={20} color="#6b7280" />
+          <TextInput
+            style={styles.searchInput}
+            value={searchText}
+            onChangeText={setSearchText}
+            placeholder="Search position, hospital or location"
+            placeholderTextColor="#9ca3af"
+            returnKeyType="search"
+            autoCorrect={false}
+            accessible={true}
+            accessibilityLabel="Search jobs"
+          />
+          {!!searchText && (
+            <Pressable
+              onPress={() => setSearchText("")}
+              accessible={true}
+              accessibilityLabel="Clear search"
+            >
+              <MaterialIcons name="close" size={18} color="#6b7280" />
+            </Pressable>
+          )}
+        </View>
+        <Pressable
+          onPress={() => setShowFilterModal(true)}
+          className={`w-12 h-12 rounded-2xl items-center justify-center ${
+            activeCount > 0 ? "bg-blue-700" : "bg-neutral-100"
+          }`}
+          accessible={true}
+          accessibilityLabel={`Filters, ${activeCount} active`}
+        >
+          <MaterialIcons
+            name="tune"
+            size={22}
+            color={activeCount > 0 ? "#fff" : "#374151"}
+          />
+        </Pressable>
+        {onSaveAlert && (activeCount > 0 || !!filters.search?.trim()) && (
+          <Pressable
+            onPress={onSaveAlert}
+            className="w-12 h-12 rounded-2xl items-center justify-center bg-neutral-100"
+            accessible={true}
+            accessibilityLabel="Save this search as an alert"
+          >
+            <MaterialIcons name="notification-add" size={22} color="#374151" />
+          </Pressable>
+        )}
+      </View>
+
+      {/* Quick type chips */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={{ gap: 8 }}
+      >
+        <Chip
+          label="All"
+          selected={!filters.type}
+          onPress={() => onChange("type", null)}
+        />
+        {TYPE_OPTIONS.map((option) => (
+          <Chip
+            key={option.value}
+            label={option.label}
+            selected={filters.type === option.value}
+            onPress={() => toggle("type", option.value)}
+          />
+        ))}
+        {activeCount > 0 && (
+          <Chip label={`Clear filters (${activeCount})`} onPress={onReset} />
+        )}
+      </ScrollView>
+
+      {/* Filter Modal */}
+      <Modal
+        visible={showFilterModal}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setShowFilterModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            className="bg-white rounded-t-3xl max-h-4/5"
+            style={styles.modalShadow}
+          >
+            <View className="flex-row justify-between items-center p-4 border-b border-b-gray-200 mb-2">
+              <Text className="text-lg font-semibold text-gray-800">
+                Filter Jobs
+              </Text>
+              <Pressable
+                onPress={() => {
+                  applyMinSalary();
+                  setShowFilterModal(false);
+                }}
+                className="w-8 h-8 rounded-full bg-gray-100 items-center justify-center"
+                accessible={true}
+                accessibilityLabel="Close filters"
+              >
+                <Text className="text-base font-medium text-gray-600">✕</Text>
+              </Pressable>
+            </View>
+            <ScrollView
+              className="px-4 pb-4"
+              keyboardShouldPersistTaps="handled"
+            >
+              <FilterSection title="Job Type">
+                {TYPE_OPTIONS.map((option) => (
+                  <Chip
+                    key={option.value}
+                    label={option.label}
+                    selected={filters.type === option.value}
+                    onPress={() => toggle("type", option.value)}
+                  />
+                ))}
+              </FilterSection>
+
+              <FilterSection title="Specialty">
+                {categories.map((category) => (
+                  <Chip
+                    key={category}
+                    label={category}
+                    selected={filters.category === category}
+                    onPress={() => toggleCategory(category)}
+                  />
+                ))}
+              </FilterSection>
+
+              <FilterSection title="Position">
+                {visiblePositions.map((position) => (
+                  <Chip
+                    key={position.id}
+                    label={position.name}
+                    selected={filters.position === position.name}
+                    onPress={() => toggle("position", position.name)}
+                  />
+                ))}
+              </FilterSection>
+
+              <FilterSection title="District">
+                {KERALA_DISTRICTS.map((district) => (
+                  <Chip
+                    key={district}
+                    label={district}
+                    selected={filters.district === district}
+                    onPress={() => toggle("district", district)}
+                  />
+                ))}
+              </FilterSection>
+
+              <FilterSection title="Date">
+                {DATE_RANGE_OPTIONS.map((option) => (
+                  <Chip
+                    key={option.value}
+                    label={option.label}
+                    selected={filters.dateRange === option.value}
+                    onPress={() => onChange("dateRange", option.value)}
+                  />
+                ))}
+              </FilterSection>
+
+              <View className="mb-5">
+                <Text className="text-sm font-semibold text-gray-800 mb-2">
+                  Minimum Monthly Pay
+                </Text>
+                <TextInput
+                  className="bg-neutral-100"
+                  style={styles.salaryInput}
+                  value={minSalaryText}
+                  onChangeText={(value) =>
+                    setMinSalaryText(value.replace(/[^0-9]/g, ""))
+                  }
+                  onBlur={applyMinSalary}
+                  onSubmitEditing={applyMinSalary}
+                  placeholder="Any amount (₹ per month)"
+                  placeholderTextColor="#9ca3af"
+                  keyboardType="numeric"
+                  accessible={true}
+                  accessibilityLabel="Minimum monthly pay input"
+                />
+              </View>
+
+              <View className="flex-row gap-3 mb-4">
+                <Pressable
+                  className="flex-1 items-center py-3 rounded-2xl bg-neutral-100"
+                  onPress={() => {
+                    setMinSalaryText("");
+                    onReset();
+                  }}
+                >
+                  <Text className="text-base font-bold text-gray-700">
+                    Reset
+                  </Text>
+                </Pressable>
+                <Pressable
+                  className="flex-1 items-center py-3 rounded-2xl bg-blue-700"
+                  onPress={() => {
+                    applyMinSalary();
+                    setShowFilterModal(false);
+                  }}
+                >
+                  <Text className="text-base font-bold text-white">
+                    Show Jobs
+                  </Text>
+                </Pressable>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    paddingVertical: 12,
+    paddingHorizontal: 8,
+  },
+  salaryInput: {
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalShadow: {
+    shadowColor: "#000",
+    shadowOffset: {
+      width: 0,
+      height: -2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+});
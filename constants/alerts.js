@@ -0,0 +1,7 @@
+// constants/alerts.js
+
+// Saved searches a user can keep alerts on at once
+export const MAX_ALERTS_PER_USER = 10;
+
+// Longest name an alert can be given
+export const MAX_ALERT_NAME_LENGTH = 40;
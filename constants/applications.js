@@ -0,0 +1,25 @@
+// constants/applications.js
+
+// Values stored on the `status` field of an application document
+export const APPLICATION_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  WITHDRAWN: "withdrawn",
+};
+
+// Shown instead of "pending" once the job stops taking applications, so
+// applicants aren't left waiting on a job that is gone
+export const JOB_CLOSED_STATUS = "job_closed";
+
+// Labels for the states an applicant sees on My Applications
+export const APPLICATION_STATUS_LABELS = {
+  [APPLICATION_STATUS.PENDING]: "Pending",
+  [APPLICATION_STATUS.ACCEPTED]: "Accepted",
+  [APPLICATION_STATUS.DECLINED]: "Declined",
+  [APPLICATION_STATUS.WITHDRAWN]: "Withdrawn",
+  [JOB_CLOSED_STATUS]: "Job Closed",
+};
+
+// Longest note an applicant can send with an application
+export const MAX_APPLICATION_NOTE_LENGTH = 300;
@@ -0,0 +1,78 @@
+// constants/districts.js
+
+// Kerala districts, north to south. Used to filter jobs by the district
+// named in their free-text location.
+export const KERALA_DISTRICTS = [
+  "Kasaragod",
+  "Kannur",
+  "Wayanad",
+  "Kozhikode",
+  "Malappuram",
+  "Palakkad",
+  "Thrissur",
+  "Ernakulam",
+  "Idukki",
+  "Kottayam",
+  "Alappuzha",
+  "Pathanamthitta",
+  "Kollam",
+  "Thiruvananthapuram",
+];
+
+// Approximate district headquarters, used to rank jobs by distance
+export const DISTRICT_COORDINATES = {
+  Kasaragod: { lat: 12.5, lng: 75.0 },
+  Kannur: { lat: 11.87, lng: 75.37 },
+  Wayanad: { lat: 11.61, lng: 76.08 },
+  Kozhikode: { lat: 11.26, lng: 75.78 },
+  Malappuram: { lat: 11.07, lng: 76.07 },
+  Palakkad: { lat: 10.78, lng: 76.65 },
+  Thrissur: { lat: 10.53, lng: 76.21 },
+  Ernakulam: { lat: 9.98, lng: 76.3 },
+  Idukki: { lat: 9.85, lng: 76.94 },
+  Kottayam: { lat: 9.59, lng: 76.52 },
+  Alappuzha: { lat: 9.5, lng: 76.34 },
+  Pathanamthitta: { lat: 9.26, lng: 76.79 },
+  Kollam: { lat: 8.89, lng: 76.61 },
+  Thiruvananthapuram: { lat: 8.52, lng: 76.94 },
+};
+
+// Other names and major towns people type in job locations, mapped to
+// their district
+export const DISTRICT_ALIASES = {
+  kasargod: "Kasaragod",
+  kanhangad: "Kasaragod",
+  cannanore: "Kannur",
+  thalassery: "Kannur",
+  payyanur: "Kannur",
+  kalpetta: "Wayanad",
+  "sulthan bathery": "Wayanad",
+  calicut: "Kozhikode",
+  vadakara: "Kozhikode",
+  manjeri: "Malappuram",
+  perinthalmanna: "Malappuram",
+  tirur: "Malappuram",
+  palghat: "Palakkad",
+  ottapalam: "Palakkad",
+  trichur: "Thrissur",
+  chalakudy: "Thrissur",
+  kochi: "Ernakulam",
+  cochin: "Ernakulam",
+  aluva: "Ernakulam",
+  angamaly: "Ernakulam",
+  muvattupuzha: "Ernakulam",
+  thodupuzha: "Idukki",
+  kattappana: "Idukki",
+  changanassery: "Kottayam",
+  pala: "Kottayam",
+  alleppey: "Alappuzha",
+  kayamkulam: "Alappuzha",
+  cherthala: "Alappuzha",
+  tiruvalla: "Pathanamthitta",
+  adoor: "Pathanamthitta",
+  quilon: "Kollam",
+  karunagappally: "Kollam",
+  trivandrum: "Thiruvananthapuram",
+  neyyattinkara: "Thiruvananthapuram",
+  attingal: "Thiruvananthapuram",
+};
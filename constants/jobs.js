@@ -0,0 +1,111 @@
+// constants/jobs.js
+
+// Values stored on the `status` field of a job document
+export const JOB_STATUS = {
+  // Saved by the poster but not published
+  DRAFT: "draft",
+  // Published automatically on its `publishAt` date
+  SCHEDULED: "scheduled",
+  ACTIVE: "active",
+  FILLED: "filled",
+  EXPIRED: "expired",
+  CLOSED: "closed",
+  DELETED: "deleted",
+};
+
+// Status changes allowed for each status. Every status except deleted can
+// be deleted; restoring goes through services/jobs/delete.js and returns a
+// job to the status it was deleted from. The expireJobs Cloud Function
+// follows the same rules (functions/lifecycle.js).
+export const JOB_STATUS_TRANSITIONS = {
+  [JOB_STATUS.DRAFT]: [
+    JOB_STATUS.SCHEDULED,
+    JOB_STATUS.ACTIVE,
+    JOB_STATUS.DELETED,
+  ],
+  [JOB_STATUS.SCHEDULED]: [
+    JOB_STATUS.DRAFT,
+    JOB_STATUS.ACTIVE,
+    JOB_STATUS.EXPIRED,
+    JOB_STATUS.DELETED,
+  ],
+  [JOB_STATUS.ACTIVE]: [
+    JOB_STATUS.FILLED,
+    JOB_STATUS.EXPIRED,
+    JOB_STATUS.CLOSED,
+    JOB_STATUS.DELETED,
+  ],
+  [JOB_STATUS.FILLED]: [JOB_STATUS.DELETED],
+  [JOB_STATUS.EXPIRED]: [JOB_STATUS.DELETED],
+  [JOB_STATUS.CLOSED]: [JOB_STATUS.DELETED],
+  [JOB_STATUS.DELETED]: [],
+};
+
+// Deleted jobs can be restored from the Manage Jobs tab for this long,
+// after which they are purged for good
+export const DELETED_JOB_RETENTION_DAYS = 30;
+
+// Display order and labels for the status groups on the Manage Jobs tab
+export const POSTING_GROUPS = [
+  { status: JOB_STATUS.ACTIVE, title: "Active" },
+  { status: JOB_STATUS.SCHEDULED, title: "Scheduled" },
+  { status: JOB_STATUS.DRAFT, title: "Drafts" },
+  { status: JOB_STATUS.FILLED, title: "Filled" },
+  { status: JOB_STATUS.EXPIRED, title: "Expired" },
+  { status: JOB_STATUS.CLOSED, title: "Closed" },
+  { status: JOB_STATUS.DELETED, title: "Recently Deleted" },
+];
+
+// Job types, as stored on the `type` field
+export const TYPE_OPTIONS = [
+  { label: "Permanent", value: "permanent" },
+  { label: "Relieving", value: "relieving" },
+];
+
+// Most dates a single relieving job can cover
+export const MAX_JOB_DATES = 31;
+
+// How far ahead a job can be posted, in days
+export const POSTING_HORIZON_DAYS = 180;
+
+// Ways a relieving shift can repeat from its first date
+export const RECURRENCE_OPTIONS = [
+  { label: "Every day", value: "daily", stepDays: 1 },
+  { label: "Every week", value: "weekly", stepDays: 7 },
+];
+
+// Units a job's pay can be quoted in, as stored on the `salaryUnit` field.
+// `perMonth` converts an amount to a monthly figure for comparing jobs, and
+// `min` is the lowest amount the post form accepts. Job alerts convert pay
+// the same way (functions/alerts.js).
+export const SALARY_UNITS = [
+  {
+    label: "Per shift",
+    value: "shift",
+    suffix: "/shift",
+    perMonth: 26,
+    min: 300,
+  },
+  { label: "Per hour", value: "hour", suffix: "/hr", perMonth: 208, min: 100 },
+  { label: "Per day", value: "day", suffix: "/day", perMonth: 26, min: 300 },
+  {
+    label: "Per month",
+    value: "month",
+    suffix: "/month",
+    perMonth: 1,
+    min: 10000,
+  },
+  {
+    label: "Per annum",
+    value: "annum",
+    suffix: "/yr",
+    perMonth: 1 / 12,
+    min: 120000,
+  },
+];
+
+// Unit assumed for jobs posted before pay had an explicit unit
+export const DEFAULT_SALARY_UNIT_BY_TYPE = {
+  permanent: "month",
+  relieving: "shift",
+};
@@ -0,0 +1,7 @@
+// constants/messages.js
+
+// Longest message that can be sent in one go
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// How many of the latest messages a conversation screen listens to
+export const MESSAGE_PAGE_SIZE = 100;
@@ -0,0 +1,47 @@
+// constants/notifications.js
+
+// Written by the Cloud Functions in functions/notifications.js
+export const NOTIFICATION_TYPES = {
+  APPLICATION_RECEIVED: "application_received",
+  APPLICATION_ACCEPTED: "application_accepted",
+  APPLICATION_DECLINED: "application_declined",
+  SAVED_JOB_FILLED: "saved_job_filled",
+  ALERT_MATCH: "alert_match",
+};
+
+// MaterialIcons name shown beside each notification type
+export const NOTIFICATION_ICONS = {
+  [NOTIFICATION_TYPES.APPLICATION_RECEIVED]: "person-add-alt",
+  [NOTIFICATION_TYPES.APPLICATION_ACCEPTED]: "check-circle-outline",
+  [NOTIFICATION_TYPES.APPLICATION_DECLINED]: "highlight-off",
+  [NOTIFICATION_TYPES.SAVED_JOB_FILLED]: "bookmark-border",
+  [NOTIFICATION_TYPES.ALERT_MATCH]: "notifications-none",
+};
+
+// Most recent notifications kept in the inbox
+export const NOTIFICATION_PAGE_SIZE = 50;
+
+// Push categories a user can opt out of; keep in sync with
+// CATEGORY_BY_TYPE in functions/push.js
+export const PUSH_CATEGORIES = [
+  {
+    key: "applications",
+    label: "New applicants",
+    description: "When someone applies to a job you posted",
+  },
+  {
+    key: "applicationUpdates",
+    label: "Application updates",
+    description: "When a poster accepts or declines your application",
+  },
+  {
+    key: "savedJobs",
+    label: "Saved jobs",
+    description: "When a job you saved is filled",
+  },
+  {
+    key: "alerts",
+    label: "Job alerts",
+    description: "When a new job matches one of your alerts",
+  },
+];
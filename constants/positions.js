@@ -0,0 +1,108 @@
+// constants/positions.js
+
+// Built-in position catalogue. The app loads the live one from the
+// `positions` collection and falls back to this list before it has loaded,
+// or if the collection is empty or cannot be reached on first launch.
+export const DEFAULT_POSITIONS = [
+  {
+    id: "general-practitioner",
+    name: "General Practitioner",
+    category: "General Duty",
+    order: 10,
+    aliases: ["GP", "Family Physician"],
+  },
+  {
+    id: "casualty-duty",
+    name: "Casualty Duty",
+    category: "General Duty",
+    order: 20,
+    aliases: ["Casualty Medical Officer", "CMO", "Emergency Duty"],
+  },
+  {
+    id: "resident-medical-officer",
+    name: "Resident Medical Officer",
+    category: "General Duty",
+    order: 30,
+    aliases: ["RMO"],
+  },
+  {
+    id: "duty-medical-officer",
+    name: "Duty Medical Officer",
+    category: "General Duty",
+    order: 40,
+    aliases: ["DMO"],
+  },
+  {
+    id: "anaesthetist",
+    name: "Anaesthetist",
+    category: "Specialists",
+    order: 110,
+    aliases: ["Anesthetist", "Anaesthesiologist", "Anesthesiologist"],
+  },
+  {
+    id: "paediatrician",
+    name: "Paediatrician",
+    category: "Specialists",
+    order: 120,
+    aliases: ["Pediatrician", "Child Specialist"],
+  },
+  {
+    id: "obstetrician-gynaecologist",
+    name: "Obstetrician & Gynaecologist",
+    category: "Specialists",
+    order: 130,
+    aliases: ["OBG", "Gynaecologist", "Gynecologist", "Obstetrician"],
+  },
+  {
+    id: "general-surgeon",
+    name: "General Surgeon",
+    category: "Specialists",
+    order: 140,
+    aliases: ["Surgeon"],
+  },
+  {
+    id: "physician",
+    name: "Physician",
+    category: "Specialists",
+    order: 150,
+    aliases: ["General Medicine", "Internal Medicine"],
+  },
+  {
+    id: "orthopaedic-surgeon",
+    name: "Orthopaedic Surgeon",
+    category: "Specialists",
+    order: 160,
+    aliases: ["Orthopedic Surgeon", "Ortho"],
+  },
+  {
+    id: "staff-nurse",
+    name: "Staff Nurse",
+    category: "Nursing",
+    order: 210,
+    aliases: ["Registered Nurse", "RN", "GNM"],
+  },
+  {
+    id: "icu-nurse",
+    name: "ICU Nurse",
+    category: "Nursing",
+    order: 220,
+    aliases: ["Critical Care Nurse", "CCU Nurse"],
+  },
+  {
+    id: "ot-nurse",
+    name: "Operation Theatre Nurse",
+    category: "Nursing",
+    order: 230,
+    aliases: ["OT Nurse", "Scrub Nurse"],
+  },
+  {
+    id: "nursing-supervisor",
+    name: "Nursing Supervisor",
+    category: "Nursing",
+    order: 240,
+    aliases: ["Nursing Superintendent"],
+  },
+];
+
+// How long a downloaded catalogue is used before it is fetched again
+export const POSITION_CACHE_TIME = 24 * 60 * 60 * 1000; // 1 day
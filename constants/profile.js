@@ -0,0 +1,24 @@
+// constants/profile.js
+
+// Highest qualifications a user can list on their profile
+export const QUALIFICATION_OPTIONS = [
+  "MBBS",
+  "MD",
+  "MS",
+  "DNB",
+  "Diploma",
+  "DM / MCh",
+  "BSc Nursing",
+  "GNM",
+  "MSc Nursing",
+];
+
+// Longest specialty and bio a profile can hold
+export const MAX_SPECIALTY_LENGTH = 60;
+export const MAX_BIO_LENGTH = 300;
+
+// Upper bound on years of experience, to catch typos
+export const MAX_EXPERIENCE_YEARS = 60;
+
+// Shown in place of the name on postings and applications of deleted accounts
+export const DELETED_USER_NAME = "Deleted user";
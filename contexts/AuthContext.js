@@ -1,4 +1,10 @@
-import React, { createContext, useContext, useEffect, useState } from "react";
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
 import {
   onAuthStateChanged,
   createUserWithEmailAndPassword,
@@ -7,9 +13,20 @@ import {
   sendEmailVerification,
   sendPasswordResetEmail,
   updateProfile,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  updatePassword,
+  verifyBeforeUpdateEmail,
+  deleteUser,
 } from "firebase/auth";
 import { auth, firestore } from "../firebaseConfig";
-import { doc, getDoc, setDoc } from "firebase/firestore";
+import { doc, getDoc, setDoc, updateDoc } from "firebase/firestore";
+import {
+  registerForPushNotifications,
+  unregisterPushToken,
+} from "../services/notifications/push";
+import { deleteUserData } from "../services/users/account";
+import { validateEmail, validatePassword } from "../utils/profileUtils";
 
 const AuthContext = createContext({});
 
@@ -26,12 +43,31 @@ export const AuthProvider = ({ children }) => {
   const [userProfile, setUserProfile] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [initializing, setInitializing] = useState(true);
+  // True from the start of logout until the next sign-in, so the app can
+  // hold on a loading screen while navigation moves to sign-in
+  const [isSigningOut, setIsSigningOut] = useState(false);
+  // This device's push token, kept so logout can remove it
+  const pushTokenRef = useRef(null);
 
-  const fetchUserProfile = async (uid) => {
+  const fetchUserProfile = async (uid, email) => {
     try {
       const userDoc = await getDoc(doc(firestore, "users", uid));
       if (userDoc.exists()) {
-        setUserProfile(userDoc.data());
+        let profile = userDoc.data();
+
+        // An email change only takes effect once the link sent to the new
+        // address is opened, so copy it across on the next sign-in
+        if (email && profile.email?.toLowerCase() !== email.toLowerCase()) {
+          const changes = { email, pendingEmail: null };
+          try {
+            await updateDoc(doc(firestore, "users", uid), changes);
+            profile = { ...profile, ...changes };
+          } catch (error) {
+            console.error("Error syncing changed email:", error);
+          }
+        }
+
+        setUserProfile(profile);
       } else {
         setUserProfile(null);
       }
@@ -54,7 +90,8 @@ export const AuthProvider = ({ children }) => {
 
       // Fetch user profile if user is authenticated
       if (firebaseUser) {
-        await fetchUserProfile(firebaseUser.uid);
+        setIsSigningOut(false);
+        await fetchUserProfile(firebaseUser.uid, firebaseUser.email);
       } else {
         setUserProfile(null);
       }
@@ -68,6 +105,18 @@ export const AuthProvider = ({ children }) => {
     return unsubscribe;
   }, [initializing]);
 
+  // Register this device for pushes once the user can use the app
+  const pushUserId = user?.emailVerified ? user.uid : null;
+  useEffect(() => {
+    if (!pushUserId) return;
+
+    registerForPushNotifications(pushUserId).then((result) => {
+      if (result.success) {
+        pushTokenRef.current = result.data.token;
+      }
+    });
+  }, [pushUserId]);
+
   // Create user account and send verification email
   const signUp = async (email, password, fullName, phoneNumber, tcmcNumber) => {
     try {
@@ -259,13 +308,227 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Confirm the signed-in user's password before a sensitive change
+  const reauthenticate = async (password) => {
+    try {
+      if (!user) {
+        return { success: false, message: "No user found" };
+      }
+
+      if (!password) {
+        return {
+          success: false,
+          message: "Please enter your current password",
+        };
+      }
+
+      const credential = EmailAuthProvider.credential(user.email, password);
+      await reauthenticateWithCredential(user, credential);
+
+      return { success: true };
+    } catch (error) {
+      console.error("Re-authentication error:", error);
+
+      let errorMessage = "Could not confirm your password";
+      switch (error.code) {
+        case "auth/wrong-password":
+        case "auth/invalid-credential":
+          errorMessage = "Your current password is incorrect";
+          break;
+        case "auth/user-mismatch":
+        case "auth/user-not-found":
+          errorMessage = "Session expired. Please log in again";
+          break;
+        case "auth/too-many-requests":
+          errorMessage = "Too many failed attempts. Please try again later";
+          break;
+        case "auth/network-request-failed":
+          errorMessage = "Network error. Please check your connection";
+          break;
+        default:
+          errorMessage = error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Change password after confirming the current one
+  const changePassword = async (currentPassword, newPassword) => {
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return { success: false, message: passwordError };
+    }
+
+    if (newPassword === currentPassword) {
+      return {
+        success: false,
+        message: "New password must be different from your current password",
+      };
+    }
+
+    const reauthResult = await reauthenticate(currentPassword);
+    if (!reauthResult.success) {
+      return reauthResult;
+    }
+
+    try {
+      await updatePassword(user, newPassword);
+      return { success: true, message: "Password changed successfully" };
+    } catch (error) {
+      console.error("Change password error:", error);
+
+      let errorMessage = "Failed to change password";
+      switch (error.code) {
+        case "auth/weak-password":
+          errorMessage = "Password should be at least 6 characters";
+          break;
+        case "auth/requires-recent-login":
+          errorMessage = "Please confirm your password again to continue";
+          break;
+        case "auth/too-many-requests":
+          errorMessage = "Too many requests. Please try again later";
+          break;
+        case "auth/network-request-failed":
+          errorMessage = "Network error. Please check your connection";
+          break;
+        default:
+          errorMessage = error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Send a verification link to a new email address. The email on the
+  // account changes once the link is opened.
+  const changeEmail = async (currentPassword, newEmail) => {
+    const emailError = validateEmail(newEmail);
+    if (emailError) {
+      return { success: false, message: emailError };
+    }
+
+    const email = newEmail.trim().toLowerCase();
+    if (email === user?.email?.toLowerCase()) {
+      return { success: false, message: "This is already your email address" };
+    }
+
+    const reauthResult = await reauthenticate(currentPassword);
+    if (!reauthResult.success) {
+      return reauthResult;
+    }
+
+    try {
+      await verifyBeforeUpdateEmail(user, email);
+
+      // Keep the users document in step with what is waiting to be confirmed
+      await updateDoc(doc(firestore, "users", user.uid), {
+        pendingEmail: email,
+      });
+      updateLocalProfile({ pendingEmail: email });
+
+      return {
+        success: true,
+        message: `We sent a verification link to ${email}. Your email will change once you open it, and you will need to log in again.`,
+      };
+    } catch (error) {
+      console.error("Change email error:", error);
+
+      let errorMessage = "Failed to change email";
+      switch (error.code) {
+        case "auth/email-already-in-use":
+          errorMessage = "An account with this email already exists";
+          break;
+        case "auth/invalid-email":
+        case "auth/invalid-new-email":
+          errorMessage = "Please enter a valid email address";
+          break;
+        case "auth/requires-recent-login":
+          errorMessage = "Please confirm your password again to continue";
+          break;
+        case "auth/too-many-requests":
+          errorMessage =
+            "Too many requests. Please wait before requesting again";
+          break;
+        case "auth/network-request-failed":
+          errorMessage = "Network error. Please check your connection";
+          break;
+        default:
+          errorMessage = error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Delete the account for good after confirming the password. The user's
+  // data is removed first, while they still have access to it.
+  const deleteAccount = async (password) => {
+    const reauthResult = await reauthenticate(password);
+    if (!reauthResult.success) {
+      return reauthResult;
+    }
+
+    const dataResult = await deleteUserData(user.uid);
+    if (!dataResult.success) {
+      return dataResult;
+    }
+
+    setIsSigningOut(true);
+    try {
+      // The push token went with the users document
+      pushTokenRef.current = null;
+      await deleteUser(user);
+      return { success: true, message: "Your account has been deleted" };
+    } catch (error) {
+      console.error("Delete account error:", error);
+      setIsSigningOut(false);
+
+      let errorMessage =
+        "Your data was removed but the account could not be deleted. Please try again";
+      switch (error.code) {
+        case "auth/requires-recent-login":
+          errorMessage = "Please confirm your password again to continue";
+          break;
+        case "auth/network-request-failed":
+          errorMessage = "Network error. Please check your connection";
+          break;
+        default:
+          break;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Apply a change already written to the users document, so screens
+  // reading userProfile update without refetching it. Pass a function of
+  // the current profile when the change depends on it.
+  const updateLocalProfile = (changes) => {
+    setUserProfile((prev) => {
+      if (!prev) return prev;
+      return {
+        ...prev,
+        ...(typeof changes === "function" ? changes(prev) : changes),
+      };
+    });
+  };
+
   // Sign out user
   const logout = async () => {
+    setIsSigningOut(true);
     try {
+      // Stop pushes to this device before the profile becomes unwritable
+      if (user && pushTokenRef.current) {
+        await unregisterPushToken(user.uid, pushTokenRef.current);
+        pushTokenRef.current = null;
+      }
+
       await signOut(auth);
       return { success: true };
     } catch (error) {
       console.error("Logout error:", error);
+      setIsSigningOut(false);
       return { success: false, message: error.message };
     }
   };
@@ -273,6 +536,7 @@ export const AuthProvider = ({ children }) => {
   const value = {
     user,
     isLoading,
+    isSigningOut,
     userProfile,
     isAuthenticated: !!user,
     isVerified: user?.emailVerified || false,
@@ -282,6 +546,11 @@ export const AuthProvider = ({ children }) => {
     resendVerificationEmail,
     forgotPassword,
     reloadUser,
+    updateLocalProfile,
+    reauthenticate,
+    changePassword,
+    changeEmail,
+    deleteAccount,
   };
 
   // Don't render anything while initializing
@@ -0,0 +1,99 @@
+// Job alert matching, kept free of Firebase calls so it can be reused and
+// exercised against the emulator. Mirrors matchesClientFilters in the app's
+// utils/jobFilters.js; keep the two in step.
+
+// Months' worth of each pay unit, as SALARY_UNITS[].perMonth in the app's
+// constants/jobs.js
+const PER_MONTH_BY_SALARY_UNIT = {
+  shift: 26,
+  hour: 208,
+  day: 26,
+  month: 1,
+  annum: 1 / 12,
+};
+
+// Unit assumed for jobs posted before pay had an explicit unit
+const DEFAULT_SALARY_UNIT_BY_TYPE = {
+  permanent: "month",
+  relieving: "shift",
+};
+
+// Pay as a monthly figure, so it compares with the alert's monthly minimum
+const getMonthlyEquivalent = (job) => {
+  const amount = Number(job.salary);
+  if (!amount || isNaN(amount)) return 0;
+
+  const perMonth =
+    PER_MONTH_BY_SALARY_UNIT[job.salaryUnit] ||
+    PER_MONTH_BY_SALARY_UNIT[DEFAULT_SALARY_UNIT_BY_TYPE[job.type]] ||
+    PER_MONTH_BY_SALARY_UNIT[DEFAULT_SALARY_UNIT_BY_TYPE.relieving];
+  return amount * perMonth;
+};
+
+// Adds days to a YYYY-MM-DD key and returns the new key
+const addDaysToKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+// Date range presets are relative to the day the job is posted
+const getDateBounds = (dateRange, today) => {
+  switch (dateRange) {
+    case "today":
+      return { from: today, to: today };
+    case "week":
+      return { from: today, to: addDaysToKey(today, 6) };
+    case "month":
+      return { from: today, to: addDaysToKey(today, 29) };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Checks a newly posted job against a saved alert's filters
+ * @param {Object} job - The job document data
+ * @param {Object} filters - The alert's saved Home filters
+ * @param {string} today - Today's date as YYYY-MM-DD
+ * @returns {boolean} Whether the alert's owner should hear about the job
+ */
+const matchesAlert = (job, filters, today) => {
+  if (!job || !filters) return false;
+
+  if (filters.type && job.type !== filters.type) return false;
+  if (filters.position && job.position !== filters.position) return false;
+  if (!filters.position && filters.category) {
+    if (job.category !== filters.category) return false;
+  }
+
+  const search = filters.search?.trim().toLowerCase();
+  if (search) {
+    const haystack = [job.position, job.hospital, job.location]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    if (!haystack.includes(search)) return false;
+  }
+
+  // The app resolves the district when the job is posted
+  if (filters.district && job.district !== filters.district) return false;
+
+  // Multi-date jobs match if any of their dates is in range
+  const dateBounds = getDateBounds(filters.dateRange, today);
+  if (dateBounds) {
+    const dates = Array.isArray(job.dates) ? job.dates : [job.date];
+    const inRange = dates.some(
+      (date) => date && date >= dateBounds.from && date <= dateBounds.to
+    );
+    if (!inRange) return false;
+  }
+
+  if (filters.minSalary && !(getMonthlyEquivalent(job) >= filters.minSalary)) {
+    return false;
+  }
+
+  return true;
+};
+
+module.exports = { matchesAlert };
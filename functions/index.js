@@ -0,0 +1,270 @@
+// Cloud Functions for OnexTID
+const {
+  onDocumentCreated,
+  onDocumentUpdated,
+  onDocumentWritten,
+} = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const logger = require("firebase-functions/logger");
+const { initializeApp } = require("firebase-admin/app");
+const { FieldValue, getFirestore } = require("firebase-admin/firestore");
+const { matchesAlert } = require("./alerts");
+const lifecycle = require("./lifecycle");
+const notifications = require("./notifications");
+const push = require("./push");
+
+initializeApp();
+
+const db = getFirestore();
+
+// Each match is two writes and Firestore allows 500 writes per batch
+const MATCHES_PER_BATCH = 250;
+const MAX_BATCH_SIZE = 500;
+
+// Notification IDs are derived from what caused them, so a retried trigger
+// overwrites rather than duplicates
+const notificationRef = (userId, notificationId) =>
+  db
+    .collection("users")
+    .doc(userId)
+    .collection("notifications")
+    .doc(notificationId);
+
+const toNotificationDoc = (notification) => ({
+  ...notification,
+  read: false,
+  createdAt: FieldValue.serverTimestamp(),
+});
+
+const getJob = async (jobId) => {
+  const jobSnap = await db.collection("jobs").doc(jobId).get();
+  return jobSnap.exists ? jobSnap.data() : null;
+};
+
+// Records a match for every active alert the job satisfies. Match IDs
+// combine the alert and job, so a retried trigger doesn't create duplicates.
+const recordAlertMatches = async (jobId, job) => {
+  const today = new Date().toISOString().split("T")[0];
+
+  const alertsSnapshot = await db
+    .collection("alerts")
+    .where("active", "==", true)
+    .get();
+
+  const matches = alertsSnapshot.docs.filter((alertDoc) => {
+    const alert = alertDoc.data();
+    // Posters don't need alerts about their own jobs
+    return (
+      alert.userId !== job.createdById &&
+      matchesAlert(job, alert.filters, today)
+    );
+  });
+
+  for (let i = 0; i < matches.length; i += MATCHES_PER_BATCH) {
+    const batch = db.batch();
+
+    matches.slice(i, i + MATCHES_PER_BATCH).forEach((alertDoc) => {
+      const alert = alertDoc.data();
+      batch.set(db.collection("alertMatches").doc(`${alertDoc.id}_${jobId}`), {
+        userId: alert.userId,
+        alertId: alertDoc.id,
+        alertName: alert.name,
+        jobId,
+        jobPosition: job.position || null,
+        jobHospital: job.hospital || null,
+        jobLocation: job.location || null,
+        jobDate: job.date || null,
+        jobSalary: job.salary || null,
+        jobSalaryMax: job.salaryMax || null,
+        jobSalaryUnit: job.salaryUnit || null,
+        jobSalaryNegotiable: job.salaryNegotiable === true,
+        jobType: job.type || null,
+        seen: false,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      batch.update(alertDoc.ref, {
+        matchCount: FieldValue.increment(1),
+        lastMatchedAt: FieldValue.serverTimestamp(),
+      });
+    });
+
+    await batch.commit();
+  }
+
+  logger.info(`Job ${jobId} matched ${matches.length} alerts`);
+};
+
+/**
+ * Matches a newly posted job against saved search alerts
+ */
+exports.matchJobAlerts = onDocumentCreated("jobs/{jobId}", async (event) => {
+  const job = event.data?.data();
+  if (!job || job.status !== lifecycle.JOB_STATUS.ACTIVE) return;
+
+  await recordAlertMatches(event.params.jobId, job);
+});
+
+/**
+ * Matches drafts and scheduled jobs against alerts once they are published
+ */
+exports.matchPublishedJobAlerts = onDocumentUpdated(
+  "jobs/{jobId}",
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    const wasUnpublished =
+      before?.status === lifecycle.JOB_STATUS.DRAFT ||
+      before?.status === lifecycle.JOB_STATUS.SCHEDULED;
+
+    if (!after || !wasUnpublished) return;
+    if (after.status !== lifecycle.JOB_STATUS.ACTIVE) return;
+
+    await recordAlertMatches(event.params.jobId, after);
+  }
+);
+
+/**
+ * Publishes scheduled jobs and expires jobs whose dates have passed, shortly
+ * after midnight. Job dates are UTC date keys, so the schedule is in UTC too.
+ */
+exports.expireJobs = onSchedule(
+  { schedule: "every day 00:05", timeZone: "UTC" },
+  async () => {
+    const today = new Date().toISOString().split("T")[0];
+    const { published, expired, purged } = await lifecycle.runJobLifecycle(
+      db,
+      today
+    );
+
+    logger.info(
+      `Job lifecycle for ${today}: published ${published.length}, expired ${expired.length}, purged ${purged.length}`
+    );
+  }
+);
+
+/**
+ * Tells posters about new applicants and applicants about the poster's
+ * decision. Re-applying after a withdrawal rewrites the same document, so
+ * this watches writes rather than creates.
+ */
+exports.notifyApplicationChanges = onDocumentWritten(
+  "applications/{applicationId}",
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    if (!after || before?.status === after.status) return;
+
+    const { applicationId } = event.params;
+    const job = await getJob(after.jobId);
+
+    if (after.status === "pending") {
+      await notificationRef(
+        after.jobOwnerId,
+        `application_${applicationId}_${event.id}`
+      ).set(
+        toNotificationDoc(
+          notifications.applicationReceived(applicationId, after, job)
+        )
+      );
+      return;
+    }
+
+    if (
+      before?.status === "pending" &&
+      (after.status === "accepted" || after.status === "declined")
+    ) {
+      await notificationRef(
+        after.applicantId,
+        `application_${applicationId}_${after.status}`
+      ).set(
+        toNotificationDoc(
+          notifications.applicationReviewed(applicationId, after, job)
+        )
+      );
+    }
+  }
+);
+
+/**
+ * Tells everyone who saved a job that it has been filled. The accepted
+ * applicant already hears about it through their application.
+ */
+exports.notifySavedJobFilled = onDocumentUpdated(
+  "jobs/{jobId}",
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    if (!after || before?.status === "filled" || after.status !== "filled") {
+      return;
+    }
+
+    const { jobId } = event.params;
+    const savedBy = await db
+      .collection("users")
+      .where("savedJobIds", "array-contains", jobId)
+      .get();
+
+    const userIds = savedBy.docs
+      .map((userDoc) => userDoc.id)
+      .filter((userId) => userId !== after.filledBy);
+    const notification = toNotificationDoc(
+      notifications.savedJobFilled(jobId, after)
+    );
+
+    for (let i = 0; i < userIds.length; i += MAX_BATCH_SIZE) {
+      const batch = db.batch();
+      userIds.slice(i, i + MAX_BATCH_SIZE).forEach((userId) => {
+        batch.set(notificationRef(userId, `filled_${jobId}`), notification);
+      });
+      await batch.commit();
+    }
+
+    logger.info(`Job ${jobId} filled, notified ${userIds.length} savers`);
+  }
+);
+
+/**
+ * Turns each alert match into an inbox notification
+ */
+exports.notifyAlertMatch = onDocumentCreated(
+  "alertMatches/{matchId}",
+  async (event) => {
+    const match = event.data?.data();
+    if (!match) return;
+
+    await notificationRef(match.userId, `match_${event.params.matchId}`).set(
+      toNotificationDoc(notifications.alertMatch(match))
+    );
+  }
+);
+
+/**
+ * Pushes every new inbox notification to the user's devices, unless they
+ * opted out of its category. Tokens Expo no longer recognises are removed.
+ */
+exports.sendPushNotification = onDocumentCreated(
+  "users/{userId}/notifications/{notificationId}",
+  async (event) => {
+    const notification = event.data?.data();
+    if (!notification) return;
+
+    const { userId, notificationId } = event.params;
+    const userRef = db.collection("users").doc(userId);
+    const userSnap = await userRef.get();
+    if (!userSnap.exists) return;
+
+    const staleTokens = await push.sendToUser(userSnap.data(), {
+      id: notificationId,
+      ...notification,
+    });
+
+    if (staleTokens.length > 0) {
+      await userRef.update({
+        pushTokens: FieldValue.arrayRemove(...staleTokens),
+      });
+      logger.info(`Removed ${staleTokens.length} stale push tokens`, {
+        userId,
+      });
+    }
+  }
+);
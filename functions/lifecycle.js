@@ -0,0 +1,132 @@
+// Scheduled job lifecycle changes, kept separate from the triggers so the
+// same pass can be run from the scheduler or a script against the emulator.
+// Statuses and transitions mirror JOB_STATUS and JOB_STATUS_TRANSITIONS in
+// the app's constants/jobs.js; keep the two in step.
+const { FieldValue, Timestamp } = require("firebase-admin/firestore");
+
+const JOB_STATUS = {
+  DRAFT: "draft",
+  SCHEDULED: "scheduled",
+  ACTIVE: "active",
+  EXPIRED: "expired",
+  DELETED: "deleted",
+};
+
+// Matches DELETED_JOB_RETENTION_DAYS in the app's constants/jobs.js
+const DELETED_JOB_RETENTION_DAYS = 30;
+
+const MAX_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Multi-date jobs stay open until their last date has passed
+const getLastDate = (job) => {
+  const dates =
+    Array.isArray(job.dates) && job.dates.length > 0 ? job.dates : [job.date];
+  return [...dates].filter(Boolean).sort().pop() || null;
+};
+
+// Entries without fields are deleted rather than updated
+const commitInBatches = async (db, updates) => {
+  for (let i = 0; i < updates.length; i += MAX_BATCH_SIZE) {
+    const batch = db.batch();
+    updates
+      .slice(i, i + MAX_BATCH_SIZE)
+      .forEach(({ ref, fields }) =>
+        fields ? batch.update(ref, fields) : batch.delete(ref)
+      );
+    await batch.commit();
+  }
+};
+
+/**
+ * Publishes scheduled jobs whose publish date has come and expires open
+ * jobs whose dates have all passed. Scheduled jobs that were never
+ * published in time are expired rather than published. Deleted jobs are
+ * purged for good once their retention period has passed.
+ * @param {Object} db - Firestore instance from firebase-admin
+ * @param {string} today - Today's date as YYYY-MM-DD
+ * @returns {Promise<Object>} { published, expired, purged } job IDs
+ */
+const runJobLifecycle = async (db, today) => {
+  const jobs = db.collection("jobs");
+  const purgeCutoff = Timestamp.fromMillis(
+    Date.parse(`${today}T00:00:00Z`) - DELETED_JOB_RETENTION_DAYS * DAY_MS
+  );
+
+  // `date` is the first date, so this narrows the candidates; the last
+  // date decides
+  const [scheduledSnapshot, pastSnapshot, deletedSnapshot] = await Promise.all([
+    jobs
+      .where("status", "==", JOB_STATUS.SCHEDULED)
+      .where("publishAt", "<=", today)
+      .get(),
+    jobs
+      .where("status", "==", JOB_STATUS.ACTIVE)
+      .where("date", "<", today)
+      .get(),
+    jobs
+      .where("status", "==", JOB_STATUS.DELETED)
+      .where("deletedAt", "<", purgeCutoff)
+      .get(),
+  ]);
+
+  const published = [];
+  const expired = [];
+  const updates = [];
+
+  scheduledSnapshot.docs.forEach((jobDoc) => {
+    const lastDate = getLastDate(jobDoc.data());
+
+    if (lastDate && lastDate < today) {
+      expired.push(jobDoc.id);
+      updates.push({
+        ref: jobDoc.ref,
+        fields: {
+          status: JOB_STATUS.EXPIRED,
+          publishAt: null,
+          expiredAt: FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+      });
+      return;
+    }
+
+    published.push(jobDoc.id);
+    updates.push({
+      ref: jobDoc.ref,
+      fields: {
+        status: JOB_STATUS.ACTIVE,
+        publishAt: null,
+        // Publishing counts as posting, as it does in the app
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+    });
+  });
+
+  pastSnapshot.docs.forEach((jobDoc) => {
+    const lastDate = getLastDate(jobDoc.data());
+    if (!lastDate || lastDate >= today) return;
+
+    expired.push(jobDoc.id);
+    updates.push({
+      ref: jobDoc.ref,
+      fields: {
+        status: JOB_STATUS.EXPIRED,
+        expiredAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+    });
+  });
+
+  const purged = deletedSnapshot.docs.map((jobDoc) => {
+    updates.push({ ref: jobDoc.ref });
+    return jobDoc.id;
+  });
+
+  await commitInBatches(db, updates);
+
+  return { published, expired, purged };
+};
+
+module.exports = { JOB_STATUS, runJobLifecycle };
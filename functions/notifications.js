@@ -0,0 +1,69 @@
+// Builders for in-app notifications. Each returns the document to store
+// under users/{uid}/notifications; the app reads `link` to deep link into
+// the relevant screen.
+
+const NOTIFICATION_TYPES = {
+  APPLICATION_RECEIVED: "application_received",
+  APPLICATION_ACCEPTED: "application_accepted",
+  APPLICATION_DECLINED: "application_declined",
+  SAVED_JOB_FILLED: "saved_job_filled",
+  ALERT_MATCH: "alert_match",
+};
+
+// Job summary used in notification text, e.g. "Casualty Duty on 2025-01-10"
+const describeJob = (job) =>
+  [job?.position || "a job", job?.date && `on ${job.date}`]
+    .filter(Boolean)
+    .join(" ");
+
+const applicationReceived = (applicationId, application, job) => ({
+  type: NOTIFICATION_TYPES.APPLICATION_RECEIVED,
+  title: "New applicant",
+  body: `${application.applicantName} applied for ${describeJob(job)}`,
+  jobId: application.jobId,
+  applicationId,
+  // Opens the applicant list for the job on My Postings
+  link: { pathname: "/manage", params: { applicantsJobId: application.jobId } },
+});
+
+const applicationReviewed = (applicationId, application, job) => {
+  const accepted = application.status === "accepted";
+
+  return {
+    type: accepted
+      ? NOTIFICATION_TYPES.APPLICATION_ACCEPTED
+      : NOTIFICATION_TYPES.APPLICATION_DECLINED,
+    title: accepted ? "Application accepted" : "Application declined",
+    body: accepted
+      ? `You got ${describeJob(job)}`
+      : `Your application for ${describeJob(job)} was declined`,
+    jobId: application.jobId,
+    applicationId,
+    // Opens the posting, which shows where the application stands
+    link: { pathname: "/job/[id]", params: { id: application.jobId } },
+  };
+};
+
+const savedJobFilled = (jobId, job) => ({
+  type: NOTIFICATION_TYPES.SAVED_JOB_FILLED,
+  title: "Saved job filled",
+  body: `${describeJob(job)} at ${job.hospital} has been filled`,
+  jobId,
+  link: { pathname: "/job/[id]", params: { id: jobId } },
+});
+
+const alertMatch = (match) => ({
+  type: NOTIFICATION_TYPES.ALERT_MATCH,
+  title: `New match for "${match.alertName}"`,
+  body: `${describeJob({ position: match.jobPosition, date: match.jobDate })} at ${match.jobHospital}`,
+  jobId: match.jobId,
+  link: { pathname: "/job/[id]", params: { id: match.jobId } },
+});
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  applicationReceived,
+  applicationReviewed,
+  savedJobFilled,
+  alertMatch,
+};
@@ -0,0 +1,83 @@
+// Delivers inbox notifications to a user's devices through the Expo push
+// service. Set EXPO_PUSH_ENDPOINT to send to a stub server instead
+// (see scripts/stub-push-server.js).
+
+const EXPO_PUSH_ENDPOINT =
+  process.env.EXPO_PUSH_ENDPOINT || "https://exp.host/--/api/v2/push/send";
+
+// Expo accepts at most 100 messages per request
+const MAX_MESSAGES_PER_REQUEST = 100;
+
+// Users opt out per category; keep in sync with PUSH_CATEGORIES in
+// constants/notifications.js
+const CATEGORY_BY_TYPE = {
+  application_received: "applications",
+  application_accepted: "applicationUpdates",
+  application_declined: "applicationUpdates",
+  saved_job_filled: "savedJobs",
+  alert_match: "alerts",
+};
+
+const isOptedOut = (preferences, notificationType) => {
+  const category = CATEGORY_BY_TYPE[notificationType];
+  return Boolean(category) && preferences?.[category] === false;
+};
+
+const toPushMessage = (token, notification) => ({
+  to: token,
+  title: notification.title,
+  body: notification.body,
+  sound: "default",
+  channelId: "default",
+  // Read by the app to open the same screen as the inbox item
+  data: { notificationId: notification.id, link: notification.link },
+});
+
+/**
+ * Send a notification to every push token a user has registered
+ * @param {Object} user - The user document data
+ * @param {Object} notification - The inbox notification, including its id
+ * @returns {Promise<Array<string>>} Tokens Expo reported as no longer valid
+ */
+const sendToUser = async (user, notification) => {
+  const tokens = Array.isArray(user?.pushTokens) ? user.pushTokens : [];
+  if (tokens.length === 0) return [];
+  if (isOptedOut(user.notificationPreferences, notification.type)) return [];
+
+  const staleTokens = [];
+
+  for (let i = 0; i < tokens.length; i += MAX_MESSAGES_PER_REQUEST) {
+    const batch = tokens.slice(i, i + MAX_MESSAGES_PER_REQUEST);
+    const response = await fetch(EXPO_PUSH_ENDPOINT, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(
+        batch.map((token) => toPushMessage(token, notification))
+      ),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Push endpoint responded with ${response.status}`);
+    }
+
+    // Tickets come back in the same order as the messages
+    const { data: tickets = [] } = await response.json();
+    tickets.forEach((ticket, index) => {
+      if (ticket?.details?.error === "DeviceNotRegistered") {
+        staleTokens.push(batch[index]);
+      }
+    });
+  }
+
+  return staleTokens;
+};
+
+module.exports = {
+  EXPO_PUSH_ENDPOINT,
+  CATEGORY_BY_TYPE,
+  isOptedOut,
+  sendToUser,
+};
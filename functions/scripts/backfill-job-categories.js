@@ -0,0 +1,91 @@
+// One-off migration giving jobs posted before the position catalogue a
+// `category`, looked up from the `positions` collection by the job's
+// position name or one of its aliases.
+//
+//   node scripts/backfill-job-categories.js            (dry run)
+//   node scripts/backfill-job-categories.js --write
+//
+// Uses Application Default Credentials, or the emulator when
+// FIRESTORE_EMULATOR_HOST is set. Safe to run more than once.
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+
+const MAX_BATCH_SIZE = 500;
+
+initializeApp();
+
+const db = getFirestore();
+
+const normalise = (text) =>
+  typeof text === "string"
+    ? text.trim().replace(/\s+/g, " ").toLowerCase()
+    : "";
+
+// Position name or alias → category, retired positions included
+const loadCategoryLookup = async () => {
+  const snapshot = await db.collection("positions").get();
+  const lookup = new Map();
+
+  snapshot.forEach((positionDoc) => {
+    const { name, aliases, category } = positionDoc.data();
+    if (!name || !category) return;
+
+    [name, ...(Array.isArray(aliases) ? aliases : [])].forEach((term) => {
+      lookup.set(normalise(term), category);
+    });
+  });
+
+  return lookup;
+};
+
+const backfill = async (write) => {
+  const lookup = await loadCategoryLookup();
+  if (lookup.size === 0) {
+    console.log("The positions collection is empty, nothing to match against");
+    return;
+  }
+
+  const snapshot = await db.collection("jobs").get();
+  const updates = [];
+  const unmatched = new Set();
+
+  snapshot.forEach((jobDoc) => {
+    const job = jobDoc.data();
+    if (job.category) return;
+
+    const category = lookup.get(normalise(job.position));
+    if (category) {
+      updates.push({ ref: jobDoc.ref, category });
+    } else {
+      unmatched.add(job.position);
+    }
+  });
+
+  console.log(
+    `${updates.length} of ${snapshot.size} jobs can be given a category`
+  );
+  if (unmatched.size > 0) {
+    console.log(`No catalogue entry for: ${[...unmatched].join(", ")}`);
+  }
+
+  if (!write) {
+    console.log("Dry run, nothing written. Pass --write to update them.");
+    return;
+  }
+
+  for (let i = 0; i < updates.length; i += MAX_BATCH_SIZE) {
+    const batch = db.batch();
+    updates
+      .slice(i, i + MAX_BATCH_SIZE)
+      .forEach(({ ref, category }) => batch.update(ref, { category }));
+    await batch.commit();
+  }
+
+  console.log(`Updated ${updates.length} jobs`);
+};
+
+backfill(process.argv.includes("--write")).catch((error) => {
+  console.error("Migration failed:", error);
+  process.exit(1);
+});
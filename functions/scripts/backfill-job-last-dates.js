@@ -0,0 +1,58 @@
+// One-off migration giving jobs posted before `lastDate` was stored their
+// last date, so the "Soonest start date" feed can find them.
+//
+//   node scripts/backfill-job-last-dates.js            (dry run)
+//   node scripts/backfill-job-last-dates.js --write
+//
+// Uses Application Default Credentials, or the emulator when
+// FIRESTORE_EMULATOR_HOST is set. Safe to run more than once.
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+
+const MAX_BATCH_SIZE = 500;
+
+initializeApp();
+
+const db = getFirestore();
+
+// Jobs posted before multi-date shifts only have a single `date`
+const getLastDate = (job) => {
+  const dates =
+    Array.isArray(job.dates) && job.dates.length > 0 ? job.dates : [job.date];
+  return dates.filter(Boolean).sort().pop() || null;
+};
+
+const backfill = async (write) => {
+  const snapshot = await db.collection("jobs").get();
+
+  const updates = snapshot.docs
+    .filter((jobDoc) => !jobDoc.data().lastDate)
+    .map((jobDoc) => ({
+      ref: jobDoc.ref,
+      lastDate: getLastDate(jobDoc.data()),
+    }))
+    .filter(({ lastDate }) => lastDate);
+
+  console.log(`${updates.length} of ${snapshot.size} jobs need a lastDate`);
+
+  if (!write) {
+    console.log("Dry run, nothing written. Pass --write to update them.");
+    return;
+  }
+
+  for (let i = 0; i < updates.length; i += MAX_BATCH_SIZE) {
+    const batch = db.batch();
+    updates
+      .slice(i, i + MAX_BATCH_SIZE)
+      .forEach(({ ref, lastDate }) => batch.update(ref, { lastDate }));
+    await batch.commit();
+  }
+
+  console.log(`Updated ${updates.length} jobs`);
+};
+
+backfill(process.argv.includes("--write")).catch((error) => {
+  console.error("Migration failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// One-off migration giving jobs posted before pay had a unit an explicit
+// `salaryUnit`, inferred from their type: permanent salaries were monthly
+// and relieving wages were per shift.
+//
+//   node scripts/migrate-salary-units.js            (dry run)
+//   node scripts/migrate-salary-units.js --write
+//
+// Uses Application Default Credentials, or the emulator when
+// FIRESTORE_EMULATOR_HOST is set. Safe to run more than once.
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+
+// Matches DEFAULT_SALARY_UNIT_BY_TYPE in the app's constants/jobs.js
+const DEFAULT_SALARY_UNIT_BY_TYPE = {
+  permanent: "month",
+  relieving: "shift",
+};
+
+const MAX_BATCH_SIZE = 500;
+
+initializeApp();
+
+const db = getFirestore();
+
+const migrate = async (write) => {
+  const snapshot = await db.collection("jobs").get();
+
+  const updates = snapshot.docs
+    .filter((jobDoc) => !jobDoc.data().salaryUnit)
+    .map((jobDoc) => {
+      const job = jobDoc.data();
+      return {
+        ref: jobDoc.ref,
+        fields: {
+          salaryUnit:
+            DEFAULT_SALARY_UNIT_BY_TYPE[job.type] ||
+            DEFAULT_SALARY_UNIT_BY_TYPE.relieving,
+          salaryMax: job.salaryMax ?? null,
+          salaryNegotiable: job.salaryNegotiable === true,
+        },
+      };
+    });
+
+  console.log(`${updates.length} of ${snapshot.size} jobs need a salary unit`);
+
+  if (!write) {
+    console.log("Dry run, nothing written. Pass --write to update them.");
+    return;
+  }
+
+  for (let i = 0; i < updates.length; i += MAX_BATCH_SIZE) {
+    const batch = db.batch();
+    updates
+      .slice(i, i + MAX_BATCH_SIZE)
+      .forEach(({ ref, fields }) => batch.update(ref, fields));
+    await batch.commit();
+  }
+
+  console.log(`Updated ${updates.length} jobs`);
+};
+
+migrate(process.argv.includes("--write")).catch((error) => {
+  console.error("Migration failed:", error);
+  process.exit(1);
+});
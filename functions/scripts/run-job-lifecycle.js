@@ -0,0 +1,26 @@
+// Runs the expireJobs pass once, for trying it against the emulators
+// without waiting for the schedule.
+//
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 node scripts/run-job-lifecycle.js
+//
+// An optional YYYY-MM-DD argument stands in for today, e.g. to see which
+// jobs will expire or be purged tomorrow.
+
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+const { runJobLifecycle } = require("../lifecycle");
+
+initializeApp();
+
+const today = process.argv[2] || new Date().toISOString().split("T")[0];
+
+runJobLifecycle(getFirestore(), today)
+  .then(({ published, expired, purged }) => {
+    console.log(
+      `${today}: published ${published.length}, expired ${expired.length}, purged ${purged.length}`
+    );
+  })
+  .catch((error) => {
+    console.error("Lifecycle run failed:", error);
+    process.exit(1);
+  });
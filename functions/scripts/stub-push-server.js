@@ -0,0 +1,55 @@
+// Stand-in for the Expo push service when testing with the emulators.
+// Logs every message it receives and answers with successful tickets.
+//
+//   node scripts/stub-push-server.js
+//   EXPO_PUSH_ENDPOINT=http://127.0.0.1:4010/push (in functions/.env.local)
+//
+// Tokens containing "unregistered" get a DeviceNotRegistered ticket, to
+// exercise stale token cleanup.
+
+const http = require("http");
+
+const PORT = Number(process.env.PORT) || 4010;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    let messages;
+    try {
+      messages = JSON.parse(body);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const list = Array.isArray(messages) ? messages : [messages];
+    list.forEach((message) =>
+      console.log(`→ ${message.to}: ${message.title} — ${message.body}`)
+    );
+
+    const data = list.map((message, index) =>
+      String(message.to).includes("unregistered")
+        ? {
+            status: "error",
+            message: "Device not registered",
+            details: { error: "DeviceNotRegistered" },
+          }
+        : { status: "ok", id: `stub-${Date.now()}-${index}` }
+    );
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ data }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub push endpoint listening on http://127.0.0.1:${PORT}/push`);
+});
@@ -0,0 +1,116 @@
+// hooks/useAlerts.js
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { fetchAlertMatches, fetchAlerts } from "../services/alerts/fetch";
+
+/**
+ * A user's saved search alerts and the jobs that matched them
+ * @param {string} userId - The user's ID
+ */
+export function useAlerts(userId) {
+  const [alerts, setAlerts] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const fetchAll = useCallback(async () => {
+    const [alertData, matchData] = await Promise.all([
+      fetchAlerts(userId),
+      fetchAlertMatches(userId),
+    ]);
+    setAlerts(alertData);
+    setMatches(matchData);
+  }, [userId]);
+
+  const loadAlerts = useCallback(async () => {
+    if (!userId) {
+      setAlerts([]);
+      setMatches([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      await fetchAll();
+    } catch (err) {
+      setError(err.message);
+      console.error("Error loading alerts:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, fetchAll]);
+
+  const onRefresh = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      setRefreshing(true);
+      setError(null);
+      await fetchAll();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [userId, fetchAll]);
+
+  // Quietly pick up matches that arrived while the screen was hidden
+  const syncAlerts = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      await fetchAll();
+    } catch (err) {
+      console.error("Background sync failed:", err);
+    }
+  }, [userId, fetchAll]);
+
+  // Apply local changes after a successful action
+  const updateLocalAlert = useCallback((alertId, changes) => {
+    setAlerts((prev) =>
+      prev.map((alert) =>
+        alert.id === alertId ? { ...alert, ...changes } : alert
+      )
+    );
+  }, []);
+
+  const removeLocalAlert = useCallback((alertId) => {
+    setAlerts((prev) => prev.filter((alert) => alert.id !== alertId));
+    setMatches((prev) => prev.filter((match) => match.alertId !== alertId));
+  }, []);
+
+  const markLocalMatchesSeen = useCallback((matchIds) => {
+    const seenIds = new Set(matchIds);
+    setMatches((prev) =>
+      prev.map((match) =>
+        seenIds.has(match.id) ? { ...match, seen: true } : match
+      )
+    );
+  }, []);
+
+  const unseenMatchIds = useMemo(
+    () => matches.filter((match) => !match.seen).map((match) => match.id),
+    [matches]
+  );
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  return {
+    alerts,
+    matches,
+    unseenMatchIds,
+    loading,
+    error,
+    refreshing,
+    loadAlerts,
+    onRefresh,
+    syncAlerts,
+    updateLocalAlert,
+    removeLocalAlert,
+    markLocalMatchesSeen,
+  };
+}
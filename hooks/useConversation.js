@@ -0,0 +1,84 @@
+// hooks/useConversation.js
+import { useFocusEffect } from "expo-router";
+import { useState, useEffect, useCallback } from "react";
+import { subscribeToConversation } from "../services/messages/fetch";
+import { markConversationRead, sendMessage } from "../services/messages/send";
+
+/**
+ * Live messages for one conversation
+ * Messages are marked as read while the conversation is on screen.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} userId - The current user's ID
+ */
+export function useConversation(conversationId, userId) {
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+  // Bumped to re-create the listeners after they fail
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!conversationId) {
+      setError("Please provide a valid conversation ID");
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToConversation(
+      conversationId,
+      (update) => {
+        setConversation(update.conversation);
+        setMessages(update.messages);
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+
+    return unsubscribe;
+  }, [conversationId, attempt]);
+
+  const retry = useCallback(() => {
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  const unread = conversation?.unreadCounts?.[userId] || 0;
+
+  // The screen stays mounted after leaving it, so only a focused
+  // conversation counts as read
+  useFocusEffect(
+    useCallback(() => {
+      if (unread > 0) {
+        markConversationRead(conversationId, userId);
+      }
+    }, [conversationId, userId, unread])
+  );
+
+  const send = useCallback(
+    async (text) => {
+      setSending(true);
+      try {
+        return await sendMessage(conversationId, userId, text);
+      } finally {
+        setSending(false);
+      }
+    },
+    [conversationId, userId]
+  );
+
+  return {
+    conversation,
+    messages,
+    loading,
+    error,
+    sending,
+    send,
+    retry,
+  };
+}
@@ -0,0 +1,61 @@
+// hooks/useConversations.js
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { subscribeToConversations } from "../services/messages/fetch";
+
+/**
+ * Live list of a user's conversations with their total unread count
+ * @param {string} userId - The user's ID
+ */
+export function useConversations(userId) {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Bumped to re-create the listener after it fails
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setConversations([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToConversations(
+      userId,
+      (conversationList) => {
+        setConversations(conversationList);
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+
+    return unsubscribe;
+  }, [userId, attempt]);
+
+  const retry = useCallback(() => {
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  const unreadCount = useMemo(
+    () =>
+      conversations.reduce(
+        (total, conversation) =>
+          total + (conversation.unreadCounts?.[userId] || 0),
+        0
+      ),
+    [conversations, userId]
+  );
+
+  return {
+    conversations,
+    unreadCount,
+    loading,
+    error,
+    retry,
+  };
+}
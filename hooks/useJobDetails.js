@@ -0,0 +1,57 @@
+// hooks/useJobDetails.js
+import { useState, useEffect, useCallback } from "react";
+import { fetchJobById } from "../services/jobs/fetch";
+import { fetchPublicProfile } from "../services/users/fetch";
+
+export function useJobDetails(jobId) {
+  const [job, setJob] = useState(null);
+  const [poster, setPoster] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadJob = useCallback(
+    async (useCache = true) => {
+      if (!jobId) {
+        setError("Please provide a valid job ID");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const jobData = await fetchJobById(jobId, useCache);
+        setJob(jobData);
+
+        // Poster details are nice to have, so a failure here is not fatal
+        if (jobData?.createdById) {
+          fetchPublicProfile(jobData.createdById)
+            .then(setPoster)
+            .catch((err) => {
+              console.error("Error loading poster:", err);
+              setPoster(null);
+            });
+        }
+      } catch (err) {
+        setError(err.message);
+        console.error("Error loading job:", err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [jobId]
+  );
+
+  useEffect(() => {
+    loadJob();
+  }, [loadJob]);
+
+  return {
+    job,
+    poster,
+    loading,
+    error,
+    loadJob,
+  };
+}
@@ -0,0 +1,33 @@
+// hooks/useJobFilters.js
+import { useCallback } from "react";
+import { DEFAULT_FILTERS } from "../utils/jobFilters";
+import { usePersistedState } from "./usePersistedState";
+
+export const FILTERS_STORAGE_KEY = "@onextid/jobFilters";
+
+// Home filters, persisted so they survive app restarts
+export function useJobFilters() {
+  const [filters, setFilters, filtersLoaded] = usePersistedState(
+    FILTERS_STORAGE_KEY,
+    DEFAULT_FILTERS
+  );
+
+  const updateFilter = useCallback(
+    (key, value) => {
+      setFilters((prev) => ({ ...prev, [key]: value }));
+    },
+    [setFilters]
+  );
+
+  const resetFilters = useCallback(() => {
+    setFilters((prev) => ({ ...DEFAULT_FILTERS, search: prev.search }));
+  }, [setFilters]);
+
+  return {
+    filters,
+    filtersLoaded,
+    setFilters,
+    updateFilter,
+    resetFilters,
+  };
+}
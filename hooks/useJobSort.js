@@ -0,0 +1,30 @@
+// hooks/useJobSort.js
+import { useCallback } from "react";
+import { DEFAULT_SORT } from "../utils/jobSort";
+import { usePersistedState } from "./usePersistedState";
+
+export const SORT_STORAGE_KEY = "@onextid/jobSort";
+
+// Feed sort order, remembered between launches
+export function useJobSort() {
+  const [sort, setSort, sortLoaded] = usePersistedState(
+    SORT_STORAGE_KEY,
+    DEFAULT_SORT
+  );
+
+  const changeSort = useCallback(
+    (sortBy, homeDistrict) => {
+      setSort((prev) => ({
+        sortBy,
+        homeDistrict: homeDistrict ?? prev.homeDistrict,
+      }));
+    },
+    [setSort]
+  );
+
+  return {
+    sort,
+    sortLoaded,
+    changeSort,
+  };
+}
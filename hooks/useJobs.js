@@ -1,22 +1,49 @@
 // hooks/useJobs.js
-import { useState, useEffect, useCallback } from "react";
-import { fetchAllJobs } from "../services/jobs/fetch";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+  fetchJobsPage,
+  subscribeToJobUpdates,
+  subscribeToNewJobs,
+} from "../services/jobs/fetch";
+import { JOB_STATUS } from "../constants/jobs";
+import { matchesClientFilters, toServerFilters } from "../utils/jobFilters";
+import { getLastDate } from "../utils/jobUtils";
+import { DEFAULT_SORT, sortJobs, toServerSort } from "../utils/jobSort";
 
-// Simple cache - just store data with timestamp
+// Number of jobs loaded per page of the feed
+export const PAGE_SIZE = 20;
+
+// Simple cache - loaded pages plus the cursor to continue from, for the
+// server-side filters identified by `key`
 const jobsCache = {
+  key: null,
   data: null,
+  lastDoc: null,
+  hasMore: true,
   timestamp: null,
 
-  set(data) {
+  set(key, data, lastDoc, hasMore) {
+    this.key = key;
     this.data = data;
+    this.lastDoc = lastDoc;
+    this.hasMore = hasMore;
     this.timestamp = Date.now();
   },
 
-  get() {
+  // Merge a further page into the cached pages without resetting the age
+  append(key, data, lastDoc, hasMore) {
+    if (!this.data || this.key !== key) return;
+
+    this.data = data;
+    this.lastDoc = lastDoc;
+    this.hasMore = hasMore;
+  },
+
+  get(key) {
     // Cache for 3 minutes
     const CACHE_TIME = 3 * 60 * 1000;
 
-    if (!this.data || !this.timestamp) {
+    if (!this.data || !this.timestamp || this.key !== key) {
       return null;
     }
 
@@ -26,7 +53,12 @@ const jobsCache = {
       return null;
     }
 
-    return this.data;
+    return {
+      data: this.data,
+      lastDoc: this.lastDoc,
+      hasMore: this.hasMore,
+      timestamp: this.timestamp,
+    };
   },
 
   isStale() {
@@ -38,94 +70,333 @@ const jobsCache = {
   },
 
   clear() {
+    this.key = null;
     this.data = null;
+    this.lastDoc = null;
+    this.hasMore = true;
     this.timestamp = null;
   },
 };
 
-export function useJobs() {
-  const [jobs, setJobs] = useState([]);
+/**
+ * Clear the feed pages shared by every useJobs instance, e.g. on logout
+ */
+export const clearFeedCache = () => {
+  jobsCache.clear();
+};
+
+// Add a new page to the list, skipping jobs that are already shown
+const mergeJobs = (currentJobs, newJobs) => {
+  const seen = new Set(currentJobs.map((job) => job.id));
+  return [...currentJobs, ...newJobs.filter((job) => !seen.has(job.id))];
+};
+
+// Swap in changed copies of loaded jobs and drop the ones that were deleted
+const applyJobUpdates = (currentJobs, updatedJobs) => {
+  const updates = new Map(updatedJobs.map((job) => [job.id, job]));
+
+  return currentJobs
+    .map((job) => updates.get(job.id) || job)
+    .filter((job) => job.status !== JOB_STATUS.DELETED);
+};
+
+// Below this many visible jobs, keep loading pages so client-side filters
+// don't leave the list looking empty while more matches exist
+const MIN_VISIBLE_JOBS = PAGE_SIZE / 2;
+
+// Most pages fetched in a row to fill the list, so filters that match
+// nothing don't page through the whole collection
+const MAX_FILL_PAGES = 5;
+
+/**
+ * Paginated job feed
+ * @param {Object|null} filters - Home filters; pass null to hold off loading
+ * @param {Object|null} sort - Sort preference; pass null to hold off loading
+ */
+export function useJobs(filters = {}, sort = DEFAULT_SORT) {
+  const [loadedJobs, setLoadedJobs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  // Jobs posted since the first page loaded, held back until the user asks
+  const [incomingJobs, setIncomingJobs] = useState([]);
+  // When the loaded first page was fetched; live listeners start from here
+  const [listenSince, setListenSince] = useState(null);
 
-  const loadJobs = useCallback(async (useCache = true) => {
-    try {
-      // Check cache first
-      if (useCache) {
-        const cachedJobs = jobsCache.get();
-        if (cachedJobs) {
-          setJobs(cachedJobs);
-          setError(null);
-          setLoading(false);
-
-          // If cache is stale, refresh in background
-          if (jobsCache.isStale()) {
-            // Background refresh without showing loading
-            fetchAllJobs()
-              .then((freshData) => {
-                jobsCache.set(freshData);
-                setJobs(freshData);
-              })
-              .catch((err) => {
-                console.error("Background refresh failed:", err);
-                // Don't update error state for background failures
-              });
-          }
+  // Cursor for the next page; a ref because it never affects rendering
+  const lastDocRef = useRef(null);
+  const loadingMoreRef = useRef(false);
+  // Pages fetched to fill the list since the first page or the filters changed
+  const fillRef = useRef({ filtersKey: null, pages: 0 });
+
+  const isReady = filters !== null && sort !== null;
+
+  // Only the Firestore-side filters and ordering decide what gets fetched.
+  // The feed only lists jobs that are open; the rest are found from Saved
+  // and My Applications.
+  const serverFiltersKey = JSON.stringify({
+    status: JOB_STATUS.ACTIVE,
+    ...toServerFilters(filters),
+    ...toServerSort(sort),
+  });
+  const serverFilters = useMemo(
+    () => JSON.parse(serverFiltersKey),
+    [serverFiltersKey]
+  );
+
+  const applyFirstPage = useCallback(
+    (page) => {
+      jobsCache.set(serverFiltersKey, page.jobs, page.lastDoc, page.hasMore);
+      lastDocRef.current = page.lastDoc;
+      fillRef.current.pages = 0;
+      setLoadedJobs(page.jobs);
+      setHasMore(page.hasMore);
+      setIncomingJobs([]);
+      setListenSince(new Date(jobsCache.timestamp));
+    },
+    [serverFiltersKey]
+  );
+
+  const loadJobs = useCallback(
+    async (useCache = true) => {
+      if (!isReady) return;
 
-          return;
+      try {
+        // Check cache first
+        if (useCache) {
+          const cached = jobsCache.get(serverFiltersKey);
+          if (cached) {
+            lastDocRef.current = cached.lastDoc;
+            fillRef.current.pages = 0;
+            setLoadedJobs(cached.data);
+            setHasMore(cached.hasMore);
+            setIncomingJobs([]);
+            setListenSince(new Date(cached.timestamp));
+            setError(null);
+            setLoading(false);
+
+            // If cache is stale, refresh the first page in background
+            if (jobsCache.isStale()) {
+              // Background refresh without showing loading
+              fetchJobsPage({ ...serverFilters, limit: PAGE_SIZE }, false)
+                .then(applyFirstPage)
+                .catch((err) => {
+                  console.error("Background refresh failed:", err);
+                  // Don't update error state for background failures
+                });
+            }
+
+            return;
+          }
         }
+
+        setLoading(true);
+        setError(null);
+        lastDocRef.current = null;
+
+        const page = await fetchJobsPage(
+          { ...serverFilters, limit: PAGE_SIZE },
+          useCache
+        );
+        applyFirstPage(page);
+      } catch (err) {
+        setError(err.message);
+        console.error("Error loading jobs:", err);
+      } finally {
+        setLoading(false);
       }
+    },
+    [isReady, serverFilters, serverFiltersKey, applyFirstPage]
+  );
 
-      setLoading(true);
-      setError(null);
+  const loadMore = useCallback(async () => {
+    // onEndReached can fire several times in a row, so guard with a ref
+    if (loadingMoreRef.current || !hasMore || !lastDocRef.current) return;
 
-      const jobData = await fetchAllJobs();
+    try {
+      loadingMoreRef.current = true;
+      setLoadingMore(true);
+
+      const page = await fetchJobsPage({
+        ...serverFilters,
+        limit: PAGE_SIZE,
+        startAfter: lastDocRef.current,
+      });
 
-      // Update cache and state
-      jobsCache.set(jobData);
-      setJobs(jobData);
+      lastDocRef.current = page.lastDoc || lastDocRef.current;
+      setHasMore(page.hasMore);
+      setLoadedJobs((prev) => {
+        const merged = mergeJobs(prev, page.jobs);
+        jobsCache.append(
+          serverFiltersKey,
+          merged,
+          lastDocRef.current,
+          page.hasMore
+        );
+        return merged;
+      });
     } catch (err) {
-      setError(err.message);
-      console.error("Error loading jobs:", err);
+      // Keep the pages we have; the next scroll to the end retries
+      console.error("Error loading more jobs:", err);
     } finally {
-      setLoading(false);
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
     }
-  }, []);
+  }, [hasMore, serverFilters, serverFiltersKey]);
 
   const onRefresh = useCallback(async () => {
+    if (!isReady) return;
+
     try {
       setRefreshing(true);
       setError(null);
 
-      // Force fresh data (ignore cache)
-      const jobData = await fetchAllJobs(false);
-
-      // Update cache and state
-      jobsCache.set(jobData);
-      setJobs(jobData);
+      // Force fresh data (ignore cache) and start paging from the top
+      const page = await fetchJobsPage(
+        { ...serverFilters, limit: PAGE_SIZE },
+        false
+      );
+      applyFirstPage(page);
     } catch (err) {
       setError(err.message);
     } finally {
       setRefreshing(false);
     }
-  }, []);
+  }, [isReady, serverFilters, applyFirstPage]);
+
+  // Search, district, date and salary filters and the pay and distance
+  // sorts are applied on the device
+  const jobs = useMemo(
+    () =>
+      sortJobs(
+        loadedJobs.filter((job) => matchesClientFilters(job, filters)),
+        sort
+      ),
+    [loadedJobs, filters, sort]
+  );
+
+  // New jobs that belong in this feed and aren't on screen yet
+  const newJobs = useMemo(() => {
+    const loadedIds = new Set(loadedJobs.map((job) => job.id));
+
+    return incomingJobs.filter(
+      (job) =>
+        !loadedIds.has(job.id) &&
+        (!serverFilters.dateFrom ||
+          getLastDate(job) >= serverFilters.dateFrom) &&
+        matchesClientFilters(job, filters)
+    );
+  }, [incomingJobs, loadedJobs, serverFilters, filters]);
+
+  // Put the new jobs at the top of the feed
+  const showNewJobs = useCallback(() => {
+    if (newJobs.length === 0) return;
+
+    setLoadedJobs((prev) => {
+      const merged = mergeJobs(newJobs, prev);
+      jobsCache.append(
+        serverFiltersKey,
+        merged,
+        lastDocRef.current,
+        jobsCache.hasMore
+      );
+      return merged;
+    });
+  }, [newJobs, serverFiltersKey]);
 
   // Clear cache function (useful for logout, etc.)
   const clearCache = useCallback(() => {
-    jobsCache.clear();
+    clearFeedCache();
   }, []);
 
   useEffect(() => {
     loadJobs();
   }, [loadJobs]);
 
+  // Live updates: collect newly posted jobs for the banner and apply edits,
+  // fills and deletes to the jobs already on screen
+  useEffect(() => {
+    if (!isReady || !listenSince) return;
+
+    const handleError = (err) => {
+      // The feed still works without live updates, so don't surface this
+      console.error("Live job updates stopped:", err);
+    };
+
+    const unsubscribeNew = subscribeToNewJobs(
+      serverFilters,
+      listenSince,
+      setIncomingJobs,
+      handleError
+    );
+    const unsubscribeUpdates = subscribeToJobUpdates(
+      listenSince,
+      (updatedJobs) => {
+        setLoadedJobs((prev) => {
+          const updated = applyJobUpdates(prev, updatedJobs);
+          jobsCache.append(
+            serverFiltersKey,
+            updated,
+            lastDocRef.current,
+            jobsCache.hasMore
+          );
+          return updated;
+        });
+      },
+      handleError
+    );
+
+    return () => {
+      unsubscribeNew();
+      unsubscribeUpdates();
+    };
+  }, [isReady, listenSince, serverFilters, serverFiltersKey]);
+
+  // Keep fetching while too few jobs pass the filters. Runs again after each
+  // page, since a page may add loaded jobs without adding any visible ones.
+  const clientFiltersKey = JSON.stringify(filters);
+  useEffect(() => {
+    if (fillRef.current.filtersKey !== clientFiltersKey) {
+      fillRef.current = { filtersKey: clientFiltersKey, pages: 0 };
+    }
+
+    if (
+      !loading &&
+      !refreshing &&
+      !loadingMore &&
+      !error &&
+      hasMore &&
+      jobs.length < MIN_VISIBLE_JOBS &&
+      fillRef.current.pages < MAX_FILL_PAGES
+    ) {
+      fillRef.current.pages += 1;
+      loadMore();
+    }
+  }, [
+    loading,
+    refreshing,
+    loadingMore,
+    error,
+    hasMore,
+    jobs.length,
+    loadedJobs.length,
+    clientFiltersKey,
+    loadMore,
+  ]);
+
   return {
     jobs,
     loading,
     error,
     refreshing,
+    loadingMore,
+    hasMore,
+    newJobs,
     loadJobs,
+    loadMore,
+    showNewJobs,
     onRefresh,
     clearCache, // New: for manual cache clearing
   };
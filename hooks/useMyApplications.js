@@ -0,0 +1,102 @@
+// hooks/useMyApplications.js
+import { useState, useEffect, useCallback } from "react";
+import { fetchMyApplications } from "../services/applications/fetch";
+import { fetchJobsByIds } from "../services/jobs/fetch";
+
+// Pair each application with the job it was sent to (null if purged)
+const loadApplicationsWithJobs = async (userId, useCache) => {
+  const applicationData = await fetchMyApplications(userId);
+  const jobs = await fetchJobsByIds(
+    applicationData.map((application) => application.jobId),
+    useCache
+  );
+
+  const jobsById = new Map(jobs.filter(Boolean).map((job) => [job.id, job]));
+
+  return applicationData.map((application) => ({
+    application,
+    job: jobsById.get(application.jobId) || null,
+  }));
+};
+
+export function useMyApplications(userId) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadApplications = useCallback(
+    async (useCache = true) => {
+      if (!userId) {
+        setItems([]);
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+        setItems(await loadApplicationsWithJobs(userId, useCache));
+      } catch (err) {
+        setError(err.message);
+        console.error("Error loading applications:", err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [userId]
+  );
+
+  const onRefresh = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      setRefreshing(true);
+      setError(null);
+
+      // Force fresh job data so status changes show up
+      setItems(await loadApplicationsWithJobs(userId, false));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [userId]);
+
+  // Quietly pick up applications sent from a job screen
+  const syncApplications = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      setItems(await loadApplicationsWithJobs(userId, true));
+    } catch (err) {
+      console.error("Background sync failed:", err);
+    }
+  }, [userId]);
+
+  // Apply a local change after withdrawing
+  const updateLocalApplication = useCallback((applicationId, changes) => {
+    setItems((prev) =>
+      prev.map((item) =>
+        item.application.id === applicationId
+          ? { ...item, application: { ...item.application, ...changes } }
+          : item
+      )
+    );
+  }, []);
+
+  useEffect(() => {
+    loadApplications();
+  }, [loadApplications]);
+
+  return {
+    items,
+    loading,
+    error,
+    refreshing,
+    loadApplications,
+    onRefresh,
+    syncApplications,
+    updateLocalApplication,
+  };
+}
@@ -0,0 +1,101 @@
+// hooks/useMyJobs.js
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { fetchJobsByUser } from "../services/jobs/fetch";
+import { groupJobsByStatus } from "../utils/jobUtils";
+
+export function useMyJobs(userId) {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadJobs = useCallback(
+    async (useCache = true) => {
+      if (!userId) {
+        setJobs([]);
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const jobData = await fetchJobsByUser(userId, useCache);
+        setJobs(jobData);
+      } catch (err) {
+        setError(err.message);
+        console.error("Error loading postings:", err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [userId]
+  );
+
+  const onRefresh = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      setRefreshing(true);
+      setError(null);
+
+      // Force fresh data (ignore cache)
+      const jobData = await fetchJobsByUser(userId, false);
+      setJobs(jobData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [userId]);
+
+  // Quietly pick up changes made elsewhere (e.g. a job posted from the
+  // Post a Job tab). Served from cache unless a change invalidated it.
+  const syncJobs = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      const jobData = await fetchJobsByUser(userId);
+      setJobs(jobData);
+    } catch (err) {
+      console.error("Background sync failed:", err);
+    }
+  }, [userId]);
+
+  // Apply a local change after a successful action so the list updates
+  // without waiting for a refetch
+  const updateLocalJob = useCallback((jobId, changes) => {
+    setJobs((prev) =>
+      prev.map((job) => (job.id === jobId ? { ...job, ...changes } : job))
+    );
+  }, []);
+
+  const removeLocalJob = useCallback((jobId) => {
+    setJobs((prev) => prev.filter((job) => job.id !== jobId));
+  }, []);
+
+  const addLocalJob = useCallback((job) => {
+    setJobs((prev) => [job, ...prev]);
+  }, []);
+
+  const sections = useMemo(() => groupJobsByStatus(jobs), [jobs]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  return {
+    jobs,
+    sections,
+    loading,
+    error,
+    refreshing,
+    loadJobs,
+    onRefresh,
+    syncJobs,
+    updateLocalJob,
+    removeLocalJob,
+    addLocalJob,
+  };
+}
@@ -0,0 +1,50 @@
+// hooks/useNotifications.js
+import { useState, useEffect, useCallback } from "react";
+import { subscribeToNotifications } from "../services/notifications/fetch";
+
+/**
+ * Live list of a user's most recent notifications
+ * @param {string} userId - The user's ID
+ */
+export function useNotifications(userId) {
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Bumped to re-create the listener after it fails
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setNotifications([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const unsubscribe = subscribeToNotifications(
+      userId,
+      (notificationList) => {
+        setNotifications(notificationList);
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err.message);
+        setLoading(false);
+      }
+    );
+
+    return unsubscribe;
+  }, [userId, attempt]);
+
+  const retry = useCallback(() => {
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  return {
+    notifications,
+    loading,
+    error,
+    retry,
+  };
+}
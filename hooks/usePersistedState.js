@@ -0,0 +1,46 @@
+// hooks/usePersistedState.js
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { useState, useEffect } from "react";
+
+/**
+ * useState that is saved to AsyncStorage and restored on the next launch
+ * @param {string} storageKey - AsyncStorage key
+ * @param {Object} defaultValue - Value used until (or unless) one is restored
+ * @returns {Array} [value, setValue, loaded]
+ */
+export function usePersistedState(storageKey, defaultValue) {
+  const [value, setValue] = useState(defaultValue);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    AsyncStorage.getItem(storageKey)
+      .then((stored) => {
+        if (!cancelled && stored) {
+          setValue((prev) => ({ ...prev, ...JSON.parse(stored) }));
+        }
+      })
+      .catch((err) => {
+        console.error(`Error loading ${storageKey}:`, err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storageKey]);
+
+  // Save after loading, so the stored value is not overwritten by the default
+  useEffect(() => {
+    if (!loaded) return;
+
+    AsyncStorage.setItem(storageKey, JSON.stringify(value)).catch((err) => {
+      console.error(`Error saving ${storageKey}:`, err);
+    });
+  }, [storageKey, value, loaded]);
+
+  return [value, setValue, loaded];
+}
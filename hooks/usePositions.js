@@ -0,0 +1,40 @@
+// hooks/usePositions.js
+import { useEffect, useMemo, useState } from "react";
+import { DEFAULT_POSITIONS } from "../constants/positions";
+import {
+  fetchPositions,
+  getCachedPositions,
+} from "../services/positions/fetch";
+import { getPositionCategories } from "../utils/positionUtils";
+
+// Position catalogue for pickers and filters. Starts from whatever is
+// already cached (or the built-in list) so lists are never empty.
+export function usePositions() {
+  const [positions, setPositions] = useState(
+    () => getCachedPositions() || DEFAULT_POSITIONS
+  );
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchPositions()
+      .then((catalogue) => {
+        if (!cancelled) setPositions(catalogue);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const categories = useMemo(
+    () => getPositionCategories(positions),
+    [positions]
+  );
+
+  return { positions, categories, loading };
+}
@@ -0,0 +1,65 @@
+// hooks/useReceivedApplications.js
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { fetchReceivedApplications } from "../services/applications/fetch";
+
+/**
+ * Applications sent to the jobs a user has posted
+ * @param {string} userId - The poster's user ID
+ */
+export function useReceivedApplications(userId) {
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadApplications = useCallback(async () => {
+    if (!userId) {
+      setApplications([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const applicationData = await fetchReceivedApplications(userId);
+      setApplications(applicationData);
+    } catch (err) {
+      // Postings are still usable without applicant details
+      console.error("Error loading applicants:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  // Apply a local change after accepting or declining
+  const updateLocalApplication = useCallback((applicationId, changes) => {
+    setApplications((prev) =>
+      prev.map((application) =>
+        application.id === applicationId
+          ? { ...application, ...changes }
+          : application
+      )
+    );
+  }, []);
+
+  // Applications grouped by the job they were sent to
+  const applicationsByJob = useMemo(() => {
+    const grouped = {};
+    applications.forEach((application) => {
+      if (!grouped[application.jobId]) {
+        grouped[application.jobId] = [];
+      }
+      grouped[application.jobId].push(application);
+    });
+    return grouped;
+  }, [applications]);
+
+  useEffect(() => {
+    loadApplications();
+  }, [loadApplications]);
+
+  return {
+    applications,
+    applicationsByJob,
+    loading,
+    loadApplications,
+    updateLocalApplication,
+  };
+}
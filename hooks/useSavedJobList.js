@@ -0,0 +1,74 @@
+// hooks/useSavedJobList.js
+import { useState, useEffect, useCallback, useRef } from "react";
+import { fetchJobsByIds } from "../services/jobs/fetch";
+
+/**
+ * Loads the jobs behind a list of saved job IDs
+ * Jobs that were purged come back as { id, job: null } so the user can
+ * still see and remove them.
+ * @param {Array<string>} savedJobIds - Saved job IDs, oldest first
+ */
+export function useSavedJobList(savedJobIds) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  // Only the first load shows skeletons; later ones follow a bookmark change
+  const hasLoadedRef = useRef(false);
+
+  // Most recently saved first
+  const idsKey = [...savedJobIds].reverse().join(",");
+
+  const fetchItems = useCallback(
+    async (useCache) => {
+      const ids = idsKey ? idsKey.split(",") : [];
+      const jobs = await fetchJobsByIds(ids, useCache);
+      return ids.map((id, index) => ({ id, job: jobs[index] || null }));
+    },
+    [idsKey]
+  );
+
+  const loadJobs = useCallback(
+    async (useCache = true) => {
+      try {
+        if (!hasLoadedRef.current) setLoading(true);
+        setError(null);
+        setItems(await fetchItems(useCache));
+        hasLoadedRef.current = true;
+      } catch (err) {
+        setError(err.message);
+        console.error("Error loading saved jobs:", err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [fetchItems]
+  );
+
+  const onRefresh = useCallback(async () => {
+    try {
+      setRefreshing(true);
+      setError(null);
+
+      // Force fresh data so status changes show up
+      setItems(await fetchItems(false));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [fetchItems]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  return {
+    items,
+    loading,
+    error,
+    refreshing,
+    loadJobs,
+    onRefresh,
+  };
+}
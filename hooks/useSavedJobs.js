@@ -0,0 +1,51 @@
+// hooks/useSavedJobs.js
+import { useCallback, useMemo } from "react";
+import { Alert } from "react-native";
+import { useAuth } from "../contexts/AuthContext";
+import { saveJob, unsaveJob } from "../services/users/saved";
+
+// Adds or removes one job against the latest profile, so toggles that
+// overlap don't undo each other
+const setJobSaved = (jobId, saved) => (profile) => {
+  const ids = (profile.savedJobIds || []).filter((id) => id !== jobId);
+  return { savedJobIds: saved ? [...ids, jobId] : ids };
+};
+
+/**
+ * Saved job IDs from the user's profile, with a toggle that updates the
+ * profile straight away and rolls back if the write fails
+ */
+export function useSavedJobs() {
+  const { user, userProfile, updateLocalProfile } = useAuth();
+
+  const savedJobIds = useMemo(
+    () => userProfile?.savedJobIds || [],
+    [userProfile?.savedJobIds]
+  );
+
+  const isSaved = useCallback(
+    (jobId) => savedJobIds.includes(jobId),
+    [savedJobIds]
+  );
+
+  const toggleSaved = useCallback(
+    async (jobId) => {
+      if (!user?.uid || !jobId) return;
+
+      const wasSaved = savedJobIds.includes(jobId);
+      updateLocalProfile(setJobSaved(jobId, !wasSaved));
+
+      const result = wasSaved
+        ? await unsaveJob(user.uid, jobId)
+        : await saveJob(user.uid, jobId);
+
+      if (!result.success) {
+        updateLocalProfile(setJobSaved(jobId, wasSaved));
+        Alert.alert("Error", result.message);
+      }
+    },
+    [user, savedJobIds, updateLocalProfile]
+  );
+
+  return { savedJobIds, isSaved, toggleSaved };
+}
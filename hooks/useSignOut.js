@@ -0,0 +1,55 @@
+// hooks/useSignOut.js
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { useCallback, useState } from "react";
+import { Alert } from "react-native";
+import { useAuth } from "../contexts/AuthContext";
+import { clearJobCache } from "../services/jobs/fetch";
+import { clearProfileCache } from "../services/users/fetch";
+import { FILTERS_STORAGE_KEY } from "./useJobFilters";
+import { clearFeedCache } from "./useJobs";
+import { SORT_STORAGE_KEY } from "./useJobSort";
+
+// Saved data that belongs to whoever is signed in. The position catalogue
+// is the same for everyone, so it is kept.
+const USER_STORAGE_KEYS = [FILTERS_STORAGE_KEY, SORT_STORAGE_KEY];
+
+/**
+ * Forget everything cached on this device for the user who just left,
+ * whether they signed out or deleted their account
+ */
+export const clearLocalUserData = async () => {
+  clearFeedCache();
+  clearJobCache();
+  clearProfileCache();
+
+  await AsyncStorage.multiRemove(USER_STORAGE_KEYS).catch((err) => {
+    console.error("Error clearing saved user data:", err);
+  });
+};
+
+/**
+ * Signs the user out and forgets everything cached for them on this device.
+ * NavigationHandler takes the app back to sign-in once the user is gone.
+ */
+export function useSignOut() {
+  const { logout } = useAuth();
+  const [signingOut, setSigningOut] = useState(false);
+
+  const signOut = useCallback(async () => {
+    setSigningOut(true);
+    try {
+      const result = await logout();
+
+      if (!result.success) {
+        Alert.alert("Error", "Failed to sign out. Please try again.");
+        return;
+      }
+
+      await clearLocalUserData();
+    } finally {
+      setSigningOut(false);
+    }
+  }, [logout]);
+
+  return { signOut, signingOut };
+}
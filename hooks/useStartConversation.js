@@ -0,0 +1,47 @@
+// hooks/useStartConversation.js
+import { router } from "expo-router";
+import { useState, useCallback } from "react";
+import { Alert } from "react-native";
+import { useAuth } from "../contexts/AuthContext";
+import { startConversation } from "../services/messages/send";
+
+/**
+ * Opens (creating if needed) the conversation with another user about a job
+ */
+export function useStartConversation() {
+  const { user, userProfile } = useAuth();
+  const [starting, setStarting] = useState(false);
+
+  const openConversation = useCallback(
+    async (job, otherUser) => {
+      setStarting(true);
+      try {
+        const result = await startConversation(
+          job,
+          {
+            id: user?.uid,
+            name: userProfile?.fullName || user?.displayName || user?.email,
+          },
+          otherUser
+        );
+
+        if (result.success) {
+          router.push({
+            pathname: "/conversation/[id]",
+            params: { id: result.data.id },
+          });
+        } else {
+          Alert.alert("Error", result.message);
+        }
+      } catch (error) {
+        console.error("Start conversation error:", error);
+        Alert.alert("Error", "Something went wrong. Please try again.");
+      } finally {
+        setStarting(false);
+      }
+    },
+    [user, userProfile]
+  );
+
+  return { openConversation, starting };
+}
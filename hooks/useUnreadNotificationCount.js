@@ -0,0 +1,24 @@
+// hooks/useUnreadNotificationCount.js
+import { useState, useEffect } from "react";
+import { subscribeToUnreadNotificationCount } from "../services/notifications/fetch";
+
+/**
+ * Live count of a user's unread notifications, for the tab bar badge
+ * @param {string} userId - The user's ID
+ * @returns {number} Unread notifications
+ */
+export function useUnreadNotificationCount(userId) {
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setUnreadCount(0);
+      return;
+    }
+
+    // A failed badge is not worth an error state; the inbox shows it
+    return subscribeToUnreadNotificationCount(userId, setUnreadCount);
+  }, [userId]);
+
+  return unreadCount;
+}
@@ -0,0 +1,72 @@
+// Firebase Job Alert Fetch Service
+import { collection, getDocs, query, where } from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { logError, withRetry } from "../utils";
+
+// Process alert and match data consistently
+const processDocData = (docSnapshot) => {
+  const data = docSnapshot.data();
+
+  if (!data || typeof data !== "object") {
+    return null;
+  }
+
+  return {
+    id: docSnapshot.id,
+    ...data,
+    // Convert Firestore timestamps to ISO strings
+    createdAt: data.createdAt?.toDate?.()?.toISOString() || data.createdAt,
+    lastMatchedAt:
+      data.lastMatchedAt?.toDate?.()?.toISOString() || data.lastMatchedAt,
+  };
+};
+
+// Load every document in a collection that belongs to a user, newest first.
+// Sorted here so no composite index is needed.
+const fetchUserDocs = async (collectionName, userId) => {
+  const snapshot = await getDocs(
+    query(collection(firestore, collectionName), where("userId", "==", userId))
+  );
+
+  return snapshot.docs
+    .map(processDocData)
+    .filter(Boolean)
+    .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+};
+
+/**
+ * Fetch a user's saved search alerts
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Alert objects, newest first
+ */
+export const fetchAlerts = async (userId) => {
+  if (!userId || typeof userId !== "string" || userId.trim() === "") {
+    throw new Error("Please provide a valid user ID");
+  }
+
+  try {
+    return await withRetry(() => fetchUserDocs("alerts", userId.trim()));
+  } catch (error) {
+    logError("fetchAlerts", error, { userId });
+    throw new Error("Unable to load your alerts. Please try again.");
+  }
+};
+
+/**
+ * Fetch the jobs that matched a user's alerts
+ * Matches are written by the matchJobAlerts Cloud Function.
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Array>} Match objects, newest first
+ */
+export const fetchAlertMatches = async (userId) => {
+  if (!userId || typeof userId !== "string" || userId.trim() === "") {
+    throw new Error("Please provide a valid user ID");
+  }
+
+  try {
+    return await withRetry(() => fetchUserDocs("alertMatches", userId.trim()));
+  } catch (error) {
+    logError("fetchAlertMatches", error, { userId });
+    throw new Error("Unable to load alert matches. Please try again.");
+  }
+};
@@ -0,0 +1,227 @@
+// Firebase Job Alert Service
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  serverTimestamp,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import {
+  MAX_ALERT_NAME_LENGTH,
+  MAX_ALERTS_PER_USER,
+} from "../../constants/alerts";
+import { countActiveFilters, DEFAULT_FILTERS } from "../../utils/jobFilters";
+import { logError, withRetry } from "../utils";
+
+const MAX_BATCH_SIZE = 500; // Firestore write limit per batch
+
+// Shared error response so every alert change reports failures the same way
+const toErrorResponse = (error) => ({
+  success: false,
+  error: error.message,
+  message:
+    error.message.includes("required") ||
+    error.message.includes("must be") ||
+    error.message.includes("not found") ||
+    error.message.includes("only change") ||
+    error.message.includes("up to") ||
+    error.message.includes("at least one")
+      ? error.message
+      : "Failed to update alerts. Please check your connection and try again.",
+});
+
+// Apply a write to each item, committing at most MAX_BATCH_SIZE per batch
+const commitInBatches = async (items, addToBatch) => {
+  for (let i = 0; i < items.length; i += MAX_BATCH_SIZE) {
+    const batch = writeBatch(firestore);
+    items
+      .slice(i, i + MAX_BATCH_SIZE)
+      .forEach((item) => addToBatch(batch, item));
+    await batch.commit();
+  }
+};
+
+// Load an alert and make sure the given user owns it
+const getOwnedAlert = async (alertId, userId) => {
+  const alertRef = doc(firestore, "alerts", alertId);
+  const alertSnap = await getDoc(alertRef);
+
+  if (!alertSnap.exists()) {
+    throw new Error("Alert not found");
+  }
+
+  if (alertSnap.data().userId !== userId) {
+    throw new Error("You can only change your own alerts");
+  }
+
+  return alertRef;
+};
+
+/**
+ * Save a Home filter combination as a named alert
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} name - Name for the alert
+ * @param {Object} filters - Home filters to match new jobs against
+ * @returns {Promise<Object>} Result with success status and alert data
+ */
+export const createAlert = async (userId, name, filters) => {
+  try {
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    const cleanName = typeof name === "string" ? name.trim() : "";
+    if (!cleanName) {
+      throw new Error("Alert name is required");
+    }
+    if (cleanName.length > MAX_ALERT_NAME_LENGTH) {
+      throw new Error(
+        `Alert name must be ${MAX_ALERT_NAME_LENGTH} characters or fewer`
+      );
+    }
+
+    // Only keep known filter keys so the stored shape matches the app's
+    const cleanFilters = Object.fromEntries(
+      Object.keys(DEFAULT_FILTERS).map((key) => [
+        key,
+        filters?.[key] ?? DEFAULT_FILTERS[key],
+      ])
+    );
+    cleanFilters.search = cleanFilters.search.trim();
+
+    if (!cleanFilters.search && countActiveFilters(cleanFilters) === 0) {
+      throw new Error("Choose at least one filter or search term");
+    }
+
+    const alertData = await withRetry(async () => {
+      const existing = await getDocs(
+        query(collection(firestore, "alerts"), where("userId", "==", userId))
+      );
+      if (existing.size >= MAX_ALERTS_PER_USER) {
+        throw new Error(`You can keep up to ${MAX_ALERTS_PER_USER} alerts`);
+      }
+
+      const newAlert = {
+        userId,
+        name: cleanName,
+        filters: cleanFilters,
+        active: true,
+        matchCount: 0,
+        createdAt: serverTimestamp(),
+      };
+
+      const docRef = await addDoc(collection(firestore, "alerts"), newAlert);
+      return { id: docRef.id, ...newAlert };
+    });
+
+    return {
+      success: true,
+      data: {
+        ...alertData,
+        // Convert serverTimestamp to readable format for UI
+        createdAt: new Date().toISOString(),
+      },
+      message: `You'll be alerted about new jobs matching "${cleanName}"`,
+    };
+  } catch (error) {
+    logError("createAlert", error, { userId, name });
+    return toErrorResponse(error);
+  }
+};
+
+/**
+ * Pause or resume an alert
+ * @param {string} alertId - The alert ID
+ * @param {boolean} active - Whether new jobs should be matched
+ * @param {string} userId - The authenticated user's ID (must own the alert)
+ * @returns {Promise<Object>} Result with success status
+ */
+export const setAlertActive = async (alertId, active, userId) => {
+  try {
+    if (!alertId || !userId) {
+      throw new Error("Alert ID and user ID are required");
+    }
+
+    await withRetry(async () => {
+      const alertRef = await getOwnedAlert(alertId, userId);
+      await updateDoc(alertRef, { active: !!active });
+    });
+
+    return {
+      success: true,
+      data: { id: alertId, active: !!active },
+      message: active ? "Alert resumed" : "Alert paused",
+    };
+  } catch (error) {
+    logError("setAlertActive", error, { alertId, active, userId });
+    return toErrorResponse(error);
+  }
+};
+
+/**
+ * Delete an alert and the matches it collected
+ * @param {string} alertId - The alert ID
+ * @param {string} userId - The authenticated user's ID (must own the alert)
+ * @returns {Promise<Object>} Result with success status
+ */
+export const deleteAlert = async (alertId, userId) => {
+  try {
+    if (!alertId || !userId) {
+      throw new Error("Alert ID and user ID are required");
+    }
+
+    await withRetry(async () => {
+      const alertRef = await getOwnedAlert(alertId, userId);
+
+      const matches = await getDocs(
+        query(
+          collection(firestore, "alertMatches"),
+          where("userId", "==", userId),
+          where("alertId", "==", alertId)
+        )
+      );
+
+      await commitInBatches(matches.docs, (batch, matchDoc) =>
+        batch.delete(matchDoc.ref)
+      );
+
+      await deleteDoc(alertRef);
+    });
+
+    return { success: true, data: { id: alertId }, message: "Alert deleted" };
+  } catch (error) {
+    logError("deleteAlert", error, { alertId, userId });
+    return toErrorResponse(error);
+  }
+};
+
+/**
+ * Mark alert matches as seen
+ * @param {Array<string>} matchIds - Match IDs to mark
+ * @returns {Promise<Object>} Result with success status
+ */
+export const markAlertMatchesSeen = async (matchIds) => {
+  try {
+    if (!Array.isArray(matchIds) || matchIds.length === 0) {
+      return { success: true, data: null, message: "Nothing to mark" };
+    }
+
+    await withRetry(() =>
+      commitInBatches(matchIds, (batch, matchId) =>
+        batch.update(doc(firestore, "alertMatches", matchId), { seen: true })
+      )
+    );
+
+    return { success: true, data: null, message: "Matches marked as seen" };
+  } catch (error) {
+    logError("markAlertMatchesSeen", error, { count: matchIds?.length });
+    return toErrorResponse(error);
+  }
+};
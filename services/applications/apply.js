@@ -0,0 +1,204 @@
+// Firebase Job Application Service
+import {
+  doc,
+  getDoc,
+  runTransaction,
+  serverTimestamp,
+  updateDoc,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import {
+  APPLICATION_STATUS,
+  MAX_APPLICATION_NOTE_LENGTH,
+} from "../../constants/applications";
+import { JOB_STATUS } from "../../constants/jobs";
+import { getOpenDates, getPostingStatus } from "../../utils/jobUtils";
+import { fetchPublicProfile } from "../users/fetch";
+import { getApplicationId } from "./fetch";
+import { logError, withRetry } from "../utils";
+
+/**
+ * Apply for a job
+ * Records the applicant's name and TCMC number from their profile so the
+ * poster can review them without another lookup.
+ * @param {string} jobId - The job to apply for
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} note - Short message for the poster (optional)
+ * @param {Array<string>} dates - Dates of a multi-date job to apply for (defaults to every open date)
+ * @returns {Promise<Object>} Result with success status and application data
+ */
+export const applyToJob = async (jobId, userId, note = "", dates = null) => {
+  try {
+    if (!jobId || typeof jobId !== "string" || !jobId.trim()) {
+      throw new Error("Job ID is required");
+    }
+
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    const cleanNote = typeof note === "string" ? note.trim() : "";
+    if (cleanNote.length > MAX_APPLICATION_NOTE_LENGTH) {
+      throw new Error(
+        `Note must be ${MAX_APPLICATION_NOTE_LENGTH} characters or fewer`
+      );
+    }
+
+    const profile = await fetchPublicProfile(userId, false);
+    if (!profile?.fullName) {
+      throw new Error("Please complete your profile before applying");
+    }
+
+    const applicationId = getApplicationId(jobId, userId);
+    const applicationData = await withRetry(() =>
+      runTransaction(firestore, async (transaction) => {
+        const jobRef = doc(firestore, "jobs", jobId);
+        const applicationRef = doc(firestore, "applications", applicationId);
+
+        const jobSnap = await transaction.get(jobRef);
+        if (!jobSnap.exists()) {
+          throw new Error("Job not found");
+        }
+
+        const job = jobSnap.data();
+        if (job.createdById === userId) {
+          throw new Error("You cannot apply to your own job");
+        }
+        if (getPostingStatus(job) !== JOB_STATUS.ACTIVE) {
+          throw new Error("This job is no longer taking applications");
+        }
+
+        const openDates = getOpenDates(job);
+        const requestedDates =
+          Array.isArray(dates) && dates.length > 0
+            ? [...new Set(dates)].sort()
+            : openDates;
+        if (
+          requestedDates.length === 0 ||
+          requestedDates.some((date) => !openDates.includes(date))
+        ) {
+          throw new Error("Some of the dates you picked are no longer open");
+        }
+
+        // A withdrawn application can be replaced by applying again
+        const applicationSnap = await transaction.get(applicationRef);
+        if (
+          applicationSnap.exists() &&
+          applicationSnap.data().status !== APPLICATION_STATUS.WITHDRAWN
+        ) {
+          throw new Error("You have already applied for this job");
+        }
+
+        const newApplication = {
+          jobId,
+          // Copied from the job so posters can query their applicants
+          jobOwnerId: job.createdById,
+          applicantId: userId,
+          applicantName: profile.fullName,
+          tcmcNumber: profile.tcmcNumber,
+          note: cleanNote,
+          dates: requestedDates,
+          status: APPLICATION_STATUS.PENDING,
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        };
+
+        transaction.set(applicationRef, newApplication);
+        return newApplication;
+      })
+    );
+
+    return {
+      success: true,
+      data: {
+        id: applicationId,
+        ...applicationData,
+        // Convert serverTimestamp to readable format for UI
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      },
+      message: "Application sent",
+    };
+  } catch (error) {
+    logError("applyToJob", error, { jobId, userId });
+
+    return {
+      success: false,
+      error: error.message,
+      message:
+        error.message.includes("required") ||
+        error.message.includes("must be") ||
+        error.message.includes("not found") ||
+        error.message.includes("cannot apply") ||
+        error.message.includes("already applied") ||
+        error.message.includes("no longer") ||
+        error.message.includes("complete your profile")
+          ? error.message
+          : "Failed to send application. Please check your connection and try again.",
+    };
+  }
+};
+
+/**
+ * Withdraw a pending application
+ * @param {string} applicationId - The application ID
+ * @param {string} userId - The authenticated user's ID (must be the applicant)
+ * @returns {Promise<Object>} Result with success status and updated fields
+ */
+export const withdrawApplication = async (applicationId, userId) => {
+  try {
+    if (!applicationId || typeof applicationId !== "string") {
+      throw new Error("Application ID is required");
+    }
+
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    await withRetry(async () => {
+      const applicationRef = doc(firestore, "applications", applicationId);
+      const applicationSnap = await getDoc(applicationRef);
+
+      if (!applicationSnap.exists()) {
+        throw new Error("Application not found");
+      }
+
+      const application = applicationSnap.data();
+      if (application.applicantId !== userId) {
+        throw new Error("You can only withdraw your own applications");
+      }
+      if (application.status !== APPLICATION_STATUS.PENDING) {
+        throw new Error(`This application was already ${application.status}`);
+      }
+
+      await updateDoc(applicationRef, {
+        status: APPLICATION_STATUS.WITHDRAWN,
+        updatedAt: serverTimestamp(),
+      });
+    });
+
+    return {
+      success: true,
+      data: {
+        id: applicationId,
+        status: APPLICATION_STATUS.WITHDRAWN,
+        updatedAt: new Date().toISOString(),
+      },
+      message: "Application withdrawn",
+    };
+  } catch (error) {
+    logError("withdrawApplication", error, { applicationId, userId });
+
+    return {
+      success: false,
+      error: error.message,
+      message:
+        error.message.includes("required") ||
+        error.message.includes("not found") ||
+        error.message.includes("only withdraw") ||
+        error.message.includes("already")
+          ? error.message
+          : "Failed to withdraw application. Please check your connection and try again.",
+    };
+  }
+};
@@ -0,0 +1,146 @@
+// Firebase Application Fetch Service
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { logError, withRetry } from "../utils";
+
+/**
+ * Build the document ID for a user's application to a job
+ * One ID per job and applicant means a doctor can only apply once.
+ * @param {string} jobId - The job ID
+ * @param {string} applicantId - The applicant's user ID
+ * @returns {string} Application document ID
+ */
+export const getApplicationId = (jobId, applicantId) =>
+  `${jobId}_${applicantId}`;
+
+// Process application data consistently
+export const processApplicationData = (docSnapshot) => {
+  const applicationData = docSnapshot.data();
+
+  if (!applicationData || typeof applicationData !== "object") {
+    return null;
+  }
+
+  return {
+    id: docSnapshot.id,
+    ...applicationData,
+    // Convert Firestore timestamps to ISO strings
+    createdAt:
+      applicationData.createdAt?.toDate?.()?.toISOString() ||
+      applicationData.createdAt,
+    updatedAt:
+      applicationData.updatedAt?.toDate?.()?.toISOString() ||
+      applicationData.updatedAt,
+  };
+};
+
+// Newest applications first; sorted here so no composite index is needed
+const sortNewestFirst = (applications) =>
+  applications.sort((a, b) =>
+    (b.createdAt || "").localeCompare(a.createdAt || "")
+  );
+
+/**
+ * Fetch a user's application to a job, if they have applied
+ * @param {string} jobId - The job ID
+ * @param {string} applicantId - The applicant's user ID
+ * @returns {Promise<Object|null>} Application object or null
+ */
+export const fetchApplication = async (jobId, applicantId) => {
+  if (!jobId || !applicantId) {
+    throw new Error("Please provide a valid job and user ID");
+  }
+
+  try {
+    return await withRetry(async () => {
+      const docSnap = await getDoc(
+        doc(firestore, "applications", getApplicationId(jobId, applicantId))
+      );
+      return docSnap.exists() ? processApplicationData(docSnap) : null;
+    });
+  } catch (error) {
+    logError("fetchApplication", error, { jobId, applicantId });
+    throw new Error("Unable to load your application. Please try again.");
+  }
+};
+
+/**
+ * Fetch every application a user has submitted
+ * @param {string} applicantId - The applicant's user ID
+ * @returns {Promise<Array>} Application objects, newest first
+ */
+export const fetchMyApplications = async (applicantId) => {
+  if (
+    !applicantId ||
+    typeof applicantId !== "string" ||
+    applicantId.trim() === ""
+  ) {
+    throw new Error("Please provide a valid user ID");
+  }
+
+  try {
+    return await withRetry(async () => {
+      const snapshot = await getDocs(
+        query(
+          collection(firestore, "applications"),
+          where("applicantId", "==", applicantId.trim())
+        )
+      );
+
+      const applicationList = [];
+      snapshot.forEach((docSnapshot) => {
+        const processedApplication = processApplicationData(docSnapshot);
+        if (processedApplication) {
+          applicationList.push(processedApplication);
+        }
+      });
+
+      return sortNewestFirst(applicationList);
+    });
+  } catch (error) {
+    logError("fetchMyApplications", error, { applicantId });
+    throw new Error("Unable to load your applications. Please try again.");
+  }
+};
+
+/**
+ * Fetch every application sent to jobs posted by a user
+ * @param {string} posterId - The poster's user ID
+ * @returns {Promise<Array>} Application objects, newest first
+ */
+export const fetchReceivedApplications = async (posterId) => {
+  if (!posterId || typeof posterId !== "string" || posterId.trim() === "") {
+    throw new Error("Please provide a valid user ID");
+  }
+
+  try {
+    return await withRetry(async () => {
+      const snapshot = await getDocs(
+        query(
+          collection(firestore, "applications"),
+          where("jobOwnerId", "==", posterId.trim())
+        )
+      );
+
+      const applicationList = [];
+      snapshot.forEach((docSnapshot) => {
+        const processedApplication = processApplicationData(docSnapshot);
+        if (processedApplication) {
+          applicationList.push(processedApplication);
+        }
+      });
+
+      return sortNewestFirst(applicationList);
+    });
+  } catch (error) {
+    logError("fetchReceivedApplications", error, { posterId });
+    throw new Error("Unable to load applicants. Please try again.");
+  }
+};
@@ -0,0 +1,180 @@
+// Firebase Application Review Service
+import { doc, runTransaction, serverTimestamp } from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { APPLICATION_STATUS } from "../../constants/applications";
+import { JOB_STATUS } from "../../constants/jobs";
+import {
+  getJobDates,
+  getOpenDates,
+  getPostingStatus,
+} from "../../utils/jobUtils";
+import { invalidateJobCache } from "../jobs/fetch";
+import { logError, withRetry } from "../utils";
+
+// Shared error response so accept and decline report failures the same way
+const toErrorResponse = (error) => ({
+  success: false,
+  error: error.message,
+  message:
+    error.message.includes("required") ||
+    error.message.includes("not found") ||
+    error.message.includes("only review") ||
+    error.message.includes("already") ||
+    error.message.includes("no longer")
+      ? error.message
+      : "Failed to update application. Please check your connection and try again.",
+});
+
+// Move a pending application to a new status, checking the reviewer posted
+// the job. Accepting also fills the applicant's dates in the same
+// transaction, and the whole job once every date is filled.
+const reviewApplication = (applicationId, status, userId) =>
+  withRetry(() =>
+    runTransaction(firestore, async (transaction) => {
+      const applicationRef = doc(firestore, "applications", applicationId);
+      const applicationSnap = await transaction.get(applicationRef);
+
+      if (!applicationSnap.exists()) {
+        throw new Error("Application not found");
+      }
+
+      const application = applicationSnap.data();
+      if (application.jobOwnerId !== userId) {
+        throw new Error("You can only review applications to jobs you posted");
+      }
+      if (application.status !== APPLICATION_STATUS.PENDING) {
+        throw new Error(`This application was already ${application.status}`);
+      }
+
+      const jobRef = doc(firestore, "jobs", application.jobId);
+      let jobUpdate = null;
+      let acceptedDates = null;
+
+      if (status === APPLICATION_STATUS.ACCEPTED) {
+        const jobSnap = await transaction.get(jobRef);
+        if (!jobSnap.exists()) {
+          throw new Error("Job not found");
+        }
+
+        const job = jobSnap.data();
+        if (getPostingStatus(job) !== JOB_STATUS.ACTIVE) {
+          throw new Error("This job is no longer open");
+        }
+
+        // Applications from before multi-date jobs cover every date
+        const openDates = getOpenDates(job);
+        acceptedDates = (application.dates || getJobDates(job)).filter((date) =>
+          openDates.includes(date)
+        );
+        if (acceptedDates.length === 0) {
+          throw new Error("The dates in this application are already filled");
+        }
+
+        const filledDates = { ...job.filledDates };
+        acceptedDates.forEach((date) => {
+          filledDates[date] = application.applicantId;
+        });
+        const allFilled = getJobDates(job).every((date) => filledDates[date]);
+
+        jobUpdate = {
+          filledDates,
+          ...(allFilled && {
+            status: JOB_STATUS.FILLED,
+            filledBy: application.applicantId,
+          }),
+          updatedAt: serverTimestamp(),
+        };
+        transaction.update(jobRef, jobUpdate);
+      }
+
+      transaction.update(applicationRef, {
+        status,
+        ...(acceptedDates && { acceptedDates }),
+        updatedAt: serverTimestamp(),
+      });
+
+      return { application, jobUpdate, acceptedDates };
+    })
+  );
+
+/**
+ * Accept an application for the dates it asked for that are still open
+ * @param {string} applicationId - The application ID
+ * @param {string} userId - The authenticated user's ID (must be the poster)
+ * @returns {Promise<Object>} Result with the updated application and job fields
+ */
+export const acceptApplication = async (applicationId, userId) => {
+  try {
+    if (!applicationId || !userId) {
+      throw new Error("Application ID and user ID are required");
+    }
+
+    const { application, jobUpdate, acceptedDates } = await reviewApplication(
+      applicationId,
+      APPLICATION_STATUS.ACCEPTED,
+      userId
+    );
+
+    invalidateJobCache(application.jobId);
+
+    const now = new Date().toISOString();
+    return {
+      success: true,
+      data: {
+        application: {
+          id: applicationId,
+          ...application,
+          status: APPLICATION_STATUS.ACCEPTED,
+          acceptedDates,
+          updatedAt: now,
+        },
+        job: { id: application.jobId, ...jobUpdate, updatedAt: now },
+      },
+      message:
+        jobUpdate.status === JOB_STATUS.FILLED
+          ? `${application.applicantName} was accepted and the job is now filled`
+          : `${application.applicantName} was accepted for ${acceptedDates.length} ${
+              acceptedDates.length === 1 ? "date" : "dates"
+            }`,
+    };
+  } catch (error) {
+    logError("acceptApplication", error, { applicationId, userId });
+    return toErrorResponse(error);
+  }
+};
+
+/**
+ * Decline an application
+ * @param {string} applicationId - The application ID
+ * @param {string} userId - The authenticated user's ID (must be the poster)
+ * @returns {Promise<Object>} Result with the updated application
+ */
+export const declineApplication = async (applicationId, userId) => {
+  try {
+    if (!applicationId || !userId) {
+      throw new Error("Application ID and user ID are required");
+    }
+
+    const { application } = await reviewApplication(
+      applicationId,
+      APPLICATION_STATUS.DECLINED,
+      userId
+    );
+
+    return {
+      success: true,
+      data: {
+        application: {
+          id: applicationId,
+          ...application,
+          status: APPLICATION_STATUS.DECLINED,
+          updatedAt: new Date().toISOString(),
+        },
+      },
+      message: `${application.applicantName} was declined`,
+    };
+  } catch (error) {
+    logError("declineApplication", error, { applicationId, userId });
+    return toErrorResponse(error);
+  }
+};
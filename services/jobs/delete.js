@@ -0,0 +1,217 @@
+// Firebase Job Delete Service
+// Deleting a job only marks it as deleted so it can be restored. Deleted
+// jobs are purged for good by the daily expireJobs Cloud Function once
+// DELETED_JOB_RETENTION_DAYS have passed.
+import {
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  serverTimestamp,
+  updateDoc,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { JOB_STATUS } from "../../constants/jobs";
+import { getPostingStatus } from "../../utils/jobUtils";
+import { invalidateJobCache } from "./fetch";
+import { logError, withRetry } from "../utils";
+
+// Check the IDs every delete operation needs
+const validateIds = (jobId, userId) => {
+  if (!jobId || typeof jobId !== "string" || !jobId.trim()) {
+    throw new Error("Job ID is required");
+  }
+
+  if (!userId || typeof userId !== "string" || !userId.trim()) {
+    throw new Error("User ID is required");
+  }
+};
+
+// Load a job and make sure the given user is the one who posted it
+const getOwnedJob = async (jobId, userId) => {
+  const docRef = doc(firestore, "jobs", jobId);
+  const docSnap = await getDoc(docRef);
+
+  if (!docSnap.exists()) {
+    throw new Error("Job not found");
+  }
+
+  if (docSnap.data().createdById !== userId) {
+    throw new Error("You can only delete jobs you posted");
+  }
+
+  return { docRef, jobData: docSnap.data() };
+};
+
+// Shared error response so every delete operation reports failures the same way
+const toErrorResponse = (error, fallback) => ({
+  success: false,
+  error: error.message,
+  message:
+    error.message.includes("required") ||
+    error.message.includes("not found") ||
+    error.message.includes("only delete") ||
+    error.message.includes("not deleted") ||
+    error.message.includes("already deleted")
+      ? error.message
+      : fallback,
+});
+
+/**
+ * Delete a job posting (soft delete)
+ * The job is hidden everywhere but can be restored with restoreJob until it is purged.
+ * @param {string} jobId - The job ID to delete
+ * @param {string} userId - The authenticated user's ID (must be the poster)
+ * @returns {Promise<Object>} Result with success status and deleted fields
+ */
+export const deleteJob = async (jobId, userId) => {
+  try {
+    validateIds(jobId, userId);
+
+    const previousStatus = await withRetry(async () => {
+      const { docRef, jobData } = await getOwnedJob(
+        jobId.trim(),
+        userId.trim()
+      );
+
+      if (jobData.status === JOB_STATUS.DELETED) {
+        throw new Error("This job is already deleted");
+      }
+
+      const statusBeforeDelete = jobData.status || JOB_STATUS.ACTIVE;
+
+      await updateDoc(docRef, {
+        status: JOB_STATUS.DELETED,
+        // Remembered so restoring puts the job back where it was
+        previousStatus: statusBeforeDelete,
+        deletedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+
+      return statusBeforeDelete;
+    });
+
+    invalidateJobCache(jobId.trim());
+
+    const now = new Date().toISOString();
+
+    return {
+      success: true,
+      data: {
+        id: jobId.trim(),
+        status: JOB_STATUS.DELETED,
+        previousStatus,
+        deletedAt: now,
+        updatedAt: now,
+      },
+      message: "Job deleted successfully",
+    };
+  } catch (error) {
+    logError("deleteJob", error, { jobId, userId });
+
+    return toErrorResponse(
+      error,
+      "Failed to delete job. Please check your connection and try again."
+    );
+  }
+};
+
+/**
+ * Restore a soft-deleted job to the status it had before deletion
+ * @param {string} jobId - The job ID to restore
+ * @param {string} userId - The authenticated user's ID (must be the poster)
+ * @returns {Promise<Object>} Result with success status and restored fields
+ */
+export const restoreJob = async (jobId, userId) => {
+  try {
+    validateIds(jobId, userId);
+
+    const restoredStatus = await withRetry(async () => {
+      const { docRef, jobData } = await getOwnedJob(
+        jobId.trim(),
+        userId.trim()
+      );
+
+      if (jobData.status !== JOB_STATUS.DELETED) {
+        throw new Error("This job is not deleted");
+      }
+
+      // A job whose dates passed while it was deleted comes back expired
+      const status = getPostingStatus({
+        ...jobData,
+        status: jobData.previousStatus || JOB_STATUS.ACTIVE,
+      });
+
+      await updateDoc(docRef, {
+        status,
+        previousStatus: deleteField(),
+        deletedAt: deleteField(),
+        updatedAt: serverTimestamp(),
+      });
+
+      return status;
+    });
+
+    invalidateJobCache(jobId.trim());
+
+    return {
+      success: true,
+      data: {
+        id: jobId.trim(),
+        status: restoredStatus,
+        previousStatus: undefined,
+        deletedAt: undefined,
+        updatedAt: new Date().toISOString(),
+      },
+      message: "Job restored successfully",
+    };
+  } catch (error) {
+    logError("restoreJob", error, { jobId, userId });
+
+    return toErrorResponse(
+      error,
+      "Failed to restore job. Please check your connection and try again."
+    );
+  }
+};
+
+/**
+ * Permanently remove a soft-deleted job
+ * @param {string} jobId - The job ID to purge
+ * @param {string} userId - The authenticated user's ID (must be the poster)
+ * @returns {Promise<Object>} Result with success status
+ */
+export const purgeJob = async (jobId, userId) => {
+  try {
+    validateIds(jobId, userId);
+
+    await withRetry(async () => {
+      const { docRef, jobData } = await getOwnedJob(
+        jobId.trim(),
+        userId.trim()
+      );
+
+      // Only deleted jobs can be purged, so nothing live disappears by accident
+      if (jobData.status !== JOB_STATUS.DELETED) {
+        throw new Error("This job is not deleted");
+      }
+
+      await deleteDoc(docRef);
+    });
+
+    invalidateJobCache(jobId.trim());
+
+    return {
+      success: true,
+      data: { id: jobId.trim() },
+      message: "Job permanently deleted",
+    };
+  } catch (error) {
+    logError("purgeJob", error, { jobId, userId });
+
+    return toErrorResponse(
+      error,
+      "Failed to delete job. Please check your connection and try again."
+    );
+  }
+};
@@ -352,18 +352,21 @@ import {
   getDoc,
   getDocs,
   limit,
+  onSnapshot,
   orderBy,
   query,
   startAfter,
+  Timestamp,
   where,
 } from "firebase/firestore";
 import { firestore } from "../../firebaseConfig";
+import { JOB_STATUS } from "../../constants/jobs";
+import { MAX_RETRIES, logError, withRetry } from "../utils";
 
 // Simple cache storage
 const cache = new Map();
 const CACHE_TIME = 5 * 60 * 1000; // 5 minutes
 const MAX_CACHE_SIZE = 50; // Prevent memory issues
-const MAX_RETRIES = 2;
 const FIRESTORE_IN_LIMIT = 10; // Firestore 'in' query limit
 
 // Helper function to check if cache is still valid
@@ -395,45 +398,6 @@ const saveToCache = (key, data) => {
   });
 };
 
-// Simple retry function for network issues
-const withRetry = async (operation, retries = MAX_RETRIES) => {
-  try {
-    return await operation();
-  } catch (error) {
-    // Only retry on network/temporary errors
-    const isRetryable =
-      error.code === "unavailable" ||
-      error.code === "deadline-exceeded" ||
-      error.message.includes("network");
-
-    if (retries > 0 && isRetryable) {
-      console.warn(`Retrying operation, ${retries} attempts left`);
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // 1 second delay
-      return withRetry(operation, retries - 1);
-    }
-    throw error;
-  }
-};
-
-// Production error logger (customize for your logging service)
-const logError = (operation, error, context = {}) => {
-  const errorLog = {
-    operation,
-    error: error.message,
-    code: error.code,
-    context,
-    timestamp: new Date().toISOString(),
-    userAgent:
-      typeof navigator !== "undefined" ? navigator.userAgent : "server",
-  };
-
-  console.error("Firebase Error:", errorLog);
-
-  // Add your production logging service here
-  // e.g., Sentry, LogRocket, or your analytics service
-  // Analytics.track('firebase_error', errorLog);
-};
-
 // Helper function to chunk array into smaller arrays
 const chunkArray = (array, chunkSize) => {
   const chunks = [];
@@ -459,16 +423,32 @@ const processJobData = (docSnapshot) => {
       jobData.createdAt?.toDate?.()?.toISOString() || jobData.createdAt,
     updatedAt:
       jobData.updatedAt?.toDate?.()?.toISOString() || jobData.updatedAt,
+    deletedAt:
+      jobData.deletedAt?.toDate?.()?.toISOString() || jobData.deletedAt,
   };
 };
 
+// Soft-deleted jobs stay in the collection until purged but are never
+// listed, and drafts and scheduled jobs are only listed for their poster
+const HIDDEN_STATUSES = [
+  JOB_STATUS.DELETED,
+  JOB_STATUS.DRAFT,
+  JOB_STATUS.SCHEDULED,
+];
+const isHiddenJob = (job) => HIDDEN_STATUSES.includes(job?.status);
+
 /**
  * Fetch all jobs from Firebase with production features - SORTED BY LATEST FIRST
+ * Only active jobs are returned unless another status is asked for.
  * @param {boolean} useCache - Whether to use cached data (default: true)
+ * @param {Object} options - { status }: a JOB_STATUS value, or null for every listed job
  * @returns {Promise<Array>} Array of job objects sorted by createdAt (latest first)
  */
-export const fetchAllJobs = async (useCache = true) => {
-  const cacheKey = "all_jobs_sorted";
+export const fetchAllJobs = async (
+  useCache = true,
+  { status = JOB_STATUS.ACTIVE } = {}
+) => {
+  const cacheKey = `all_jobs_sorted_${status || "any"}`;
 
   try {
     // Try cache first
@@ -482,17 +462,20 @@ export const fetchAllJobs = async (useCache = true) => {
     // Fetch with retry logic and sorting
     const jobs = await withRetry(async () => {
       // Create query with sorting by createdAt descending (latest first)
-      const jobsQuery = query(
+      let jobsQuery = query(
         collection(firestore, "jobs"),
         orderBy("createdAt", "desc")
       );
+      if (status) {
+        jobsQuery = query(jobsQuery, where("status", "==", status));
+      }
 
       const snapshot = await getDocs(jobsQuery);
       const jobList = [];
 
       snapshot.forEach((docSnapshot) => {
         const processedJob = processJobData(docSnapshot);
-        if (processedJob) {
+        if (processedJob && !isHiddenJob(processedJob)) {
           jobList.push(processedJob);
           // Cache individual jobs while we have them
           saveToCache(`job_${processedJob.id}`, processedJob);
@@ -704,28 +687,102 @@ export const fetchJobsByIds = async (jobIds, useCache = true) => {
 };
 
 /**
- * Fetch jobs with filters and pagination
+ * Fetch every job posted by a user, whatever its status
+ * @param {string} userId - The poster's user ID (matches createdById)
+ * @param {boolean} useCache - Whether to use cached data
+ * @returns {Promise<Array>} Job objects sorted by createdAt (latest first)
+ */
+export const fetchJobsByUser = async (userId, useCache = true) => {
+  if (!userId || typeof userId !== "string" || userId.trim() === "") {
+    throw new Error("Please provide a valid user ID");
+  }
+
+  const cleanUserId = userId.trim();
+  const cacheKey = `jobs_by_user_${cleanUserId}`;
+
+  try {
+    if (useCache) {
+      const cached = getFromCache(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const jobs = await withRetry(async () => {
+      // Sorted client-side to avoid needing a composite index
+      const jobsQuery = query(
+        collection(firestore, "jobs"),
+        where("createdById", "==", cleanUserId)
+      );
+
+      const snapshot = await getDocs(jobsQuery);
+      const jobList = [];
+
+      snapshot.forEach((docSnapshot) => {
+        const processedJob = processJobData(docSnapshot);
+        if (processedJob) {
+          jobList.push(processedJob);
+          saveToCache(`job_${processedJob.id}`, processedJob);
+        }
+      });
+
+      return jobList.sort(
+        (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+      );
+    });
+
+    saveToCache(cacheKey, jobs);
+    return jobs;
+  } catch (error) {
+    logError("fetchJobsByUser", error, { userId: cleanUserId, useCache });
+
+    if (useCache) {
+      const staleCache = cache.get(cacheKey);
+      if (staleCache) {
+        console.warn("Returning stale cached postings due to error");
+        return staleCache.data;
+      }
+    }
+
+    throw new Error(
+      "Unable to load your postings. Please check your connection and try again."
+    );
+  }
+};
+
+/**
+ * Fetch one page of jobs with filters, returning the cursor for the next page
  * @param {Object} filters - Filter options
  * @param {number} filters.limit - Max number of jobs to return
  * @param {string} filters.status - Filter by job status
- * @param {string} filters.category - Filter by job category
+ * @param {string} filters.category - Filter by position category, e.g. "Nursing"
+ * @param {string} filters.type - Filter by job type (permanent/relieving)
+ * @param {string} filters.position - Filter by exact position
+ * @param {string} filters.dateFrom - Only jobs on or after this YYYY-MM-DD date (by last date; requires ordering by lastDate)
  * @param {Object} filters.startAfter - Document to start after (for pagination)
  * @param {string} filters.orderByField - Field to order by (default: 'createdAt')
  * @param {string} filters.orderDirection - Order direction (default: 'desc')
  * @param {boolean} useCache - Whether to use cached data
- * @returns {Promise<Array>} Filtered job objects
+ * @returns {Promise<Object>} { jobs, lastDoc, hasMore } where lastDoc is passed back as startAfter
  */
-export const fetchJobsWithFilters = async (filters = {}, useCache = true) => {
+export const fetchJobsPage = async (filters = {}, useCache = true) => {
   const {
     limit: limitCount = 50,
     status,
     category,
+    type,
+    position,
+    dateFrom,
     startAfter: startAfterDoc,
     orderByField = "createdAt",
     orderDirection = "desc",
   } = filters;
 
-  const cacheKey = `jobs_filtered_${JSON.stringify(filters)}`;
+  // Document snapshots can't be stringified, so key the cursor by its ID
+  const cacheKey = `jobs_filtered_${JSON.stringify({
+    ...filters,
+    startAfter: startAfterDoc?.id || null,
+  })}`;
 
   try {
     if (useCache) {
@@ -735,7 +792,7 @@ export const fetchJobsWithFilters = async (filters = {}, useCache = true) => {
       }
     }
 
-    const jobs = await withRetry(async () => {
+    const page = await withRetry(async () => {
       let jobsQuery = query(
         collection(firestore, "jobs"),
         orderBy(orderByField, orderDirection)
@@ -748,36 +805,152 @@ export const fetchJobsWithFilters = async (filters = {}, useCache = true) => {
       if (category) {
         jobsQuery = query(jobsQuery, where("category", "==", category));
       }
-      if (limitCount) {
-        jobsQuery = query(jobsQuery, limit(limitCount));
+      if (type) {
+        jobsQuery = query(jobsQuery, where("type", "==", type));
+      }
+      if (position) {
+        jobsQuery = query(jobsQuery, where("position", "==", position));
+      }
+      if (dateFrom) {
+        jobsQuery = query(jobsQuery, where("lastDate", ">=", dateFrom));
       }
       if (startAfterDoc) {
         jobsQuery = query(jobsQuery, startAfter(startAfterDoc));
       }
+      if (limitCount) {
+        jobsQuery = query(jobsQuery, limit(limitCount));
+      }
 
       const snapshot = await getDocs(jobsQuery);
       const jobList = [];
 
       snapshot.forEach((docSnapshot) => {
         const processedJob = processJobData(docSnapshot);
-        if (processedJob) {
+        if (processedJob && !isHiddenJob(processedJob)) {
           jobList.push(processedJob);
           // Cache individual jobs
           saveToCache(`job_${processedJob.id}`, processedJob);
         }
       });
 
-      return jobList;
+      return {
+        jobs: jobList,
+        // Cursor from the raw snapshot so filtered-out jobs don't break paging
+        lastDoc: snapshot.docs[snapshot.docs.length - 1] || null,
+        hasMore: !!limitCount && snapshot.size === limitCount,
+      };
     });
 
-    saveToCache(cacheKey, jobs);
-    return jobs;
+    saveToCache(cacheKey, page);
+    return page;
   } catch (error) {
-    logError("fetchJobsWithFilters", error, { filters });
+    logError("fetchJobsPage", error, {
+      filters: { ...filters, startAfter: startAfterDoc?.id || null },
+    });
     throw new Error("Unable to load filtered jobs. Please try again.");
   }
 };
 
+/**
+ * Fetch jobs with filters and pagination
+ * @param {Object} filters - Filter options (see fetchJobsPage)
+ * @param {boolean} useCache - Whether to use cached data
+ * @returns {Promise<Array>} Filtered job objects
+ */
+export const fetchJobsWithFilters = async (filters = {}, useCache = true) => {
+  const { jobs } = await fetchJobsPage(filters, useCache);
+  return jobs;
+};
+
+/**
+ * Listen for jobs posted after a point in time
+ * The callback receives every matching job each time the set changes.
+ * @param {Object} filters - Server-side filters (status, type, category, position)
+ * @param {Date} since - Only jobs created after this are reported
+ * @param {Function} onJobs - Called with the array of new jobs
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToNewJobs = (filters, since, onJobs, onError) => {
+  const { status, type, category, position } = filters || {};
+
+  let jobsQuery = query(
+    collection(firestore, "jobs"),
+    where("createdAt", ">", Timestamp.fromDate(since)),
+    orderBy("createdAt", "desc")
+  );
+
+  if (status) {
+    jobsQuery = query(jobsQuery, where("status", "==", status));
+  }
+  if (type) {
+    jobsQuery = query(jobsQuery, where("type", "==", type));
+  }
+  if (category) {
+    jobsQuery = query(jobsQuery, where("category", "==", category));
+  }
+  if (position) {
+    jobsQuery = query(jobsQuery, where("position", "==", position));
+  }
+
+  return onSnapshot(
+    jobsQuery,
+    (snapshot) => {
+      const jobList = snapshot.docs
+        .map(processJobData)
+        .filter((job) => job && !isHiddenJob(job));
+      onJobs(jobList);
+    },
+    (error) => {
+      logError("subscribeToNewJobs", error, { filters });
+      onError?.(error);
+    }
+  );
+};
+
+/**
+ * Listen for changes to jobs updated after a point in time
+ * Every edit, status change and delete stamps updatedAt, so this reports
+ * changes to jobs already on screen. Deleted jobs are included so callers
+ * can drop them.
+ * @param {Date} since - Only jobs updated after this are reported
+ * @param {Function} onJobs - Called with the array of changed jobs
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJobUpdates = (since, onJobs, onError) => {
+  const jobsQuery = query(
+    collection(firestore, "jobs"),
+    where("updatedAt", ">", Timestamp.fromDate(since))
+  );
+
+  return onSnapshot(
+    jobsQuery,
+    (snapshot) => {
+      const jobList = [];
+
+      snapshot.docChanges().forEach((change) => {
+        if (change.type === "removed") return;
+
+        const processedJob = processJobData(change.doc);
+        if (processedJob) {
+          jobList.push(processedJob);
+          // Keep the detail screen's cached copy in step
+          saveToCache(`job_${processedJob.id}`, processedJob);
+        }
+      });
+
+      if (jobList.length > 0) {
+        onJobs(jobList);
+      }
+    },
+    (error) => {
+      logError("subscribeToJobUpdates", error);
+      onError?.(error);
+    }
+  );
+};
+
 /**
  * Prefetch jobs for better performance with minimal API calls
  * @param {Array<string>} jobIds - Job IDs to prefetch
@@ -812,6 +985,23 @@ export const clearJobCache = () => {
   console.log(`Cleared ${cacheSize} cached items`);
 };
 
+/**
+ * Drop cached data affected by a change to a job
+ * Removes the job itself and every cached list, since any list may contain it.
+ * @param {string} jobId - The changed job's ID (optional for new jobs)
+ */
+export const invalidateJobCache = (jobId) => {
+  if (jobId) {
+    cache.delete(`job_${jobId}`);
+  }
+
+  for (const key of cache.keys()) {
+    if (!key.startsWith("job_")) {
+      cache.delete(key);
+    }
+  }
+};
+
 /**
  * Get cache and service health info
  * @returns {Object} Service health information
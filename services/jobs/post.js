@@ -1,57 +1,43 @@
 // Simple Firebase Job Posting Service
 import { collection, addDoc, serverTimestamp } from "firebase/firestore";
 import { firestore } from "../../firebaseConfig";
+import { findDistrict } from "../../utils/districtUtils";
+import {
+  DEFAULT_SALARY_UNIT_BY_TYPE,
+  JOB_STATUS,
+  MAX_JOB_DATES,
+  POSTING_HORIZON_DAYS,
+} from "../../constants/jobs";
+import {
+  getJobDates,
+  getPostingHorizonKey,
+  getTodayKey,
+} from "../../utils/jobUtils";
+import { findSalaryUnit } from "../../utils/salaryUtils";
+import { buildShift, isValidShiftTime } from "../../utils/shiftUtils";
+import { invalidateJobCache } from "./fetch";
+import { MAX_RETRIES, logError, withRetry } from "../utils";
 
-const MAX_RETRIES = 2;
+// Statuses a job can be created with
+const CREATABLE_STATUSES = [
+  JOB_STATUS.DRAFT,
+  JOB_STATUS.SCHEDULED,
+  JOB_STATUS.ACTIVE,
+];
 
-// Production error logger (matches your fetch service pattern)
-const logError = (operation, error, context = {}) => {
-  const errorLog = {
-    operation,
-    error: error.message,
-    code: error.code,
-    context,
-    timestamp: new Date().toISOString(),
-    userAgent:
-      typeof navigator !== "undefined" ? navigator.userAgent : "server",
-  };
-
-  console.error("Firebase Error:", errorLog);
-
-  // Add your production logging service here
-  // e.g., Sentry, LogRocket, or your analytics service
-  // Analytics.track('firebase_error', errorLog);
-};
-
-// Simple retry function for network issues (matches your fetch service)
-const withRetry = async (operation, retries = MAX_RETRIES) => {
-  try {
-    return await operation();
-  } catch (error) {
-    // Only retry on network/temporary errors
-    const isRetryable =
-      error.code === "unavailable" ||
-      error.code === "deadline-exceeded" ||
-      error.message.includes("network");
-
-    if (retries > 0 && isRetryable) {
-      console.warn(`Retrying operation, ${retries} attempts left`);
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // 1 second delay
-      return withRetry(operation, retries - 1);
-    }
-    throw error;
-  }
-};
-
-// Validate job data before posting
-const validateJobData = (jobData) => {
+// Validate job data before posting (also used when editing, where the
+// job's existing dates and publish date are allowed even if they have
+// since passed)
+export const validateJobData = (
+  jobData,
+  { existingDates = [], existingPublishAt = null } = {}
+) => {
   const required = [
     "date",
     "hospital",
     "location",
     "position",
     "salary",
-    "schedule",
     "type",
   ];
 
@@ -66,11 +52,60 @@ const validateJobData = (jobData) => {
     }
   }
 
+  // Reposts of jobs from before shifts were structured carry their
+  // free-text schedule instead
+  const hasLegacySchedule =
+    !jobData.shift &&
+    typeof jobData.schedule === "string" &&
+    !!jobData.schedule.trim();
+
+  if (!hasLegacySchedule) {
+    if (!jobData.shift) {
+      throw new Error("shift is required");
+    }
+
+    if (
+      !isValidShiftTime(jobData.shift.start) ||
+      !isValidShiftTime(jobData.shift.end)
+    ) {
+      throw new Error("Shift start and end must be valid times");
+    }
+
+    if (jobData.shift.start === jobData.shift.end) {
+      throw new Error("Shift end time must be different from the start time");
+    }
+  }
+
   // Validate salary is a positive number
   if (isNaN(jobData.salary) || parseFloat(jobData.salary) <= 0) {
     throw new Error("Salary must be a positive number");
   }
 
+  // The top of a pay range is optional but must be above the bottom
+  if (jobData.salaryMax !== undefined && jobData.salaryMax !== null) {
+    if (
+      isNaN(jobData.salaryMax) ||
+      parseFloat(jobData.salaryMax) <= parseFloat(jobData.salary)
+    ) {
+      throw new Error("Maximum salary must be more than the minimum");
+    }
+  }
+
+  // Jobs from before pay had a unit leave it out and get their type's default
+  if (jobData.salaryUnit !== undefined && !findSalaryUnit(jobData.salaryUnit)) {
+    throw new Error("Salary unit must be shift, hour, day, month or annum");
+  }
+
+  // The category comes from the position catalogue and is optional, since
+  // positions typed before the catalogue existed may not be in it
+  if (
+    jobData.category !== undefined &&
+    jobData.category !== null &&
+    typeof jobData.category !== "string"
+  ) {
+    throw new Error("Category must be text");
+  }
+
   // Validate job type
   if (!["permanent", "relieving"].includes(jobData.type)) {
     throw new Error('Job type must be either "permanent" or "relieving"');
@@ -80,16 +115,124 @@ const validateJobData = (jobData) => {
   if (isNaN(Date.parse(jobData.date))) {
     throw new Error("Invalid date format");
   }
+
+  // Relieving jobs can cover several dates
+  if (jobData.dates !== undefined) {
+    if (!Array.isArray(jobData.dates) || jobData.dates.length === 0) {
+      throw new Error("At least one date is required");
+    }
+
+    if (jobData.dates.length > MAX_JOB_DATES) {
+      throw new Error(
+        `Jobs must be posted for ${MAX_JOB_DATES} dates or fewer`
+      );
+    }
+
+    if (
+      jobData.dates.some(
+        (date) => typeof date !== "string" || isNaN(Date.parse(date))
+      )
+    ) {
+      throw new Error("Invalid date format");
+    }
+
+    if (jobData.type === "permanent" && jobData.dates.length > 1) {
+      throw new Error("Permanent jobs must be posted for a single start date");
+    }
+  }
+
+  // New dates must fall between today and the posting horizon
+  const today = getTodayKey();
+  const horizon = getPostingHorizonKey();
+  const newDates = getJobDates(jobData).filter(
+    (date) => !existingDates.includes(date)
+  );
+
+  if (newDates.some((date) => date < today)) {
+    throw new Error("Job dates must be today or later");
+  }
+
+  if (newDates.some((date) => date > horizon)) {
+    throw new Error(
+      `Job dates must be within ${POSTING_HORIZON_DAYS} days from today`
+    );
+  }
+
+  // Scheduled jobs go live on a later day, no later than their first date
+  if (jobData.status === JOB_STATUS.SCHEDULED) {
+    if (!jobData.publishAt || isNaN(Date.parse(jobData.publishAt))) {
+      throw new Error("publishAt is required for scheduled jobs");
+    }
+
+    if (jobData.publishAt !== existingPublishAt && jobData.publishAt <= today) {
+      throw new Error("Publish date must be after today");
+    }
+
+    if (jobData.publishAt > getJobDates(jobData)[0]) {
+      throw new Error("Publish date must be on or before the first job date");
+    }
+  }
+};
+
+/**
+ * Build the stored dates of a validated job. `date` is kept as the first
+ * date so sorting, filters and older app versions keep working.
+ * @param {Object} jobData - Job data that passed validateJobData
+ * @returns {Object} { date, dates }
+ */
+export const toDateFields = (jobData) => {
+  const dates = [
+    ...new Set(jobData.dates?.length ? jobData.dates : [jobData.date]),
+  ].sort();
+
+  // `date` orders and filters by start; `lastDate` keeps multi-date jobs in
+  // the upcoming feed until their final date has passed
+  return { date: dates[0], dates, lastDate: dates[dates.length - 1] };
+};
+
+/**
+ * Build the stored pay of a validated job
+ * @param {Object} jobData - Job data that passed validateJobData
+ * @returns {Object} { salary, salaryMax, salaryUnit, salaryNegotiable }
+ */
+export const toSalaryFields = (jobData) => {
+  const hasRange =
+    jobData.salaryMax !== undefined && jobData.salaryMax !== null;
+
+  return {
+    salary: parseFloat(jobData.salary),
+    salaryMax: hasRange ? parseFloat(jobData.salaryMax) : null,
+    salaryUnit: jobData.salaryUnit || DEFAULT_SALARY_UNIT_BY_TYPE[jobData.type],
+    salaryNegotiable: jobData.salaryNegotiable === true,
+  };
 };
 
+/**
+ * Build the stored schedule of a validated job: a structured shift with
+ * its duration, or the legacy free-text schedule it was posted with
+ * @param {Object} jobData - Job data that passed validateJobData
+ * @returns {Object} Either { shift } or { schedule }
+ */
+export const toScheduleFields = (jobData) =>
+  jobData.shift
+    ? { shift: buildShift(jobData.shift.start, jobData.shift.end) }
+    : { schedule: jobData.schedule.trim() };
+
 /**
  * Post a new job to Firebase
  * @param {Object} jobData - The job form data
  * @param {string} userId - The authenticated user's ID
  * @param {string} userName - The authenticated user's name
+ * @param {Object} options - { status, publishAt }: save as a draft, or
+ *   schedule publishing for a YYYY-MM-DD date (default: publish now)
  * @returns {Promise<Object>} Result with success status and job data
  */
-export const postJob = async (jobData, userId, userName) => {
+export const postJob = async (
+  jobData,
+  userId,
+  userName,
+  { status = JOB_STATUS.ACTIVE, publishAt = null } = {}
+) => {
   try {
     // Input validation
     if (!jobData || typeof jobData !== "object") {
@@ -104,23 +247,36 @@ export const postJob = async (jobData, userId, userName) => {
       throw new Error("User name is required");
     }
 
+    if (!CREATABLE_STATUSES.includes(status)) {
+      throw new Error(
+        `Status must be one of: ${CREATABLE_STATUSES.join(", ")}`
+      );
+    }
+
     // Validate job data
-    validateJobData(jobData);
+    validateJobData({ ...jobData, status, publishAt });
 
     // Clean and prepare job data
     const cleanJobData = {
-      date: jobData.date,
+      ...toDateFields(jobData),
       hospital: jobData.hospital.trim(),
       location: jobData.location.trim(),
+      // Resolved once here so job alerts can match on it server-side
+      district: findDistrict(jobData.location),
       position: jobData.position.trim(),
-      salary: parseFloat(jobData.salary),
-      schedule: jobData.schedule.trim(),
+      // Lets the Home filters narrow jobs to a group of positions
+      category: jobData.category?.trim() || null,
+      ...toSalaryFields(jobData),
+      ...toScheduleFields(jobData),
       type: jobData.type,
       // Auto-generated fields
       createdAt: serverTimestamp(),
       createdBy: userName.trim(),
       createdById: userId.trim(),
-      status: "active", // Default status
+      status,
+      publishAt: status === JOB_STATUS.SCHEDULED ? publishAt : null,
+      // Date → ID of the applicant accepted for it
+      filledDates: {},
     };
 
     // Post job with retry logic
@@ -129,6 +285,9 @@ export const postJob = async (jobData, userId, userName) => {
       return docRef;
     });
 
+    // New jobs belong in cached lists, so drop them
+    invalidateJobCache();
+
     // Success response
     return {
       success: true,
@@ -138,7 +297,12 @@ export const postJob = async (jobData, userId, userName) => {
         // Convert serverTimestamp to readable format for UI
         createdAt: new Date().toISOString(),
       },
-      message: "Job posted successfully",
+      message:
+        status === JOB_STATUS.ACTIVE
+          ? "Job posted successfully"
+          : status === JOB_STATUS.DRAFT
+            ? "Draft saved"
+            : `Job scheduled for ${publishAt}`,
     };
   } catch (error) {
     logError("postJob", error, {
@@ -159,6 +323,50 @@ export const postJob = async (jobData, userId, userName) => {
   }
 };
 
+/**
+ * Repost an existing job as a new active posting
+ * Past dates are moved to today so the new posting is not already expired.
+ * @param {Object} job - The job to copy
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} userName - The authenticated user's name
+ * @returns {Promise<Object>} Result with success status and new job data
+ */
+export const repostJob = async (job, userId, userName) => {
+  if (!job || typeof job !== "object") {
+    return {
+      success: false,
+      error: "Job data is required",
+      message: "Job data is required",
+    };
+  }
+
+  // Past dates are dropped; if none are left the repost is for today
+  const today = getTodayKey();
+  const upcomingDates = getJobDates(job).filter((date) => date >= today);
+  const dates = upcomingDates.length > 0 ? upcomingDates : [today];
+
+  return postJob(
+    {
+      date: dates[0],
+      dates,
+      hospital: job.hospital,
+      location: job.location,
+      position: job.position,
+      category: job.category,
+      salary: job.salary,
+      salaryMax: job.salaryMax,
+      salaryUnit: job.salaryUnit,
+      salaryNegotiable: job.salaryNegotiable,
+      // Only one of these is set, depending on when the job was posted
+      shift: job.shift,
+      schedule: job.schedule,
+      type: job.type,
+    },
+    userId,
+    userName
+  );
+};
+
 /**
  * Get posting service health info
  * @returns {Object} Service health information
@@ -0,0 +1,70 @@
+// Firebase Job Report Service
+import { addDoc, collection, serverTimestamp } from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { logError, withRetry } from "../utils";
+
+// Reasons a user can pick when reporting a job
+export const REPORT_REASONS = [
+  "Fake or misleading posting",
+  "Wrong salary or schedule",
+  "Job is no longer available",
+  "Inappropriate content",
+  "Other",
+];
+
+/**
+ * Report a job posting for review
+ * @param {string} jobId - The reported job's ID
+ * @param {string} reason - One of REPORT_REASONS
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<Object>} Result with success status and report data
+ */
+export const reportJob = async (jobId, reason, userId) => {
+  try {
+    if (!jobId || typeof jobId !== "string" || !jobId.trim()) {
+      throw new Error("Job ID is required");
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      throw new Error("Please choose a reason for the report");
+    }
+
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    const reportData = {
+      jobId: jobId.trim(),
+      reason,
+      reportedById: userId.trim(),
+      createdAt: serverTimestamp(),
+      status: "open",
+    };
+
+    const result = await withRetry(() =>
+      addDoc(collection(firestore, "reports"), reportData)
+    );
+
+    return {
+      success: true,
+      data: {
+        id: result.id,
+        ...reportData,
+        createdAt: new Date().toISOString(),
+      },
+      message: "Thanks, we will review this job",
+    };
+  } catch (error) {
+    logError("reportJob", error, { jobId, reason, userId });
+
+    return {
+      success: false,
+      error: error.message,
+      message:
+        error.message.includes("required") ||
+        error.message.includes("choose a reason")
+          ? error.message
+          : "Failed to send report. Please check your connection and try again.",
+    };
+  }
+};
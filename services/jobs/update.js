@@ -0,0 +1,292 @@
+// Firebase Job Update Service
+import {
+  deleteField,
+  doc,
+  getDoc,
+  serverTimestamp,
+  updateDoc,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { JOB_STATUS } from "../../constants/jobs";
+import { findDistrict } from "../../utils/districtUtils";
+import {
+  canTransitionJob,
+  getJobDates,
+  getPostingStatus,
+} from "../../utils/jobUtils";
+import { invalidateJobCache } from "./fetch";
+import {
+  toDateFields,
+  toSalaryFields,
+  toScheduleFields,
+  validateJobData,
+} from "./post";
+import { logError, withRetry } from "../utils";
+
+// Fields a poster is allowed to change after posting
+const EDITABLE_FIELDS = [
+  "category",
+  "date",
+  "dates",
+  "hospital",
+  "location",
+  "position",
+  // Only kept while the job is scheduled
+  "publishAt",
+  "salary",
+  "salaryMax",
+  "salaryNegotiable",
+  "salaryUnit",
+  "shift",
+  "type",
+];
+
+// Load a job and make sure the given user is the one who posted it
+const getOwnedJob = async (jobId, userId) => {
+  const docRef = doc(firestore, "jobs", jobId);
+  const docSnap = await getDoc(docRef);
+
+  if (!docSnap.exists()) {
+    throw new Error("Job not found");
+  }
+
+  if (docSnap.data().createdById !== userId) {
+    throw new Error("You can only change jobs you posted");
+  }
+
+  return { docRef, jobData: docSnap.data() };
+};
+
+// Shared error response so every update reports failures the same way
+const toErrorResponse = (error) => ({
+  success: false,
+  error: error.message,
+  message:
+    error.message.includes("required") ||
+    error.message.includes("must be") ||
+    error.message.includes("cannot be") ||
+    error.message.includes("Invalid") ||
+    error.message.includes("not found") ||
+    error.message.includes("only change") ||
+    error.message.includes("No changes")
+      ? error.message
+      : "Failed to update job. Please check your connection and try again.",
+});
+
+/**
+ * Edit the details of a job
+ * @param {string} jobId - The job ID to update
+ * @param {Object} changes - Changed job fields (category, date, dates, hospital, location, position, publishAt, salary, salaryMax, salaryNegotiable, salaryUnit, shift, type)
+ * @param {string} userId - The authenticated user's ID (must be the poster)
+ * @returns {Promise<Object>} Result with success status and the updated job
+ */
+export const updateJob = async (jobId, changes, userId) => {
+  try {
+    if (!jobId || typeof jobId !== "string" || !jobId.trim()) {
+      throw new Error("Job ID is required");
+    }
+
+    if (!changes || typeof changes !== "object") {
+      throw new Error("Job changes are required");
+    }
+
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    // Ignore anything that is not an editable field
+    const editableChanges = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        editableChanges[field] = changes[field];
+      }
+    }
+
+    if (Object.keys(editableChanges).length === 0) {
+      throw new Error("No changes to save");
+    }
+
+    const updatedJob = await withRetry(async () => {
+      const { docRef, jobData } = await getOwnedJob(
+        jobId.trim(),
+        userId.trim()
+      );
+
+      if (jobData.status === JOB_STATUS.DELETED) {
+        throw new Error("Deleted jobs cannot be edited");
+      }
+
+      // Validate the job as it will look after the edit
+      const mergedJob = { ...jobData, ...editableChanges };
+      validateJobData(mergedJob, {
+        existingDates: getJobDates(jobData),
+        existingPublishAt: jobData.publishAt,
+      });
+
+      const scheduleFields = toScheduleFields(mergedJob);
+      const dateFields = toDateFields(mergedJob);
+
+      // Someone has already been accepted for these
+      const removedFilledDates = Object.keys(jobData.filledDates || {}).filter(
+        (date) => !dateFields.dates.includes(date)
+      );
+      if (removedFilledDates.length > 0) {
+        throw new Error("Filled dates cannot be removed");
+      }
+
+      const cleanChanges = {
+        ...dateFields,
+        hospital: mergedJob.hospital.trim(),
+        location: mergedJob.location.trim(),
+        district: findDistrict(mergedJob.location),
+        position: mergedJob.position.trim(),
+        category: mergedJob.category?.trim() || null,
+        ...toSalaryFields(mergedJob),
+        ...scheduleFields,
+        type: mergedJob.type,
+        publishAt:
+          mergedJob.status === JOB_STATUS.SCHEDULED
+            ? mergedJob.publishAt
+            : null,
+      };
+
+      await updateDoc(docRef, {
+        ...cleanChanges,
+        // A legacy schedule is dropped once the job is given a shift
+        ...(scheduleFields.shift && jobData.schedule !== undefined
+          ? { schedule: deleteField() }
+          : {}),
+        updatedAt: serverTimestamp(),
+      });
+
+      const editedJob = { ...jobData, ...cleanChanges };
+      if (scheduleFields.shift) delete editedJob.schedule;
+      return editedJob;
+    });
+
+    invalidateJobCache(jobId.trim());
+
+    return {
+      success: true,
+      data: {
+        ...updatedJob,
+        id: jobId.trim(),
+        createdAt:
+          updatedJob.createdAt?.toDate?.()?.toISOString() ||
+          updatedJob.createdAt,
+        // Convert serverTimestamp to readable format for UI
+        updatedAt: new Date().toISOString(),
+      },
+      message: "Job updated successfully",
+    };
+  } catch (error) {
+    logError("updateJob", error, {
+      jobId,
+      userId,
+      changedKeys: changes ? Object.keys(changes) : null,
+    });
+
+    return toErrorResponse(error);
+  }
+};
+
+/**
+ * Change the status of a job (e.g. publish a draft, or mark as filled or
+ * closed). Only the changes in JOB_STATUS_TRANSITIONS are allowed.
+ * @param {string} jobId - The job ID to update
+ * @param {string} status - The new status, one of JOB_STATUS
+ * @param {string} userId - The authenticated user's ID (must be the poster)
+ * @param {Object} options - { publishAt }: YYYY-MM-DD date, required when scheduling
+ * @returns {Promise<Object>} Result with success status and updated fields
+ */
+export const updateJobStatus = async (
+  jobId,
+  status,
+  userId,
+  { publishAt = null } = {}
+) => {
+  try {
+    if (!jobId || typeof jobId !== "string" || !jobId.trim()) {
+      throw new Error("Job ID is required");
+    }
+
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    // Deleting and restoring go through services/jobs/delete.js
+    const allowedStatuses = Object.values(JOB_STATUS).filter(
+      (value) => value !== JOB_STATUS.DELETED
+    );
+    if (!allowedStatuses.includes(status)) {
+      throw new Error(`Status must be one of: ${allowedStatuses.join(", ")}`);
+    }
+
+    const statusChanges = await withRetry(async () => {
+      const { docRef, jobData } = await getOwnedJob(
+        jobId.trim(),
+        userId.trim()
+      );
+
+      // Jobs past their dates count as expired even before the
+      // expireJobs function has marked them
+      const currentStatus = getPostingStatus(jobData);
+      if (!canTransitionJob(currentStatus, status)) {
+        throw new Error(
+          `This job is ${currentStatus} and cannot be changed to ${status}`
+        );
+      }
+
+      const changes = { status };
+
+      if (status === JOB_STATUS.SCHEDULED) {
+        validateJobData({ ...jobData, status, publishAt });
+        changes.publishAt = publishAt;
+      } else if (
+        currentStatus === JOB_STATUS.DRAFT ||
+        currentStatus === JOB_STATUS.SCHEDULED
+      ) {
+        changes.publishAt = null;
+      }
+
+      if (status === JOB_STATUS.ACTIVE) {
+        // A draft may have been saved with dates that have since passed
+        validateJobData({ ...jobData, status });
+      }
+
+      await updateDoc(docRef, {
+        ...changes,
+        // Publishing counts as posting, so the job shows as new in feeds
+        // and alerts rather than where its draft would have been
+        ...(status === JOB_STATUS.ACTIVE
+          ? { createdAt: serverTimestamp() }
+          : {}),
+        updatedAt: serverTimestamp(),
+      });
+
+      return changes;
+    });
+
+    invalidateJobCache(jobId.trim());
+
+    const now = new Date().toISOString();
+
+    return {
+      success: true,
+      data: {
+        id: jobId.trim(),
+        ...statusChanges,
+        ...(status === JOB_STATUS.ACTIVE ? { createdAt: now } : {}),
+        updatedAt: now,
+      },
+      message:
+        status === JOB_STATUS.ACTIVE
+          ? "Job published successfully"
+          : "Job updated successfully",
+    };
+  } catch (error) {
+    logError("updateJobStatus", error, { jobId, status, userId });
+
+    return toErrorResponse(error);
+  }
+};
@@ -0,0 +1,142 @@
+// Firebase Messaging Fetch Service
+import {
+  collection,
+  doc,
+  limitToLast,
+  onSnapshot,
+  orderBy,
+  query,
+  where,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { MESSAGE_PAGE_SIZE } from "../../constants/messages";
+import { logError } from "../utils";
+
+/**
+ * Build the document ID for a conversation about a job
+ * The pair is sorted so both participants resolve to the same thread.
+ * @param {string} jobId - The job the conversation is about
+ * @param {string} userId - One participant's user ID
+ * @param {string} otherUserId - The other participant's user ID
+ * @returns {string} Conversation document ID
+ */
+export const getConversationId = (jobId, userId, otherUserId) =>
+  [jobId, ...[userId, otherUserId].sort()].join("_");
+
+// Convert Firestore timestamps to ISO strings
+const toISOString = (value) => value?.toDate?.()?.toISOString() || value;
+
+// Messages still being written have no server time yet, so read an
+// estimate to keep them in order
+const SNAPSHOT_OPTIONS = { serverTimestamps: "estimate" };
+
+// Process conversation data consistently
+const processConversationData = (docSnapshot) => {
+  const conversationData = docSnapshot.data(SNAPSHOT_OPTIONS);
+
+  if (!conversationData || typeof conversationData !== "object") {
+    return null;
+  }
+
+  return {
+    id: docSnapshot.id,
+    ...conversationData,
+    createdAt: toISOString(conversationData.createdAt),
+    lastMessageAt: toISOString(conversationData.lastMessageAt),
+  };
+};
+
+// Process message data consistently
+const processMessageData = (docSnapshot) => {
+  const messageData = docSnapshot.data(SNAPSHOT_OPTIONS);
+
+  if (!messageData || typeof messageData !== "object") {
+    return null;
+  }
+
+  return {
+    id: docSnapshot.id,
+    ...messageData,
+    createdAt: toISOString(messageData.createdAt),
+  };
+};
+
+/**
+ * Listen to every conversation a user is part of
+ * @param {string} userId - The user's ID
+ * @param {Function} onConversations - Called with conversations, latest first
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToConversations = (userId, onConversations, onError) => {
+  const conversationsQuery = query(
+    collection(firestore, "conversations"),
+    where("participants", "array-contains", userId)
+  );
+
+  return onSnapshot(
+    conversationsQuery,
+    (snapshot) => {
+      const conversationList = snapshot.docs
+        .map(processConversationData)
+        .filter(Boolean)
+        // Sorted here so no composite index is needed
+        .sort((a, b) =>
+          (b.lastMessageAt || "").localeCompare(a.lastMessageAt || "")
+        );
+      onConversations(conversationList);
+    },
+    (error) => {
+      logError("subscribeToConversations", error, { userId });
+      onError?.(new Error("Unable to load your messages. Please try again."));
+    }
+  );
+};
+
+/**
+ * Listen to a conversation and its latest messages
+ * @param {string} conversationId - The conversation ID
+ * @param {Function} onUpdate - Called with { conversation, messages } on every change
+ * @param {Function} onError - Called if a listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToConversation = (conversationId, onUpdate, onError) => {
+  const messagesQuery = query(
+    collection(firestore, "conversations", conversationId, "messages"),
+    orderBy("createdAt", "asc"),
+    limitToLast(MESSAGE_PAGE_SIZE)
+  );
+
+  let conversation = null;
+  let messages = [];
+
+  const handleError = (operation) => (error) => {
+    logError(operation, error, { conversationId });
+    onError?.(new Error("Unable to load this conversation. Please try again."));
+  };
+
+  const unsubscribeConversation = onSnapshot(
+    doc(firestore, "conversations", conversationId),
+    (docSnapshot) => {
+      conversation = docSnapshot.exists()
+        ? processConversationData(docSnapshot)
+        : null;
+      onUpdate({ conversation, messages });
+    },
+    handleError("subscribeToConversation")
+  );
+
+  const unsubscribeMessages = onSnapshot(
+    messagesQuery,
+    (snapshot) => {
+      messages = snapshot.docs.map(processMessageData).filter(Boolean);
+      onUpdate({ conversation, messages });
+    },
+    handleError("subscribeToMessages")
+  );
+
+  return () => {
+    unsubscribeConversation();
+    unsubscribeMessages();
+  };
+};
@@ -0,0 +1,210 @@
+// Firebase Messaging Service
+import {
+  collection,
+  doc,
+  getDoc,
+  increment,
+  runTransaction,
+  serverTimestamp,
+  updateDoc,
+  writeBatch,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { MAX_MESSAGE_LENGTH } from "../../constants/messages";
+import { getConversationId } from "./fetch";
+import { logError, withRetry } from "../utils";
+
+/**
+ * Open the conversation between two users about a job, creating it if needed
+ * Only names are stored on the conversation, so neither side's phone number
+ * is shared.
+ * @param {Object} job - The job the conversation is about
+ * @param {Object} user - The current user ({ id, name })
+ * @param {Object} otherUser - The other participant ({ id, name })
+ * @returns {Promise<Object>} Result with the conversation ID
+ */
+export const startConversation = async (job, user, otherUser) => {
+  try {
+    if (!job?.id) {
+      throw new Error("Job is required");
+    }
+
+    if (!user?.id || !otherUser?.id) {
+      throw new Error("Both participants are required");
+    }
+
+    if (user.id === otherUser.id) {
+      throw new Error("You cannot message yourself");
+    }
+
+    const conversationId = getConversationId(job.id, user.id, otherUser.id);
+
+    await withRetry(() =>
+      runTransaction(firestore, async (transaction) => {
+        const conversationRef = doc(firestore, "conversations", conversationId);
+        const conversationSnap = await transaction.get(conversationRef);
+
+        if (conversationSnap.exists()) return;
+
+        transaction.set(conversationRef, {
+          jobId: job.id,
+          jobPosition: job.position || null,
+          jobHospital: job.hospital || null,
+          jobOwnerId: job.createdById || null,
+          participants: [user.id, otherUser.id],
+          participantNames: {
+            [user.id]: user.name || "Unknown",
+            [otherUser.id]: otherUser.name || "Unknown",
+          },
+          unreadCounts: { [user.id]: 0, [otherUser.id]: 0 },
+          lastMessage: null,
+          lastMessageAt: serverTimestamp(),
+          createdAt: serverTimestamp(),
+        });
+      })
+    );
+
+    return {
+      success: true,
+      data: { id: conversationId },
+      message: "Conversation ready",
+    };
+  } catch (error) {
+    logError("startConversation", error, {
+      jobId: job?.id,
+      userId: user?.id,
+      otherUserId: otherUser?.id,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      message:
+        error.message.includes("required") ||
+        error.message.includes("cannot message")
+          ? error.message
+          : "Failed to open conversation. Please check your connection and try again.",
+    };
+  }
+};
+
+/**
+ * Send a message in a conversation
+ * Bumps the other participant's unread count in the same write.
+ * @param {string} conversationId - The conversation ID
+ * @param {string} userId - The authenticated user's ID (must be a participant)
+ * @param {string} text - The message text
+ * @returns {Promise<Object>} Result with success status and message data
+ */
+export const sendMessage = async (conversationId, userId, text) => {
+  try {
+    if (!conversationId || !userId) {
+      throw new Error("Conversation ID and user ID are required");
+    }
+
+    const cleanText = typeof text === "string" ? text.trim() : "";
+    if (!cleanText) {
+      throw new Error("Message cannot be empty");
+    }
+    if (cleanText.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(
+        `Message must be ${MAX_MESSAGE_LENGTH} characters or fewer`
+      );
+    }
+
+    const conversationRef = doc(firestore, "conversations", conversationId);
+    const messageRef = doc(collection(conversationRef, "messages"));
+
+    const messageData = await withRetry(async () => {
+      const conversationSnap = await getDoc(conversationRef);
+      if (!conversationSnap.exists()) {
+        throw new Error("Conversation not found");
+      }
+
+      const { participants = [] } = conversationSnap.data();
+      if (!participants.includes(userId)) {
+        throw new Error("You are not part of this conversation");
+      }
+
+      const newMessage = {
+        text: cleanText,
+        senderId: userId,
+        createdAt: serverTimestamp(),
+      };
+
+      const batch = writeBatch(firestore);
+      batch.set(messageRef, newMessage);
+
+      const conversationUpdate = {
+        lastMessage: cleanText,
+        lastMessageSenderId: userId,
+        lastMessageAt: serverTimestamp(),
+      };
+      participants
+        .filter((participantId) => participantId !== userId)
+        .forEach((participantId) => {
+          conversationUpdate[`unreadCounts.${participantId}`] = increment(1);
+        });
+      batch.update(conversationRef, conversationUpdate);
+
+      await batch.commit();
+      return newMessage;
+    });
+
+    return {
+      success: true,
+      data: {
+        id: messageRef.id,
+        ...messageData,
+        // Convert serverTimestamp to readable format for UI
+        createdAt: new Date().toISOString(),
+      },
+      message: "Message sent",
+    };
+  } catch (error) {
+    logError("sendMessage", error, { conversationId, userId });
+
+    return {
+      success: false,
+      error: error.message,
+      message:
+        error.message.includes("required") ||
+        error.message.includes("must be") ||
+        error.message.includes("cannot be") ||
+        error.message.includes("not found") ||
+        error.message.includes("not part")
+          ? error.message
+          : "Failed to send message. Please check your connection and try again.",
+    };
+  }
+};
+
+/**
+ * Reset a user's unread count for a conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<Object>} Result with success status
+ */
+export const markConversationRead = async (conversationId, userId) => {
+  try {
+    if (!conversationId || !userId) {
+      throw new Error("Conversation ID and user ID are required");
+    }
+
+    await withRetry(() =>
+      updateDoc(doc(firestore, "conversations", conversationId), {
+        [`unreadCounts.${userId}`]: 0,
+      })
+    );
+
+    return { success: true, data: null, message: "Conversation read" };
+  } catch (error) {
+    logError("markConversationRead", error, { conversationId, userId });
+
+    return {
+      success: false,
+      error: error.message,
+      message: "Failed to update conversation.",
+    };
+  }
+};
@@ -0,0 +1,92 @@
+// Firebase Notification Fetch Service
+import {
+  collection,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  where,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { NOTIFICATION_PAGE_SIZE } from "../../constants/notifications";
+import { logError } from "../utils";
+
+// Notifications live under each user so only they can read them
+const getNotificationsCollection = (userId) =>
+  collection(firestore, "users", userId, "notifications");
+
+// Process notification data consistently
+const processNotificationData = (docSnapshot) => {
+  const notificationData = docSnapshot.data({ serverTimestamps: "estimate" });
+
+  if (!notificationData || typeof notificationData !== "object") {
+    return null;
+  }
+
+  return {
+    id: docSnapshot.id,
+    ...notificationData,
+    // Convert Firestore timestamps to ISO strings
+    createdAt:
+      notificationData.createdAt?.toDate?.()?.toISOString() ||
+      notificationData.createdAt,
+  };
+};
+
+/**
+ * Listen to a user's most recent notifications
+ * @param {string} userId - The user's ID
+ * @param {Function} onNotifications - Called with notifications, newest first
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToNotifications = (userId, onNotifications, onError) => {
+  const notificationsQuery = query(
+    getNotificationsCollection(userId),
+    orderBy("createdAt", "desc"),
+    limit(NOTIFICATION_PAGE_SIZE)
+  );
+
+  return onSnapshot(
+    notificationsQuery,
+    (snapshot) => {
+      onNotifications(
+        snapshot.docs.map(processNotificationData).filter(Boolean)
+      );
+    },
+    (error) => {
+      logError("subscribeToNotifications", error, { userId });
+      onError?.(
+        new Error("Unable to load your notifications. Please try again.")
+      );
+    }
+  );
+};
+
+/**
+ * Listen to the number of unread notifications a user has
+ * Counted separately so older unread items beyond the inbox page still show.
+ * @param {string} userId - The user's ID
+ * @param {Function} onCount - Called with the unread count
+ * @param {Function} onError - Called if the listener fails
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToUnreadNotificationCount = (
+  userId,
+  onCount,
+  onError
+) => {
+  const unreadQuery = query(
+    getNotificationsCollection(userId),
+    where("read", "==", false)
+  );
+
+  return onSnapshot(
+    unreadQuery,
+    (snapshot) => onCount(snapshot.size),
+    (error) => {
+      logError("subscribeToUnreadNotificationCount", error, { userId });
+      onError?.(new Error("Unable to load your notifications."));
+    }
+  );
+};
@@ -0,0 +1,195 @@
+// Expo Push Token Service
+import * as Device from "expo-device";
+import * as Notifications from "expo-notifications";
+import Constants from "expo-constants";
+import { Platform } from "react-native";
+import { arrayRemove, arrayUnion, doc, updateDoc } from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { logError, withRetry } from "../utils";
+
+const validateUserId = (userId) => {
+  if (!userId || typeof userId !== "string" || !userId.trim()) {
+    throw new Error("User ID is required");
+  }
+};
+
+// Show pushes that arrive while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+// Ask for permission and get this device's Expo push token.
+// Returns null on simulators or when permission is denied.
+const getDevicePushToken = async () => {
+  if (!Device.isDevice || Platform.OS === "web") {
+    return null;
+  }
+
+  if (Platform.OS === "android") {
+    await Notifications.setNotificationChannelAsync("default", {
+      name: "default",
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+
+  const { status: existingStatus } = await Notifications.getPermissionsAsync();
+  let finalStatus = existingStatus;
+
+  if (existingStatus !== "granted") {
+    const { status } = await Notifications.requestPermissionsAsync();
+    finalStatus = status;
+  }
+
+  if (finalStatus !== "granted") {
+    return null;
+  }
+
+  const projectId =
+    Constants.expoConfig?.extra?.eas?.projectId ??
+    Constants.easConfig?.projectId;
+  const { data } = await Notifications.getExpoPushTokenAsync({ projectId });
+
+  return data;
+};
+
+/**
+ * Register this device for push notifications on the user's profile
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<Object>} Result with success status and the token (null if unavailable)
+ */
+export const registerForPushNotifications = async (userId) => {
+  try {
+    validateUserId(userId);
+
+    const token = await getDevicePushToken();
+    if (!token) {
+      return {
+        success: true,
+        data: { token: null },
+        message: "Push notifications are not available on this device",
+      };
+    }
+
+    await withRetry(() =>
+      updateDoc(doc(firestore, "users", userId.trim()), {
+        pushTokens: arrayUnion(token),
+      })
+    );
+
+    return {
+      success: true,
+      data: { token },
+      message: "Registered for push notifications",
+    };
+  } catch (error) {
+    logError("registerForPushNotifications", error, { userId });
+    return {
+      success: false,
+      error: error.message,
+      message: "Failed to register for push notifications.",
+    };
+  }
+};
+
+/**
+ * Remove this device's push token from the user's profile
+ * Called before signing out, while the user can still write their profile.
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} token - The token returned by registerForPushNotifications
+ * @returns {Promise<Object>} Result with success status
+ */
+export const unregisterPushToken = async (userId, token) => {
+  try {
+    validateUserId(userId);
+
+    if (!token) {
+      return { success: true, data: null, message: "No token to remove" };
+    }
+
+    await withRetry(() =>
+      updateDoc(doc(firestore, "users", userId.trim()), {
+        pushTokens: arrayRemove(token),
+      })
+    );
+
+    return { success: true, data: null, message: "Push token removed" };
+  } catch (error) {
+    logError("unregisterPushToken", error, { userId });
+    return {
+      success: false,
+      error: error.message,
+      message: "Failed to remove push token.",
+    };
+  }
+};
+
+/**
+ * Turn a push category on or off for the user
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} category - A key from PUSH_CATEGORIES
+ * @param {boolean} enabled - Whether pushes in this category are wanted
+ * @returns {Promise<Object>} Result with success status
+ */
+export const setPushCategoryEnabled = async (userId, category, enabled) => {
+  try {
+    validateUserId(userId);
+
+    if (!category || typeof category !== "string") {
+      throw new Error("Category is required");
+    }
+
+    await withRetry(() =>
+      updateDoc(doc(firestore, "users", userId.trim()), {
+        [`notificationPreferences.${category}`]: Boolean(enabled),
+      })
+    );
+
+    return {
+      success: true,
+      data: { category, enabled: Boolean(enabled) },
+      message: "Notification preferences updated",
+    };
+  } catch (error) {
+    logError("setPushCategoryEnabled", error, { userId, category });
+    return {
+      success: false,
+      error: error.message,
+      message: error.message.includes("required")
+        ? error.message
+        : "Failed to update notification preferences. Please check your connection and try again.",
+    };
+  }
+};
+
+// Identifier of the last tapped push, so a cold-start tap that is also
+// reported by the listener only opens once
+let lastHandledResponseId = null;
+
+/**
+ * Listen for taps on push notifications, including the one that launched the app
+ * @param {Function} onOpen - Called with the notification's data payload
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPushResponses = (onOpen) => {
+  const handleResponse = (response) => {
+    const responseId = response?.notification?.request?.identifier;
+    if (!response || responseId === lastHandledResponseId) return;
+
+    lastHandledResponseId = responseId;
+    onOpen(response.notification.request.content.data || {});
+  };
+
+  Notifications.getLastNotificationResponseAsync()
+    .then(handleResponse)
+    .catch((error) => logError("getLastNotificationResponse", error));
+
+  const subscription =
+    Notifications.addNotificationResponseReceivedListener(handleResponse);
+
+  return () => subscription.remove();
+};
@@ -0,0 +1,104 @@
+// Firebase Notification Service
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { logError, withRetry } from "../utils";
+
+const MAX_BATCH_SIZE = 500; // Firestore write limit per batch
+
+// Shared error response so every notification change reports failures the same way
+const toErrorResponse = (error) => ({
+  success: false,
+  error: error.message,
+  message: error.message.includes("required")
+    ? error.message
+    : "Failed to update notifications. Please check your connection and try again.",
+});
+
+const validateUserId = (userId) => {
+  if (!userId || typeof userId !== "string" || !userId.trim()) {
+    throw new Error("User ID is required");
+  }
+};
+
+/**
+ * Mark a single notification as read
+ * @param {string} userId - The notification owner's ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Promise<Object>} Result with success status
+ */
+export const markNotificationRead = async (userId, notificationId) => {
+  try {
+    validateUserId(userId);
+
+    if (!notificationId || typeof notificationId !== "string") {
+      throw new Error("Notification ID is required");
+    }
+
+    await withRetry(() =>
+      updateDoc(
+        doc(firestore, "users", userId, "notifications", notificationId),
+        {
+          read: true,
+        }
+      )
+    );
+
+    return {
+      success: true,
+      data: null,
+      message: "Notification marked as read",
+    };
+  } catch (error) {
+    logError("markNotificationRead", error, { userId, notificationId });
+    return toErrorResponse(error);
+  }
+};
+
+/**
+ * Mark every unread notification as read
+ * @param {string} userId - The notification owner's ID
+ * @returns {Promise<Object>} Result with success status and the number marked
+ */
+export const markAllNotificationsRead = async (userId) => {
+  try {
+    validateUserId(userId);
+
+    const unread = await withRetry(() =>
+      getDocs(
+        query(
+          collection(firestore, "users", userId, "notifications"),
+          where("read", "==", false)
+        )
+      )
+    );
+
+    await withRetry(async () => {
+      for (let i = 0; i < unread.docs.length; i += MAX_BATCH_SIZE) {
+        const batch = writeBatch(firestore);
+        unread.docs
+          .slice(i, i + MAX_BATCH_SIZE)
+          .forEach((notificationDoc) =>
+            batch.update(notificationDoc.ref, { read: true })
+          );
+        await batch.commit();
+      }
+    });
+
+    return {
+      success: true,
+      data: { count: unread.size },
+      message: "All notifications marked as read",
+    };
+  } catch (error) {
+    logError("markAllNotificationsRead", error, { userId });
+    return toErrorResponse(error);
+  }
+};
@@ -0,0 +1,107 @@
+// Firebase Position Catalogue Service
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { collection, getDocs } from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import {
+  DEFAULT_POSITIONS,
+  POSITION_CACHE_TIME,
+} from "../../constants/positions";
+import { logError, withRetry } from "../utils";
+
+const STORAGE_KEY = "@onextid/positions";
+
+// { positions, fetchedAt }, restored from AsyncStorage on first use
+let catalogueCache = null;
+
+// Turn a Firestore document into a catalogue entry, skipping bad data
+const processPositionData = (docSnapshot) => {
+  const data = docSnapshot.data();
+
+  if (!data || typeof data.name !== "string" || !data.name.trim()) {
+    return null;
+  }
+
+  // Retired positions stay in the collection so old jobs can be categorised
+  if (data.active === false) return null;
+
+  return {
+    id: docSnapshot.id,
+    name: data.name.trim(),
+    category:
+      typeof data.category === "string" && data.category.trim()
+        ? data.category.trim()
+        : "Other",
+    order: Number.isFinite(data.order) ? data.order : Number.MAX_SAFE_INTEGER,
+    aliases: Array.isArray(data.aliases)
+      ? data.aliases.filter((alias) => typeof alias === "string")
+      : [],
+  };
+};
+
+const loadStoredCatalogue = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    logError("loadStoredCatalogue", error);
+    return null;
+  }
+};
+
+/**
+ * The catalogue loaded so far this session, without waiting on storage or
+ * the network
+ * @returns {Array|null} Position objects, or null if none have loaded yet
+ */
+export const getCachedPositions = () => catalogueCache?.positions || null;
+
+/**
+ * Fetch the position catalogue, in display order
+ * The catalogue is kept on the device for a day. If it cannot be fetched,
+ * the last downloaded copy or the built-in list is returned instead.
+ * @param {boolean} useCache - Whether to use the cached catalogue
+ * @returns {Promise<Array>} Position objects ({ id, name, category, order, aliases })
+ */
+export const fetchPositions = async (useCache = true) => {
+  if (!catalogueCache) {
+    catalogueCache = await loadStoredCatalogue();
+  }
+
+  if (
+    useCache &&
+    catalogueCache &&
+    Date.now() - catalogueCache.fetchedAt < POSITION_CACHE_TIME
+  ) {
+    return catalogueCache.positions;
+  }
+
+  try {
+    const positions = await withRetry(async () => {
+      const snapshot = await getDocs(collection(firestore, "positions"));
+
+      // Sorted here rather than in the query so documents without an
+      // order field are still returned
+      return snapshot.docs
+        .map(processPositionData)
+        .filter(Boolean)
+        .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    });
+
+    // Nothing has been added to the collection yet
+    if (positions.length === 0) {
+      return catalogueCache?.positions || DEFAULT_POSITIONS;
+    }
+
+    catalogueCache = { positions, fetchedAt: Date.now() };
+    AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(catalogueCache)).catch(
+      (error) => logError("saveStoredCatalogue", error)
+    );
+
+    return positions;
+  } catch (error) {
+    logError("fetchPositions", error, { useCache });
+
+    // A stale catalogue is better than none
+    return catalogueCache?.positions || DEFAULT_POSITIONS;
+  }
+};
@@ -0,0 +1,221 @@
+// Firebase Account Data Service
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  serverTimestamp,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { APPLICATION_STATUS } from "../../constants/applications";
+import { JOB_STATUS } from "../../constants/jobs";
+import { DELETED_USER_NAME } from "../../constants/profile";
+import { firestore } from "../../firebaseConfig";
+import { invalidateJobCache } from "../jobs/fetch";
+import { clearProfileCache } from "./fetch";
+import { logError, withRetry } from "../utils";
+
+const MAX_BATCH_SIZE = 500; // Firestore write limit per batch
+
+const validateUserId = (userId) => {
+  if (!userId || typeof userId !== "string" || !userId.trim()) {
+    throw new Error("User ID is required");
+  }
+};
+
+// Firestore values made JSON-friendly: timestamps become ISO strings
+const toPlainData = (value) => {
+  if (typeof value?.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainData);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlainData(item)])
+    );
+  }
+  return value;
+};
+
+const fetchOwnedDocs = (collectionName, field, userId) =>
+  getDocs(
+    query(collection(firestore, collectionName), where(field, "==", userId))
+  );
+
+// Apply one write per document, in as few batches as the limit allows
+const commitInBatches = async (docs, write) => {
+  for (let i = 0; i < docs.length; i += MAX_BATCH_SIZE) {
+    const batch = writeBatch(firestore);
+    docs
+      .slice(i, i + MAX_BATCH_SIZE)
+      .forEach((docSnapshot) => write(batch, docSnapshot));
+    await batch.commit();
+  }
+};
+
+// Postings nobody else has seen, or that are on their way out anyway.
+// These are removed outright rather than left with no one to manage them.
+const REMOVED_JOB_STATUSES = [
+  JOB_STATUS.DRAFT,
+  JOB_STATUS.SCHEDULED,
+  JOB_STATUS.DELETED,
+];
+
+// What happens to a posting when its poster deletes their account
+const writeAnonymousJob = (batch, jobDoc) => {
+  const job = jobDoc.data();
+
+  if (REMOVED_JOB_STATUSES.includes(job.status)) {
+    batch.delete(jobDoc.ref);
+    return;
+  }
+
+  batch.update(jobDoc.ref, {
+    createdBy: DELETED_USER_NAME,
+    createdById: null,
+    // Nobody can manage it afterwards, so an open posting is taken down
+    ...(job.status === JOB_STATUS.ACTIVE && { status: JOB_STATUS.CLOSED }),
+    updatedAt: serverTimestamp(),
+  });
+};
+
+// Applications stay for the poster's records without naming the applicant.
+// Pending ones are withdrawn so they can't be accepted.
+const writeAnonymousApplication = (batch, applicationDoc) => {
+  const isPending = applicationDoc.data().status === APPLICATION_STATUS.PENDING;
+
+  batch.update(applicationDoc.ref, {
+    applicantName: DELETED_USER_NAME,
+    tcmcNumber: null,
+    note: null,
+    ...(isPending && { status: APPLICATION_STATUS.WITHDRAWN }),
+    updatedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Collect everything stored about a user: their profile, the jobs they
+ * posted and the applications they made
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<Object>} Result with success status and the export data
+ */
+export const exportUserData = async (userId) => {
+  try {
+    validateUserId(userId);
+    const cleanUserId = userId.trim();
+
+    const [profileDoc, postings, applications] = await withRetry(() =>
+      Promise.all([
+        getDoc(doc(firestore, "users", cleanUserId)),
+        fetchOwnedDocs("jobs", "createdById", cleanUserId),
+        fetchOwnedDocs("applications", "applicantId", cleanUserId),
+      ])
+    );
+
+    const data = {
+      exportedAt: new Date().toISOString(),
+      profile: profileDoc.exists() ? toPlainData(profileDoc.data()) : null,
+      postings: postings.docs.map((jobDoc) => ({
+        id: jobDoc.id,
+        ...toPlainData(jobDoc.data()),
+      })),
+      applications: applications.docs.map((applicationDoc) => ({
+        id: applicationDoc.id,
+        ...toPlainData(applicationDoc.data()),
+      })),
+    };
+
+    return { success: true, data, message: "Your data is ready" };
+  } catch (error) {
+    logError("exportUserData", error, { userId });
+
+    return {
+      success: false,
+      error: error.message,
+      message: error.message.includes("required")
+        ? error.message
+        : "Failed to collect your data. Please check your connection and try again.",
+    };
+  }
+};
+
+/**
+ * Remove a user's data ahead of deleting their account. Their published
+ * postings, applications and conversations stay for the other side's records
+ * but no longer name them; pending applications are withdrawn. Their profile,
+ * unpublished and deleted postings, alerts, alert matches and notifications
+ * are deleted. Safe to run again if a previous attempt stopped part way.
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<Object>} Result with success status
+ */
+export const deleteUserData = async (userId) => {
+  try {
+    validateUserId(userId);
+    const cleanUserId = userId.trim();
+
+    const [
+      postings,
+      applications,
+      conversations,
+      alerts,
+      alertMatches,
+      notifications,
+    ] = await withRetry(() =>
+      Promise.all([
+        fetchOwnedDocs("jobs", "createdById", cleanUserId),
+        fetchOwnedDocs("applications", "applicantId", cleanUserId),
+        getDocs(
+          query(
+            collection(firestore, "conversations"),
+            where("participants", "array-contains", cleanUserId)
+          )
+        ),
+        fetchOwnedDocs("alerts", "userId", cleanUserId),
+        fetchOwnedDocs("alertMatches", "userId", cleanUserId),
+        getDocs(collection(firestore, "users", cleanUserId, "notifications")),
+      ])
+    );
+
+    await withRetry(async () => {
+      await commitInBatches(postings.docs, writeAnonymousJob);
+      await commitInBatches(applications.docs, writeAnonymousApplication);
+      await commitInBatches(conversations.docs, (batch, conversationDoc) =>
+        batch.update(conversationDoc.ref, {
+          [`participantNames.${cleanUserId}`]: DELETED_USER_NAME,
+        })
+      );
+      await commitInBatches(
+        [...alerts.docs, ...alertMatches.docs, ...notifications.docs],
+        (batch, ownedDoc) => batch.delete(ownedDoc.ref)
+      );
+      await deleteDoc(doc(firestore, "users", cleanUserId));
+    });
+
+    invalidateJobCache();
+    clearProfileCache();
+
+    return {
+      success: true,
+      data: {
+        postings: postings.size,
+        applications: applications.size,
+      },
+      message: "Your data has been removed",
+    };
+  } catch (error) {
+    logError("deleteUserData", error, { userId });
+
+    return {
+      success: false,
+      error: error.message,
+      message: error.message.includes("required")
+        ? error.message
+        : "Failed to remove your data. Please check your connection and try again.",
+    };
+  }
+};
@@ -0,0 +1,88 @@
+// Firebase User Profile Fetch Service
+import { doc, getDoc } from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { logError, withRetry } from "../utils";
+
+// Simple cache storage
+const cache = new Map();
+const CACHE_TIME = 10 * 60 * 1000; // 10 minutes
+const MAX_CACHE_SIZE = 50; // Prevent memory issues
+
+// Helper function to get from cache
+const getFromCache = (key) => {
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.timestamp < CACHE_TIME) {
+    return cached.data;
+  }
+  cache.delete(key); // Remove expired cache
+  return null;
+};
+
+// Helper function to save to cache with size limit
+const saveToCache = (key, data) => {
+  if (cache.size >= MAX_CACHE_SIZE) {
+    const firstKey = cache.keys().next().value;
+    cache.delete(firstKey);
+  }
+
+  cache.set(key, {
+    data: data,
+    timestamp: Date.now(),
+  });
+};
+
+/**
+ * Fetch the public part of a user's profile (shown to other users)
+ * Contact details such as email and phone number are left out.
+ * @param {string} userId - The user ID to fetch
+ * @param {boolean} useCache - Whether to use cached data (default: true)
+ * @returns {Promise<Object|null>} Public profile or null if not found
+ */
+export const fetchPublicProfile = async (userId, useCache = true) => {
+  if (!userId || typeof userId !== "string" || userId.trim() === "") {
+    throw new Error("Please provide a valid user ID");
+  }
+
+  const cleanUserId = userId.trim();
+  const cacheKey = `profile_${cleanUserId}`;
+
+  try {
+    if (useCache) {
+      const cached = getFromCache(cacheKey);
+      if (cached !== null) {
+        return cached;
+      }
+    }
+
+    const profile = await withRetry(async () => {
+      const userDoc = await getDoc(doc(firestore, "users", cleanUserId));
+
+      if (!userDoc.exists()) {
+        return null;
+      }
+
+      const userData = userDoc.data();
+
+      return {
+        id: userDoc.id,
+        fullName: userData.fullName || null,
+        tcmcNumber: userData.tcmcNumber || null,
+        tcmcVerified: !!userData.tcmcVerified,
+        createdAt: userData.createdAt || null,
+      };
+    });
+
+    saveToCache(cacheKey, profile);
+    return profile;
+  } catch (error) {
+    logError("fetchPublicProfile", error, { userId: cleanUserId });
+    throw new Error("Unable to load user details. Please try again.");
+  }
+};
+
+/**
+ * Clear all cached profiles
+ */
+export const clearProfileCache = () => {
+  cache.clear();
+};
@@ -0,0 +1,95 @@
+// Firebase User Profile Update Service
+import { updateProfile } from "firebase/auth";
+import { doc, serverTimestamp, updateDoc } from "firebase/firestore";
+import { auth, firestore } from "../../firebaseConfig";
+import {
+  validateFullName,
+  validatePhoneNumber,
+  validateProfessionalDetails,
+} from "../../utils/profileUtils";
+import { clearProfileCache } from "./fetch";
+import { logError, withRetry } from "../utils";
+
+// Turns the edit form's values into the fields stored on the user document
+const toProfileFields = (changes) => {
+  const years = changes.yearsOfExperience;
+
+  return {
+    fullName: changes.fullName.trim(),
+    phoneNumber: changes.phoneNumber.trim(),
+    qualification: changes.qualification || null,
+    specialty: changes.specialty?.trim() || null,
+    yearsOfExperience:
+      years === null || years === undefined || years === ""
+        ? null
+        : Number(years),
+    preferredDistricts: Array.isArray(changes.preferredDistricts)
+      ? [...new Set(changes.preferredDistricts)]
+      : [],
+    bio: changes.bio?.trim() || null,
+  };
+};
+
+/**
+ * Update the signed-in user's profile. The full name is kept in sync between
+ * the Auth display name and the user document.
+ * @param {string} userId - The authenticated user's ID
+ * @param {Object} changes - { fullName, phoneNumber, qualification, specialty, yearsOfExperience, preferredDistricts, bio }
+ * @returns {Promise<Object>} Result with success status and the saved fields
+ */
+export const updateUserProfile = async (userId, changes) => {
+  try {
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    const currentUser = auth.currentUser;
+    if (!currentUser || currentUser.uid !== userId.trim()) {
+      throw new Error("You must be signed in to update your profile");
+    }
+
+    const firstError =
+      validateFullName(changes?.fullName) ||
+      validatePhoneNumber(changes?.phoneNumber) ||
+      Object.values(validateProfessionalDetails(changes))[0];
+    if (firstError) {
+      throw new Error(firstError);
+    }
+
+    const profile = toProfileFields(changes);
+
+    await withRetry(() =>
+      updateDoc(doc(firestore, "users", userId.trim()), {
+        ...profile,
+        updatedAt: serverTimestamp(),
+      })
+    );
+
+    if (currentUser.displayName !== profile.fullName) {
+      await withRetry(() =>
+        updateProfile(currentUser, { displayName: profile.fullName })
+      );
+    }
+
+    // Other users may have this profile cached under the old name
+    clearProfileCache();
+
+    return { success: true, data: profile, message: "Profile updated" };
+  } catch (error) {
+    logError("updateUserProfile", error, { userId });
+
+    const isValidationError =
+      error.message.includes("required") ||
+      error.message.includes("must") ||
+      error.message.includes("cannot") ||
+      error.message.includes("Please");
+
+    return {
+      success: false,
+      error: error.message,
+      message: isValidationError
+        ? error.message
+        : "Failed to update your profile. Please check your connection and try again.",
+    };
+  }
+};
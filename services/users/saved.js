@@ -0,0 +1,53 @@
+// Firebase Saved Jobs Service
+import { arrayRemove, arrayUnion, doc, updateDoc } from "firebase/firestore";
+import { firestore } from "../../firebaseConfig";
+import { logError, withRetry } from "../utils";
+
+// Add or remove a job ID on the user's savedJobIds array
+const updateSavedJobs = async (operation, userId, jobId, change) => {
+  try {
+    if (!userId || typeof userId !== "string" || !userId.trim()) {
+      throw new Error("User ID is required");
+    }
+
+    if (!jobId || typeof jobId !== "string" || !jobId.trim()) {
+      throw new Error("Job ID is required");
+    }
+
+    await withRetry(() =>
+      updateDoc(doc(firestore, "users", userId.trim()), {
+        savedJobIds: change(jobId.trim()),
+      })
+    );
+
+    return { success: true, data: { jobId }, message: "Saved jobs updated" };
+  } catch (error) {
+    logError(operation, error, { userId, jobId });
+
+    return {
+      success: false,
+      error: error.message,
+      message: error.message.includes("required")
+        ? error.message
+        : "Failed to update saved jobs. Please check your connection and try again.",
+    };
+  }
+};
+
+/**
+ * Save a job to the user's profile
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} jobId - The job to save
+ * @returns {Promise<Object>} Result with success status
+ */
+export const saveJob = (userId, jobId) =>
+  updateSavedJobs("saveJob", userId, jobId, arrayUnion);
+
+/**
+ * Remove a job from the user's saved jobs
+ * @param {string} userId - The authenticated user's ID
+ * @param {string} jobId - The job to remove
+ * @returns {Promise<Object>} Result with success status
+ */
+export const unsaveJob = (userId, jobId) =>
+  updateSavedJobs("unsaveJob", userId, jobId, arrayRemove);
@@ -0,0 +1,41 @@
+// Helpers shared by the Firebase services
+export const MAX_RETRIES = 2;
+
+// Simple retry function for network issues
+export const withRetry = async (operation, retries = MAX_RETRIES) => {
+  try {
+    return await operation();
+  } catch (error) {
+    // Only retry on network/temporary errors
+    const isRetryable =
+      error.code === "unavailable" ||
+      error.code === "deadline-exceeded" ||
+      error.message.includes("network");
+
+    if (retries > 0 && isRetryable) {
+      console.warn(`Retrying operation, ${retries} attempts left`);
+      await new Promise((resolve) => setTimeout(resolve, 1000)); // 1 second delay
+      return withRetry(operation, retries - 1);
+    }
+    throw error;
+  }
+};
+
+// Production error logger (customize for your logging service)
+export const logError = (operation, error, context = {}) => {
+  const errorLog = {
+    operation,
+    error: error.message,
+    code: error.code,
+    context,
+    timestamp: new Date().toISOString(),
+    userAgent:
+      typeof navigator !== "undefined" ? navigator.userAgent : "server",
+  };
+
+  console.error("Firebase Error:", errorLog);
+
+  // Add your production logging service here
+  // e.g., Sentry, LogRocket, or your analytics service
+  // Analytics.track('firebase_error', errorLog);
+};
@@ -0,0 +1,28 @@
+// utils/applicationUtils.js
+import {
+  APPLICATION_STATUS,
+  JOB_CLOSED_STATUS,
+} from "../constants/applications";
+import { JOB_STATUS } from "../constants/jobs";
+import { getPostingStatus } from "./jobUtils";
+
+/**
+ * Resolves the state an applicant should see for an application.
+ * Pending applications show as "job closed" once the job is filled by
+ * someone else, closed, expired or removed.
+ * @param {Object} application - The application object
+ * @param {Object|null} job - The job it was sent to (null if purged)
+ * @returns {string} - An APPLICATION_STATUS value or JOB_CLOSED_STATUS
+ */
+export function getApplicationDisplayStatus(application, job) {
+  const status = application?.status || APPLICATION_STATUS.PENDING;
+
+  if (
+    status === APPLICATION_STATUS.PENDING &&
+    (!job || getPostingStatus(job) !== JOB_STATUS.ACTIVE)
+  ) {
+    return JOB_CLOSED_STATUS;
+  }
+
+  return status;
+}
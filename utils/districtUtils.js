@@ -0,0 +1,53 @@
+// utils/districtUtils.js
+import {
+  DISTRICT_ALIASES,
+  DISTRICT_COORDINATES,
+  KERALA_DISTRICTS,
+} from "../constants/districts";
+
+/**
+ * Works out which district a free-text location is in
+ * @param {string} location - Location as typed on the job, e.g. "Aluva, Kerala"
+ * @returns {string|null} - District name, or null if none is recognised
+ */
+export function findDistrict(location) {
+  if (!location) return null;
+
+  const text = location.toLowerCase();
+
+  const district = KERALA_DISTRICTS.find((name) =>
+    text.includes(name.toLowerCase())
+  );
+  if (district) return district;
+
+  const alias = Object.keys(DISTRICT_ALIASES).find((name) =>
+    text.includes(name)
+  );
+  return alias ? DISTRICT_ALIASES[alias] : null;
+}
+
+/**
+ * Straight-line distance between two districts' headquarters
+ * @param {string} fromDistrict - District name
+ * @param {string} toDistrict - District name
+ * @returns {number} - Distance in km, or Infinity if either is unknown
+ */
+export function getDistrictDistance(fromDistrict, toDistrict) {
+  const from = DISTRICT_COORDINATES[fromDistrict];
+  const to = DISTRICT_COORDINATES[toDistrict];
+  if (!from || !to) return Infinity;
+
+  // Haversine formula
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const EARTH_RADIUS_KM = 6371;
+
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
@@ -0,0 +1,153 @@
+// utils/jobFilters.js
+import { findDistrict } from "./districtUtils";
+import { toTitleCase } from "./textUtils";
+import { getJobDates, getTodayKey } from "./jobUtils";
+import { formatRupees, getMonthlyEquivalent } from "./salaryUtils";
+
+// Date range presets offered on the Home filters
+export const DATE_RANGE_OPTIONS = [
+  { label: "Any date", value: "any" },
+  { label: "Today", value: "today" },
+  { label: "Next 7 days", value: "week" },
+  { label: "Next 30 days", value: "month" },
+];
+
+export const DEFAULT_FILTERS = {
+  search: "",
+  type: null,
+  // Position catalogue group, e.g. "Specialists"
+  category: null,
+  position: null,
+  district: null,
+  dateRange: "any",
+  // Monthly pay in ₹; jobs quoted per shift, hour, day or year are converted
+  minSalary: null,
+};
+
+// Adds days to a YYYY-MM-DD key and returns the new key
+const addDaysToKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+/**
+ * Turns a date range preset into inclusive YYYY-MM-DD bounds.
+ * Presets are stored rather than dates so saved filters stay relative to today.
+ * @param {string} dateRange - One of the DATE_RANGE_OPTIONS values
+ * @returns {Object|null} - { from, to } or null for any date
+ */
+export function getDateBounds(dateRange) {
+  const today = getTodayKey();
+
+  switch (dateRange) {
+    case "today":
+      return { from: today, to: today };
+    case "week":
+      return { from: today, to: addDaysToKey(today, 6) };
+    case "month":
+      return { from: today, to: addDaysToKey(today, 29) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Picks the filters Firestore can apply in the query itself.
+ * Only equality filters are sent, since range filters would conflict with
+ * ordering by createdAt.
+ * @param {Object} filters - Home filters
+ * @returns {Object} - Options for fetchJobsPage
+ */
+export function toServerFilters(filters) {
+  const serverFilters = {};
+
+  if (filters?.type) serverFilters.type = filters.type;
+  // A position already implies its category, and sending only one keeps
+  // the number of composite indexes down
+  if (filters?.position) {
+    serverFilters.position = filters.position;
+  } else if (filters?.category) {
+    serverFilters.category = filters.category;
+  }
+
+  return serverFilters;
+}
+
+/**
+ * Checks a job against the filters Firestore could not apply
+ * @param {Object} job - The job object
+ * @param {Object} filters - Home filters
+ * @returns {boolean} - Whether the job should be shown
+ */
+export function matchesClientFilters(job, filters) {
+  if (!job || !filters) return true;
+
+  const search = filters.search?.trim().toLowerCase();
+  if (search) {
+    const haystack = [job.position, job.hospital, job.location]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase();
+    if (!haystack.includes(search)) return false;
+  }
+
+  if (filters.district && findDistrict(job.location) !== filters.district) {
+    return false;
+  }
+
+  // Multi-date jobs match if any of their dates is in range
+  const dateBounds = getDateBounds(filters.dateRange);
+  if (dateBounds) {
+    const inRange = getJobDates(job).some(
+      (date) => date >= dateBounds.from && date <= dateBounds.to
+    );
+    if (!inRange) return false;
+  }
+
+  if (filters.minSalary && !(getMonthlyEquivalent(job) >= filters.minSalary)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Counts the filters that differ from the defaults (search excluded)
+ * @param {Object} filters - Home filters
+ * @returns {number} - Number of active filters
+ */
+export function countActiveFilters(filters) {
+  if (!filters) return 0;
+
+  return (
+    ["type", "category", "position", "district", "minSalary"].filter(
+      (key) => !!filters[key]
+    ).length + (filters.dateRange && filters.dateRange !== "any" ? 1 : 0)
+  );
+}
+
+/**
+ * Short human-readable summary of filters, e.g. for a saved alert
+ * @param {Object} filters - Home filters
+ * @returns {string} - Summary such as "Relieving • Casualty Duty • ₹50,000+/month"
+ */
+export function describeFilters(filters) {
+  if (!filters) return "";
+
+  const dateRange = DATE_RANGE_OPTIONS.find(
+    (option) => option.value === filters.dateRange
+  );
+
+  return [
+    filters.search?.trim() && `"${filters.search.trim()}"`,
+    filters.type && toTitleCase(filters.type),
+    !filters.position && filters.category,
+    filters.position,
+    filters.district,
+    filters.dateRange && filters.dateRange !== "any" && dateRange?.label,
+    filters.minSalary && `${formatRupees(filters.minSalary)}+/month`,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
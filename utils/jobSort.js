@@ -0,0 +1,85 @@
+// utils/jobSort.js
+import { findDistrict, getDistrictDistance } from "./districtUtils";
+import { getNextDate, getTodayKey } from "./jobUtils";
+import { getMonthlyEquivalent } from "./salaryUtils";
+
+export const SORT_OPTIONS = [
+  { label: "Newest posted", value: "newest" },
+  { label: "Soonest start date", value: "soonest" },
+  { label: "Highest pay", value: "salary" },
+  { label: "Nearest to my district", value: "nearest" },
+];
+
+export const DEFAULT_SORT = {
+  sortBy: "newest",
+  // Needed for "nearest"; chosen by the user in the sort menu
+  homeDistrict: null,
+};
+
+/**
+ * Picks the Firestore ordering for a sort.
+ * Pay and distance are not stored in a sortable form, so those sorts load
+ * newest first and are re-ordered on the device by sortJobs.
+ * @param {Object} sort - Sort preference
+ * @returns {Object} - Options for fetchJobsPage
+ */
+export function toServerSort(sort) {
+  if (sort?.sortBy === "soonest") {
+    // Jobs with a date still to come, otherwise last month's jobs would come
+    // first. Filtered on the last date so multi-date jobs stay in once their
+    // first date passes; sortJobs then orders by the next date.
+    return {
+      orderByField: "lastDate",
+      orderDirection: "asc",
+      dateFrom: getTodayKey(),
+    };
+  }
+
+  return { orderByField: "createdAt", orderDirection: "desc" };
+}
+
+/**
+ * Orders loaded jobs for the sorts Firestore cannot do
+ * @param {Array} jobs - Job objects in server order
+ * @param {Object} sort - Sort preference
+ * @returns {Array} - Sorted copy of the jobs
+ */
+export function sortJobs(jobs, sort) {
+  if (!Array.isArray(jobs)) return [];
+
+  switch (sort?.sortBy) {
+    case "soonest": {
+      // Firestore orders by last date, and jobs that arrive live are merged
+      // in at the top, so order by each job's next date here
+      const nextDates = new Map(
+        jobs.map((job) => [job.id, getNextDate(job) || ""])
+      );
+      return [...jobs].sort((a, b) =>
+        nextDates.get(a.id).localeCompare(nextDates.get(b.id))
+      );
+    }
+
+    case "salary":
+      return [...jobs].sort(
+        (a, b) => getMonthlyEquivalent(b) - getMonthlyEquivalent(a)
+      );
+
+    case "nearest": {
+      if (!sort.homeDistrict) return jobs;
+
+      // Work out each distance once rather than on every comparison
+      const distances = new Map(
+        jobs.map((job) => [
+          job.id,
+          getDistrictDistance(sort.homeDistrict, findDistrict(job.location)),
+        ])
+      );
+      return [...jobs].sort(
+        (a, b) => distances.get(a.id) - distances.get(b.id)
+      );
+    }
+
+    default:
+      return jobs;
+  }
+}
@@ -0,0 +1,192 @@
+// utils/jobUtils.js
+import {
+  DELETED_JOB_RETENTION_DAYS,
+  JOB_STATUS,
+  JOB_STATUS_TRANSITIONS,
+  POSTING_GROUPS,
+  POSTING_HORIZON_DAYS,
+  RECURRENCE_OPTIONS,
+} from "../constants/jobs";
+
+/**
+ * Returns today's date as a YYYY-MM-DD string (the format used by job dates)
+ * @returns {string} - Today's date key
+ */
+export function getTodayKey() {
+  return new Date().toISOString().split("T")[0];
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date key
+ * @param {string} dateKey - The starting date
+ * @param {number} days - Days to add
+ * @returns {string} - The resulting date key
+ */
+export function addDaysToKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * The latest date a job can be posted for
+ * @returns {string} - Date key POSTING_HORIZON_DAYS from today
+ */
+export function getPostingHorizonKey() {
+  return addDaysToKey(getTodayKey(), POSTING_HORIZON_DAYS);
+}
+
+/**
+ * Every date a job covers, earliest first. Jobs posted before multi-date
+ * shifts only have a single `date`.
+ * @param {Object} job - The job object
+ * @returns {Array<string>} - Date keys
+ */
+export function getJobDates(job) {
+  if (Array.isArray(job?.dates) && job.dates.length > 0) {
+    return [...job.dates].sort();
+  }
+
+  return job?.date ? [job.date] : [];
+}
+
+/**
+ * The last date a job covers
+ * @param {Object} job - The job object
+ * @returns {string|null} - Date key, or null if the job has no dates
+ */
+export function getLastDate(job) {
+  const dates = getJobDates(job);
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+/**
+ * The first date of a job that has not passed, for ordering by start
+ * @param {Object} job - The job object
+ * @returns {string|null} - Date key; the last date if all have passed
+ */
+export function getNextDate(job) {
+  const today = getTodayKey();
+  const dates = getJobDates(job);
+  return dates.find((date) => date >= today) || getLastDate(job);
+}
+
+/**
+ * Dates of a job that are not filled yet and have not passed
+ * @param {Object} job - The job object
+ * @returns {Array<string>} - Open date keys, earliest first
+ */
+export function getOpenDates(job) {
+  const today = getTodayKey();
+  const filledDates = job?.filledDates || {};
+
+  return getJobDates(job).filter((date) => date >= today && !filledDates[date]);
+}
+
+/**
+ * Expands a recurrence into the dates it covers
+ * @param {string} startDate - First date as YYYY-MM-DD
+ * @param {string} frequency - A RECURRENCE_OPTIONS value
+ * @param {number} count - Number of dates, including the first
+ * @returns {Array<string>} - Date keys
+ */
+export function expandRecurrence(startDate, frequency, count) {
+  const option = RECURRENCE_OPTIONS.find((item) => item.value === frequency);
+  if (!startDate || !option || !(count > 0)) return [];
+
+  return Array.from({ length: count }, (_, index) =>
+    addDaysToKey(startDate, index * option.stepDays)
+  );
+}
+
+/**
+ * Formats a date key for display, e.g. "2025-01-05" → "Sun, Jan 5"
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {string} - Short weekday and date
+ */
+export function formatDateKey(dateKey) {
+  const date = new Date(`${dateKey}T00:00:00`);
+  if (isNaN(date.getTime())) return dateKey || "";
+
+  return date.toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+/**
+ * Formats the dates of a job for display, e.g. "2025-01-05 + 3 more"
+ * @param {Object} job - The job object
+ * @returns {string} - The first date, with a count of the rest
+ */
+export function formatJobDates(job) {
+  const dates = getJobDates(job);
+  if (dates.length === 0) return "Not specified";
+  if (dates.length === 1) return dates[0];
+
+  return `${dates[0]} + ${dates.length - 1} more`;
+}
+
+/**
+ * Resolves the status a posting should be shown under.
+ * Active and scheduled jobs whose last date has already passed are shown as
+ * expired, until the expireJobs Cloud Function catches up with them.
+ * @param {Object} job - The job object
+ * @returns {string} - One of the JOB_STATUS values
+ */
+export function getPostingStatus(job) {
+  const status = job?.status || JOB_STATUS.ACTIVE;
+  const dates = getJobDates(job);
+  const lastDate = dates[dates.length - 1];
+
+  if (
+    (status === JOB_STATUS.ACTIVE || status === JOB_STATUS.SCHEDULED) &&
+    lastDate &&
+    lastDate < getTodayKey()
+  ) {
+    return JOB_STATUS.EXPIRED;
+  }
+
+  return status;
+}
+
+/**
+ * Checks whether a job may move from one status to another
+ * @param {string} fromStatus - The job's current status
+ * @param {string} toStatus - The status it would move to
+ * @returns {boolean} - True if JOB_STATUS_TRANSITIONS allows it
+ */
+export function canTransitionJob(fromStatus, toStatus) {
+  return !!JOB_STATUS_TRANSITIONS[fromStatus]?.includes(toStatus);
+}
+
+/**
+ * Groups postings into SectionList sections ordered by POSTING_GROUPS.
+ * Empty groups are left out.
+ * @param {Array} jobs - Array of job objects
+ * @returns {Array} - Sections in the shape { status, title, data }
+ */
+export function groupJobsByStatus(jobs) {
+  if (!Array.isArray(jobs)) return [];
+
+  return POSTING_GROUPS.map((group) => ({
+    ...group,
+    data: jobs.filter((job) => getPostingStatus(job) === group.status),
+  })).filter((section) => section.data.length > 0);
+}
+
+/**
+ * Works out when a soft-deleted job will be purged for good
+ * @param {Object} job - The job object (with an ISO deletedAt)
+ * @returns {Date|null} - The purge date, or null if the job is not deleted
+ */
+export function getPurgeDate(job) {
+  if (job?.status !== JOB_STATUS.DELETED || !job.deletedAt) return null;
+
+  const purgeDate = new Date(job.deletedAt);
+  if (isNaN(purgeDate.getTime())) return null;
+
+  purgeDate.setDate(purgeDate.getDate() + DELETED_JOB_RETENTION_DAYS);
+  return purgeDate;
+}
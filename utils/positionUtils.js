@@ -0,0 +1,64 @@
+// utils/positionUtils.js
+
+const normalise = (text) =>
+  typeof text === "string"
+    ? text.trim().replace(/\s+/g, " ").toLowerCase()
+    : "";
+
+/**
+ * Finds the catalogue entry for a position by its name or one of its
+ * aliases, e.g. "RMO" → Resident Medical Officer
+ * @param {Array} positions - The position catalogue
+ * @param {string} name - Position name as typed or stored on a job
+ * @returns {Object|null} - The matching position, or null
+ */
+export function findPosition(positions, name) {
+  const target = normalise(name);
+  if (!target || !Array.isArray(positions)) return null;
+
+  return (
+    positions.find(
+      (position) =>
+        normalise(position.name) === target ||
+        position.aliases?.some((alias) => normalise(alias) === target)
+    ) || null
+  );
+}
+
+/**
+ * Checks a position against a search query, matching its aliases too
+ * @param {Object} position - A catalogue entry
+ * @param {string} searchQuery - Text typed by the user
+ * @returns {boolean} - Whether the position should be listed
+ */
+export function matchesPositionQuery(position, searchQuery) {
+  const target = normalise(searchQuery);
+  if (!target) return true;
+
+  return [position.name, ...(position.aliases || [])].some((term) =>
+    normalise(term).includes(target)
+  );
+}
+
+/**
+ * Lists the categories in a catalogue in display order
+ * @param {Array} positions - The position catalogue, already in order
+ * @returns {Array} - Category names, each once
+ */
+export function getPositionCategories(positions) {
+  if (!Array.isArray(positions)) return [];
+
+  return [...new Set(positions.map((position) => position.category))];
+}
+
+/**
+ * Groups a catalogue by category for sectioned lists
+ * @param {Array} positions - The position catalogue, already in order
+ * @returns {Array} - [{ category, positions }] in display order
+ */
+export function groupPositionsByCategory(positions) {
+  return getPositionCategories(positions).map((category) => ({
+    category,
+    positions: positions.filter((position) => position.category === category),
+  }));
+}
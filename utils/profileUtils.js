@@ -0,0 +1,172 @@
+// utils/profileUtils.js
+import {
+  MAX_BIO_LENGTH,
+  MAX_EXPERIENCE_YEARS,
+  MAX_SPECIALTY_LENGTH,
+  QUALIFICATION_OPTIONS,
+} from "../constants/profile";
+import { KERALA_DISTRICTS } from "../constants/districts";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Indian mobile numbers are 10 digits starting with 6-9
+const MOBILE_PATTERN = /^[6-9]\d{9}$/;
+
+// Digits of a phone number without the +91 prefix
+const cleanPhoneNumber = (value) =>
+  value.replace(/^\+91\s?/, "").replace(/\D/g, "");
+
+/**
+ * Formats a phone number as the user types, e.g. "9876543210" → "+91 98765 43210"
+ * @param {string} text - The entered phone number
+ * @returns {string} - The number with its +91 prefix
+ */
+export function formatPhoneNumber(text) {
+  if (!text.startsWith("+91")) {
+    text = "+91 " + text.replace(/^\+?91\s?/, "");
+  }
+  const cleaned = cleanPhoneNumber(text);
+  if (cleaned.length <= 5) {
+    return `+91 ${cleaned}`;
+  }
+  return `+91 ${cleaned.slice(0, 5)} ${cleaned.slice(5, 10)}`;
+}
+
+/**
+ * Validates a full name
+ * @param {string} value - The entered name
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateFullName(value) {
+  if (!value?.trim()) {
+    return "Full name is required";
+  }
+  if (value.trim().length < 2) {
+    return "Full name must be at least 2 characters";
+  }
+  return null;
+}
+
+/**
+ * Validates an email address
+ * @param {string} value - The entered email
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateEmail(value) {
+  if (!value?.trim()) {
+    return "Email is required";
+  }
+  if (!EMAIL_PATTERN.test(value.trim())) {
+    return "Please enter a valid email address";
+  }
+  return null;
+}
+
+/**
+ * Validates a new password: at least 6 characters with a lowercase letter
+ * and a number
+ * @param {string} value - The entered password
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validatePassword(value) {
+  if (!value) {
+    return "Password is required";
+  }
+  if (value.length < 6) {
+    return "Password must be at least 6 characters";
+  }
+  if (!/(?=.*[a-z])/.test(value)) {
+    return "Password must contain at least one lowercase letter";
+  }
+  if (!/(?=.*\d)/.test(value)) {
+    return "Password must contain at least one number";
+  }
+  return null;
+}
+
+/**
+ * Validates an Indian mobile number, with or without its +91 prefix
+ * @param {string} value - The entered phone number
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validatePhoneNumber(value) {
+  if (!value?.trim() || value.trim() === "+91") {
+    return "Phone number is required";
+  }
+
+  const cleaned = cleanPhoneNumber(value);
+  if (cleaned.length < 10) {
+    return "Please enter a valid 10-digit phone number";
+  }
+  if (cleaned.length > 10) {
+    return "Phone number should be 10 digits";
+  }
+  if (!MOBILE_PATTERN.test(cleaned)) {
+    return "Please enter a valid Indian mobile number";
+  }
+  return null;
+}
+
+/**
+ * Validates the optional professional details on a profile. Empty values are
+ * allowed, since none of these are asked for at sign-up.
+ * @param {Object} details - { qualification, specialty, yearsOfExperience, preferredDistricts, bio }
+ * @returns {Object} - Error messages keyed by field, empty if valid
+ */
+export function validateProfessionalDetails({
+  qualification,
+  specialty,
+  yearsOfExperience,
+  preferredDistricts,
+  bio,
+} = {}) {
+  const errors = {};
+
+  if (qualification && !QUALIFICATION_OPTIONS.includes(qualification)) {
+    errors.qualification = "Please choose a qualification from the list";
+  }
+
+  if (specialty && specialty.trim().length > MAX_SPECIALTY_LENGTH) {
+    errors.specialty = `Specialty cannot be longer than ${MAX_SPECIALTY_LENGTH} characters`;
+  }
+
+  if (
+    yearsOfExperience !== null &&
+    yearsOfExperience !== undefined &&
+    yearsOfExperience !== ""
+  ) {
+    const years = Number(yearsOfExperience);
+    if (!Number.isInteger(years) || years < 0) {
+      errors.yearsOfExperience = "Years of experience must be a whole number";
+    } else if (years > MAX_EXPERIENCE_YEARS) {
+      errors.yearsOfExperience = `Years of experience cannot be more than ${MAX_EXPERIENCE_YEARS}`;
+    }
+  }
+
+  if (
+    preferredDistricts &&
+    (!Array.isArray(preferredDistricts) ||
+      preferredDistricts.some(
+        (district) => !KERALA_DISTRICTS.includes(district)
+      ))
+  ) {
+    errors.preferredDistricts = "Please choose districts from the list";
+  }
+
+  if (bio && bio.trim().length > MAX_BIO_LENGTH) {
+    errors.bio = `Bio cannot be longer than ${MAX_BIO_LENGTH} characters`;
+  }
+
+  return errors;
+}
+
+/**
+ * Formats years of experience for display, e.g. 1 → "1 year", 4 → "4 years"
+ * @param {number|null} years - Years of experience
+ * @returns {string} - The formatted value, or "" if not set
+ */
+export function formatExperience(years) {
+  if (!Number.isInteger(years)) return "";
+  if (years === 0) return "Less than a year";
+  return years === 1 ? "1 year" : `${years} years`;
+}
@@ -0,0 +1,96 @@
+// utils/salaryUtils.js
+import { DEFAULT_SALARY_UNIT_BY_TYPE, SALARY_UNITS } from "../constants/jobs";
+
+const LAKH = 100000;
+const CRORE = 10000000;
+
+/**
+ * Looks up a pay unit by its stored value
+ * @param {string} value - The unit value, e.g. "shift"
+ * @returns {Object|null} - The unit from SALARY_UNITS, or null if unknown
+ */
+export function findSalaryUnit(value) {
+  return SALARY_UNITS.find((unit) => unit.value === value) || null;
+}
+
+/**
+ * Works out the unit a job's pay is quoted in. Jobs posted before pay had
+ * an explicit unit were monthly if permanent and per shift if relieving.
+ * @param {Object} job - The job object
+ * @returns {Object} - The unit from SALARY_UNITS
+ */
+export function getSalaryUnit(job) {
+  return (
+    findSalaryUnit(job?.salaryUnit) ||
+    findSalaryUnit(DEFAULT_SALARY_UNIT_BY_TYPE[job?.type]) ||
+    findSalaryUnit(DEFAULT_SALARY_UNIT_BY_TYPE.relieving)
+  );
+}
+
+// Groups digits the Indian way, e.g. "1234567" → "12,34,567"
+const groupIndianDigits = (digits) => {
+  if (digits.length <= 3) return digits;
+
+  const lastThree = digits.slice(-3);
+  const rest = digits.slice(0, -3).replace(/\B(?=(\d{2})+(?!\d))/g, ",");
+  return `${rest},${lastThree}`;
+};
+
+// Up to two decimals without trailing zeros, e.g. 12.50 → "12.5"
+const trimDecimals = (value) => String(Number(value.toFixed(2)));
+
+/**
+ * Formats an amount in rupees with lakh/crore grouping, e.g. 150000 →
+ * "₹1,50,000". With `compact`, amounts from a lakh up are shortened to
+ * "₹1.5 L" or "₹2 Cr".
+ * @param {number} amount - The amount in ₹
+ * @param {Object} options - { compact }
+ * @returns {string} - The formatted amount, or "" if it is not a number
+ */
+export function formatRupees(amount, { compact = false } = {}) {
+  const value = Number(amount);
+  if (amount === null || amount === "" || !Number.isFinite(value)) return "";
+
+  if (compact && value >= CRORE) return `₹${trimDecimals(value / CRORE)} Cr`;
+  if (compact && value >= LAKH) return `₹${trimDecimals(value / LAKH)} L`;
+
+  const [whole, fraction] = Math.abs(value).toFixed(2).split(".");
+  const sign = value < 0 ? "-" : "";
+  const paise = fraction === "00" ? "" : `.${fraction}`;
+
+  return `${sign}₹${groupIndianDigits(whole)}${paise}`;
+}
+
+/**
+ * Formats a job's pay for display, e.g. "₹1,200 – ₹1,500/shift".
+ * Negotiable pay is marked with "(negotiable)".
+ * @param {Object} job - The job object
+ * @param {Object} options - { compact } shortens lakh and crore amounts
+ * @returns {string} - The pay, or "Salary not listed"
+ */
+export function formatSalary(job, { compact = false } = {}) {
+  const amount = formatRupees(job?.salary, { compact });
+  if (!amount || !(Number(job.salary) > 0)) return "Salary not listed";
+
+  const maxAmount =
+    Number(job.salaryMax) > Number(job.salary)
+      ? formatRupees(job.salaryMax, { compact })
+      : "";
+  const range = maxAmount ? `${amount} – ${maxAmount}` : amount;
+  const negotiable = job.salaryNegotiable ? " (negotiable)" : "";
+
+  return `${range}${getSalaryUnit(job).suffix}${negotiable}`;
+}
+
+/**
+ * Converts a job's pay to a monthly figure so jobs quoted in different
+ * units can be compared. Ranges use their lower end.
+ * @param {Object} job - The job object
+ * @returns {number} - Monthly equivalent in ₹, or 0 if unknown
+ */
+export function getMonthlyEquivalent(job) {
+  const amount = Number(job?.salary);
+  if (!amount || isNaN(amount)) return 0;
+
+  return amount * getSalaryUnit(job).perMonth;
+}
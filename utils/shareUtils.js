@@ -0,0 +1,30 @@
+// utils/shareUtils.js
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { Share } from "react-native";
+
+/**
+ * Writes data to a JSON file and opens the share sheet for it. Where files
+ * can't be shared, the JSON is shared as text instead.
+ * @param {string} fileName - Name for the file, e.g. "my-data.json"
+ * @param {Object} data - The data to write
+ * @returns {Promise<void>}
+ */
+export async function shareJsonFile(fileName, data) {
+  const json = JSON.stringify(data, null, 2);
+
+  if (!(await Sharing.isAvailableAsync())) {
+    await Share.share({ message: json });
+    return;
+  }
+
+  // Written to the cache directory, which the OS clears when it needs space
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, json);
+
+  await Sharing.shareAsync(fileUri, {
+    mimeType: "application/json",
+    UTI: "public.json",
+    dialogTitle: fileName,
+  });
+}
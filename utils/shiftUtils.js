@@ -0,0 +1,138 @@
+// utils/shiftUtils.js
+
+// Shift times are stored as 24-hour "HH:mm" strings
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Checks that a value is a 24-hour "HH:mm" time
+ * @param {string} time - The time to check
+ * @returns {boolean} - True if the time is valid
+ */
+export function isValidShiftTime(time) {
+  return typeof time === "string" && TIME_PATTERN.test(time);
+}
+
+// Minutes since midnight for an "HH:mm" time
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Works out how long a shift lasts. An end time at or before the start
+ * time is taken as the next day, so overnight shifts count correctly.
+ * @param {string} start - Start time as "HH:mm"
+ * @param {string} end - End time as "HH:mm"
+ * @returns {number|null} - Duration in minutes, or null if a time is invalid
+ */
+export function getShiftDuration(start, end) {
+  if (!isValidShiftTime(start) || !isValidShiftTime(end)) return null;
+
+  const duration = toMinutes(end) - toMinutes(start);
+  return duration > 0 ? duration : duration + MINUTES_PER_DAY;
+}
+
+/**
+ * Builds the shift stored on a job from its start and end times
+ * @param {string} start - Start time as "HH:mm"
+ * @param {string} end - End time as "HH:mm"
+ * @returns {Object|null} - { start, end, durationMinutes, overnight }, or null if invalid
+ */
+export function buildShift(start, end) {
+  const durationMinutes = getShiftDuration(start, end);
+  if (durationMinutes === null) return null;
+
+  return {
+    start,
+    end,
+    durationMinutes,
+    overnight: toMinutes(end) <= toMinutes(start),
+  };
+}
+
+/**
+ * Formats an "HH:mm" time for display, e.g. "20:00" → "8:00 PM"
+ * @param {string} time - Time as "HH:mm"
+ * @returns {string} - 12-hour time, or "" if invalid
+ */
+export function formatShiftTime(time) {
+  if (!isValidShiftTime(time)) return "";
+
+  const totalMinutes = toMinutes(time);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = String(totalMinutes % 60).padStart(2, "0");
+  const period = hours < 12 ? "AM" : "PM";
+
+  return `${hours % 12 || 12}:${minutes} ${period}`;
+}
+
+/**
+ * Formats a duration in minutes, e.g. 510 → "8h 30m"
+ * @param {number} durationMinutes - The duration
+ * @returns {string} - Hours and minutes
+ */
+export function formatDuration(durationMinutes) {
+  if (!Number.isFinite(durationMinutes) || durationMinutes <= 0) return "";
+
+  const hours = Math.floor(durationMinutes / 60);
+  const minutes = durationMinutes % 60;
+
+  if (!minutes) return `${hours}h`;
+  if (!hours) return `${minutes}m`;
+  return `${hours}h ${minutes}m`;
+}
+
+/**
+ * Formats a job's shift for display, e.g. "8:00 PM – 8:00 AM (12h, overnight)".
+ * Jobs posted before shifts were structured fall back to their free-text schedule.
+ * @param {Object} job - The job object
+ * @returns {string} - The shift, or "Not specified"
+ */
+export function formatShift(job) {
+  const shift = job?.shift;
+
+  if (shift && isValidShiftTime(shift.start) && isValidShiftTime(shift.end)) {
+    const duration = getShiftDuration(shift.start, shift.end);
+    const details = [
+      formatDuration(duration),
+      toMinutes(shift.end) <= toMinutes(shift.start) && "overnight",
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    return `${formatShiftTime(shift.start)} – ${formatShiftTime(shift.end)} (${details})`;
+  }
+
+  if (typeof job?.schedule === "string" && job.schedule.trim()) {
+    return job.schedule.trim();
+  }
+
+  return "Not specified";
+}
+
+/**
+ * Converts an "HH:mm" time to a Date today, for the time picker
+ * @param {string} time - Time as "HH:mm"
+ * @returns {Date} - Today at that time (or now if the time is invalid)
+ */
+export function shiftTimeToDate(time) {
+  const date = new Date();
+  if (!isValidShiftTime(time)) return date;
+
+  const totalMinutes = toMinutes(time);
+  date.setHours(Math.floor(totalMinutes / 60), totalMinutes % 60, 0, 0);
+  return date;
+}
+
+/**
+ * Converts a Date from the time picker to an "HH:mm" time
+ * @param {Date} date - The picked date
+ * @returns {string} - Time as "HH:mm"
+ */
+export function dateToShiftTime(date) {
+  const hours = String(date.getHours()).padStart(2, "0");
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  return `${hours}:${minutes}`;
+}